@@ -1,9 +1,16 @@
 import ChatInterface from './components/ChatInterface';
+import LockScreen from './components/LockScreen';
+import { useVault } from './hooks/useVault';
+import { VAULT_STATUS } from './services/vault';
 
 function App() {
+  const { status } = useVault();
+
+  // Locking unmounts the chat, so nothing decrypted stays in memory
   return (
     <div className="App">
-      <ChatInterface />
+      {status === VAULT_STATUS.LOCKED && <LockScreen />}
+      {(status === VAULT_STATUS.OPEN || status === VAULT_STATUS.UNLOCKED) && <ChatInterface />}
     </div>
   );
 }
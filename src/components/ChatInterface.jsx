@@ -1,19 +1,52 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Wallet, TrendingUp, HelpCircle } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Wallet, TrendingUp, HelpCircle, Upload, Download, Lock, ShieldCheck } from 'lucide-react';
 import MessageBubble from './MessageBubble';
 import InputArea from './InputArea';
+import SecurityPanel from './SecurityPanel';
 import { cryptoAPI } from '../services/cryptoAPI';
+import coinRegistry from '../services/coinRegistry';
 import speechService from '../services/speechService';
+import { storage } from '../services/storage';
 import { usePortfolio } from '../hooks/usePortfolio';
+import { useWatchlist } from '../hooks/useWatchlist';
+import { useAlerts, useAlertChecks } from '../hooks/useAlerts';
+import { useSettings } from '../hooks/useSettings';
+import { useVault, useAutoLock } from '../hooks/useVault';
+import { CURRENCIES, formatCurrency } from '../utils/currency';
+import { COST_BASIS_METHODS } from '../utils/ledger';
 import { parseMessage, generateResponse } from '../utils/messageParser';
+import { createConversationContext, updateContext } from '../utils/conversationContext';
+import { downloadFile } from '../utils/download';
+import { describeDrift, findDrifted } from '../utils/allocation';
+import { CHAT_SCHEMA, fromStoredMessages, toStoredMessages } from '../utils/chatHistory';
 
 const ChatInterface = () => {
   const [messages, setMessages] = useState([]);
   const [isProcessing, setIsProcessing] = useState(false);
   const [isListening, setIsListening] = useState(false);
   const [currentlySpeaking, setCurrentlySpeaking] = useState(null);
+  const [apiWaitSeconds, setApiWaitSeconds] = useState(0);
+  const [historyLoaded, setHistoryLoaded] = useState(false);
+  const [showSecurity, setShowSecurity] = useState(false);
   const messagesEndRef = useRef(null);
-  const portfolio = usePortfolio();
+  const importInputRef = useRef(null);
+  const conversationRef = useRef(createConversationContext());
+  const lastRefreshRef = useRef(null);
+  const driftWarningRef = useRef('');
+  const storageNoticeRef = useRef(null);
+  const { settings, setCurrency, setCostBasisMethod, setAutoLockMinutes } = useSettings();
+  const watchlist = useWatchlist();
+  const alerts = useAlerts();
+  const watchedCoinIds = useMemo(
+    () => [...new Set([...watchlist.coinIds, ...alerts.coinIds])],
+    [watchlist.coinIds, alerts.coinIds]
+  );
+  const portfolio = usePortfolio(settings.currency, {
+    costBasisMethod: settings.costBasisMethod,
+    watchedCoinIds,
+  });
+  const vault = useVault();
+  useAutoLock(settings.autoLockMinutes);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -23,6 +56,34 @@ const ChatInterface = () => {
     scrollToBottom();
   }, [messages]);
 
+  useEffect(() => {
+    if (!isProcessing) {
+      setApiWaitSeconds(0);
+      return;
+    }
+
+    const updateWait = () => {
+      const { waitMs } = cryptoAPI.getApiStatus();
+      setApiWaitSeconds(Math.ceil(waitMs / 1000));
+    };
+
+    updateWait();
+    const unsubscribe = cryptoAPI.subscribeApiStatus(updateWait);
+    const interval = setInterval(updateWait, 1000);
+    return () => {
+      unsubscribe();
+      clearInterval(interval);
+    };
+  }, [isProcessing]);
+
+  useEffect(() => {
+    coinRegistry.load().catch(error => {
+      console.warn('Coin registry failed to load:', error.message);
+    });
+  }, []);
+
+  // The saved conversation picks up where it left off; a new one starts
+  // with the welcome message
   useEffect(() => {
     const welcomeMessage = {
       id: Date.now(),
@@ -38,24 +99,124 @@ Try asking "What's Bitcoin trading at?" or "Show me trending coins" to get start
       isUser: false,
       timestamp: new Date(),
     };
-    setMessages([welcomeMessage]);
+
+    let cancelled = false;
+    storage.load(CHAT_SCHEMA)
+      .then(({ data }) => data)
+      .catch(error => {
+        console.error('Error loading chat history:', error);
+        return [];
+      })
+      .then(saved => {
+        if (cancelled) {
+          return;
+        }
+        setMessages(prev => [...(saved.length > 0 ? fromStoredMessages(saved) : [welcomeMessage]), ...prev]);
+        setHistoryLoaded(true);
+      });
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
-  const handleSendMessage = async (messageText) => {
+  // Kept only while encrypted (see CHAT_SCHEMA), so turning encryption on
+  // saves the conversation so far
+  useEffect(() => {
+    if (historyLoaded) {
+      storage.save(CHAT_SCHEMA, toStoredMessages(messages)).catch(error => console.error('Error saving chat history:', error));
+    }
+  }, [historyLoaded, messages, vault.enabled]);
+
+  // Recoveries and skipped records are worth a word once the portfolio loads
+  const { storageNotice } = portfolio;
+  useEffect(() => {
+    if (!storageNotice || storageNotice === storageNoticeRef.current) {
+      return;
+    }
+    storageNoticeRef.current = storageNotice;
+    setMessages(prev => [...prev, {
+      id: Date.now(),
+      text: storageNotice,
+      isUser: false,
+      timestamp: new Date(),
+    }]);
+  }, [storageNotice]);
+
+  // Each price refresh checks the active portfolio against its targets. A
+  // warning is repeated only once a different set of coins has drifted.
+  useEffect(() => {
+    const { pricesUpdatedAt, allocation, driftThreshold, activePortfolio, portfolios } = portfolio;
+    if (!pricesUpdatedAt || pricesUpdatedAt === lastRefreshRef.current) {
+      return;
+    }
+    lastRefreshRef.current = pricesUpdatedAt;
+
+    const drifted = findDrifted(allocation, driftThreshold);
+    const warningKey = drifted.length > 0
+      ? `${activePortfolio?.id}|${drifted.map(row => `${row.coinId}${row.drift > 0 ? '+' : '-'}`).join(',')}`
+      : '';
+    if (warningKey === driftWarningRef.current) {
+      return;
+    }
+    driftWarningRef.current = warningKey;
+    if (!warningKey) {
+      return;
+    }
+
+    const place = portfolios.length > 1 ? `Your ${activePortfolio.name} portfolio` : 'Your portfolio';
+    setMessages(prev => [...prev, {
+      id: Date.now(),
+      text: [
+        `⚠️ ${place} has drifted from its targets:`,
+        ...drifted.map(row => `• ${describeDrift(row)}`),
+        'Ask "how do I rebalance?" for the trades that fix it.',
+      ].join('\n'),
+      data: { allocation: { rows: allocation, threshold: driftThreshold } },
+      isUser: false,
+      timestamp: new Date(),
+    }]);
+  }, [portfolio]);
+
+  // Alerts are checked in one tab but land in the chat of every tab; the
+  // tab that fired one also reads it out when asked to
+  useAlertChecks(alerts, portfolio, ({ alert, text }, { local }) => {
+    const alertMessage = {
+      id: Date.now(),
+      text: `🔔 ${text}`,
+      isUser: false,
+      timestamp: new Date(),
+    };
+    setMessages(prev => [...prev, alertMessage]);
+    if (local && alert.speak && speechService.isSupported.synthesis) {
+      handleSpeak(text, alertMessage.id);
+    }
+  });
+
+  const addUserMessage = (text) => {
     const userMessage = {
       id: Date.now(),
-      text: messageText,
+      text,
       isUser: true,
       timestamp: new Date(),
     };
 
     setMessages(prev => [...prev, userMessage]);
+  };
+
+  // `getIntent` may be async, as reading an imported file is
+  const respondTo = async (getIntent) => {
     setIsProcessing(true);
 
     try {
-      const intent = parseMessage(messageText);
+      const intent = await getIntent();
       
-      const response = await generateResponse(intent, cryptoAPI, portfolio);
+      const response = await generateResponse(intent, cryptoAPI, portfolio, {
+        currency: settings.currency,
+        context: conversationRef.current,
+        watchlist,
+        alerts,
+      });
+      conversationRef.current = updateContext(conversationRef.current, response);
       
       const assistantMessage = {
         id: Date.now() + 1,
@@ -69,6 +230,10 @@ Try asking "What's Bitcoin trading at?" or "Show me trending coins" to get start
 
       setMessages(prev => [...prev, assistantMessage]);
 
+      if (response.data?.download) {
+        downloadFile(response.data.download);
+      }
+
       if (speechService.isSupported.synthesis && !response.error) {
         setTimeout(() => {
           handleSpeak(response.text, assistantMessage.id);
@@ -92,6 +257,26 @@ Try asking "What's Bitcoin trading at?" or "Show me trending coins" to get start
     }
   };
 
+  const handleSendMessage = async (messageText) => {
+    addUserMessage(messageText);
+    await respondTo(() => parseMessage(messageText, conversationRef.current));
+  };
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    addUserMessage(`Import ${file.name}`);
+    await respondTo(async () => ({
+      type: 'IMPORT_PREVIEW',
+      fileName: file.name,
+      content: await file.text(),
+    }));
+  };
+
   const handleStartListening = async () => {
     try {
       setIsListening(true);
@@ -163,15 +348,96 @@ Try asking "What's Bitcoin trading at?" or "Show me trending coins" to get start
             <h1 className="text-xl font-bold text-gray-800">Crypto Chat</h1>
             <p className="text-sm text-gray-600">Your AI cryptocurrency assistant</p>
           </div>
-          <div className="flex items-center space-x-2">
+          <div className="flex items-center space-x-3">
             {portfolio.portfolioValue > 0 && (
               <div className="text-right">
-                <p className="text-sm text-gray-600">Portfolio Value</p>
+                <p className="text-sm text-gray-600">
+                  {portfolio.portfolios.length > 1 ? `${portfolio.activePortfolio?.name} Value` : 'Portfolio Value'}
+                </p>
                 <p className="text-lg font-bold text-green-600">
-                  ${portfolio.portfolioValue.toLocaleString()}
+                  {formatCurrency(portfolio.portfolioValue, portfolio.currency)}
+                </p>
+              </div>
+            )}
+            {portfolio.portfolios.length > 1 && portfolio.combinedValue > 0 && (
+              <div className="text-right">
+                <p className="text-sm text-gray-600">All Portfolios</p>
+                <p className="text-lg font-bold text-gray-700">
+                  {formatCurrency(portfolio.combinedValue, portfolio.currency)}
                 </p>
               </div>
             )}
+            {portfolio.portfolios.length > 1 && (
+              <select
+                value={portfolio.activePortfolioId}
+                onChange={(e) => portfolio.switchPortfolio(e.target.value)}
+                className="text-sm border border-gray-200 rounded-lg px-2 py-1 bg-white text-gray-700 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                title="Active portfolio"
+              >
+                {portfolio.portfolios.map(({ id, name }) => (
+                  <option key={id} value={id}>{name}</option>
+                ))}
+              </select>
+            )}
+            <select
+              value={settings.currency}
+              onChange={(e) => setCurrency(e.target.value)}
+              className="text-sm border border-gray-200 rounded-lg px-2 py-1 bg-white text-gray-700 focus:outline-none focus:ring-2 focus:ring-primary-500"
+              title="Quote currency"
+            >
+              {Object.entries(CURRENCIES).map(([value, { code }]) => (
+                <option key={value} value={value}>{code}</option>
+              ))}
+            </select>
+            <select
+              value={settings.costBasisMethod}
+              onChange={(e) => setCostBasisMethod(e.target.value)}
+              className="text-sm border border-gray-200 rounded-lg px-2 py-1 bg-white text-gray-700 focus:outline-none focus:ring-2 focus:ring-primary-500"
+              title="Cost basis method for profit and loss"
+            >
+              {Object.entries(COST_BASIS_METHODS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => importInputRef.current?.click()}
+              disabled={isProcessing}
+              className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+              title="Import transactions (Crypto Chat, Coinbase or Binance)"
+            >
+              <Upload className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => handleSendMessage('Back up my portfolio')}
+              disabled={isProcessing}
+              className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+              title="Export a backup of your transactions"
+            >
+              <Download className="w-4 h-4" />
+            </button>
+            {vault.enabled && (
+              <button
+                onClick={vault.lock}
+                className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+                title="Lock now"
+              >
+                <Lock className="w-4 h-4" />
+              </button>
+            )}
+            <button
+              onClick={() => setShowSecurity(true)}
+              className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+              title={vault.enabled ? 'Encryption and auto-lock' : 'Encrypt your data with a passphrase'}
+            >
+              <ShieldCheck className={`w-4 h-4 ${vault.enabled ? 'text-green-600' : ''}`} />
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={handleImportFile}
+              className="hidden"
+            />
           </div>
         </div>
       </div>
@@ -198,6 +464,11 @@ Try asking "What's Bitcoin trading at?" or "Show me trending coins" to get start
                   <div className="thinking-dot"></div>
                   <div className="thinking-dot"></div>
                 </div>
+                {apiWaitSeconds > 0 && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Waiting {apiWaitSeconds}s for API budget...
+                  </p>
+                )}
               </div>
             </div>
           )}
@@ -236,6 +507,14 @@ Try asking "What's Bitcoin trading at?" or "Show me trending coins" to get start
           speechSupported={speechService.isSupported}
         />
       </div>
+
+      {showSecurity && (
+        <SecurityPanel
+          onClose={() => setShowSecurity(false)}
+          autoLockMinutes={settings.autoLockMinutes}
+          onAutoLockChange={setAutoLockMinutes}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,79 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Lock, Loader2 } from 'lucide-react';
+import { useVault } from '../hooks/useVault';
+
+const LockScreen = () => {
+  const { unlock } = useVault();
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState(null);
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!passphrase || isUnlocking) {
+      return;
+    }
+
+    setIsUnlocking(true);
+    setError(null);
+    try {
+      await unlock(passphrase);
+    } catch (error) {
+      setError(error.message);
+      setPassphrase('');
+      setIsUnlocking(false);
+      inputRef.current?.focus();
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center h-screen bg-gradient-to-br from-slate-50 to-blue-50 px-4">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm bg-white border border-gray-200 rounded-2xl shadow-sm p-6 space-y-4"
+      >
+        <div className="flex items-center space-x-3">
+          <div className="p-2 bg-primary-50 rounded-lg">
+            <Lock className="w-5 h-5 text-primary-600" />
+          </div>
+          <div>
+            <h1 className="text-lg font-bold text-gray-800">Crypto Chat is locked</h1>
+            <p className="text-sm text-gray-600">Enter your passphrase to decrypt your data.</p>
+          </div>
+        </div>
+
+        <input
+          ref={inputRef}
+          type="password"
+          autoComplete="current-password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          disabled={isUnlocking}
+          placeholder="Passphrase"
+          className="w-full border border-gray-200 rounded-lg px-3 py-2 text-gray-800 focus:outline-none focus:ring-2 focus:ring-primary-500"
+        />
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={!passphrase || isUnlocking}
+          className="w-full flex items-center justify-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isUnlocking ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Unlock'}
+        </button>
+
+        <p className="text-xs text-gray-500">
+          The passphrase can't be recovered. Without it, the encrypted data can't be read.
+        </p>
+      </form>
+    </div>
+  );
+};
+
+export default LockScreen;
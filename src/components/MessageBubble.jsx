@@ -1,6 +1,572 @@
 import React from 'react';
-import { Volume2, VolumeX } from 'lucide-react';
+import { Volume2, VolumeX, Download, Printer } from 'lucide-react';
 import PriceChart from './PriceChart';
+import { formatCurrency, formatSignedCurrency } from '../utils/currency';
+import { formatDate } from '../utils/dateParser';
+import { downloadFile, printDocument } from '../utils/download';
+
+const IMPORT_PREVIEW_ROWS = 8;
+
+const TAX_REPORT_ROWS = 8;
+
+// Wider correlation tables don't fit in a bubble
+const RISK_MATRIX_COINS = 6;
+
+const formatPercent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+
+const formatRatio = (value) => (value === null || value === undefined ? '—' : value.toFixed(2));
+
+// Green for coins that move apart, red for ones that move together
+const correlationColor = (value) => (value === null
+  ? 'transparent'
+  : value >= 0 ? `rgba(239, 68, 68, ${value * 0.5})` : `rgba(34, 197, 94, ${-value * 0.5})`);
+
+const SPARKLINE_WIDTH = 64;
+const SPARKLINE_HEIGHT = 20;
+
+// A week of prices as a line, green when it ends higher than it started
+const Sparkline = ({ points, change }) => {
+  if (points.length < 2) {
+    return <span className="text-xs text-gray-400">—</span>;
+  }
+  const low = Math.min(...points);
+  const span = Math.max(...points) - low || 1;
+  const coordinates = points.map((price, index) => {
+    const x = (index / (points.length - 1)) * SPARKLINE_WIDTH;
+    const y = SPARKLINE_HEIGHT - 1 - ((price - low) / span) * (SPARKLINE_HEIGHT - 2);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+  return (
+    <svg width={SPARKLINE_WIDTH} height={SPARKLINE_HEIGHT} viewBox={`0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`} aria-hidden="true">
+      <polyline
+        points={coordinates}
+        fill="none"
+        stroke={change >= 0 ? '#16a34a' : '#dc2626'}
+        strokeWidth="1.5"
+        strokeLinejoin="round"
+      />
+    </svg>
+  );
+};
+
+// The cards under a reply; compound replies render one set per part
+const MessageData = ({ data, showChart }) => (
+  <>
+    {showChart && data?.chartData && (
+      <div className="mt-3">
+        <PriceChart 
+          data={data.chartData} 
+          coinName={data.coinName}
+          currency={data.currency}
+          days={data.days}
+          series={data.series}
+          overlay={data.overlay}
+          metric={data.metric}
+          className="max-w-sm"
+        />
+      </div>
+    )}
+
+    {data?.priceData && (
+      <div className="mt-2 p-2 bg-gray-50 rounded-lg text-sm">
+        <div className="flex justify-between items-center">
+          <span className="font-medium">Current Price:</span>
+          <span className="font-bold">{formatCurrency(data.priceData.price, data.priceData.currency)}</span>
+        </div>
+        {data.priceData.marketCap && (
+          <div className="flex justify-between items-center mt-1">
+            <span className="font-medium">Market Cap:</span>
+            <span>{formatCurrency(data.priceData.marketCap, data.priceData.currency)}</span>
+          </div>
+        )}
+        <div className="flex justify-between items-center mt-1">
+          <span className="font-medium">24h Change:</span>
+          <span className={`font-bold ${data.changeColor === 'positive' ? 'price-positive' : 'price-negative'}`}>
+            {data.priceData.change24h > 0 ? '+' : ''}{data.priceData.change24h.toFixed(2)}%
+          </span>
+        </div>
+      </div>
+    )}
+
+    {data?.summary && (
+      <div className="mt-2 p-2 bg-gray-50 rounded-lg text-sm">
+        <div className="font-medium mb-2">{data.summary.portfolioName || 'Portfolio'} Breakdown:</div>
+        {data.summary.holdings.slice(0, 5).map((holding, index) => (
+          <div key={holding.id} className="flex justify-between items-center py-1">
+            <span className="font-medium">
+              {holding.amount} {holding.coinSymbol}
+            </span>
+            <div className="text-right">
+              <div className="font-bold">{formatCurrency(holding.currentValue || 0, data.summary.currency)}</div>
+              <div className="text-xs text-gray-500">
+                {holding.percentage?.toFixed(1) || '0'}%
+                {holding.unrealizedPnL !== null && holding.unrealizedPnL !== undefined && (
+                  <span className={`ml-1 ${holding.unrealizedPnL >= 0 ? 'price-positive' : 'price-negative'}`}>
+                    {formatSignedCurrency(holding.unrealizedPnL, data.summary.currency)}
+                    {holding.unrealizedPnLPercent !== null && ` (${holding.unrealizedPnLPercent > 0 ? '+' : ''}${holding.unrealizedPnLPercent.toFixed(1)}%)`}
+                  </span>
+                )}
+              </div>
+            </div>
+          </div>
+        ))}
+        {data.summary.holdings.length > 5 && (
+          <div className="text-xs text-gray-500 mt-1">
+            +{data.summary.holdings.length - 5} more holdings
+          </div>
+        )}
+        {[
+          ['By portfolio', data.summary.portfolios],
+          ['By account', data.summary.accounts],
+        ].filter(([, groups]) => groups?.length > 1).map(([title, groups]) => (
+          <div key={title} className="mt-2 pt-2 border-t border-gray-200">
+            <div className="text-xs text-gray-500 mb-1">{title}</div>
+            {groups.map(group => (
+              <div key={group.id || group.name} className="flex justify-between items-center py-0.5">
+                <span className={group.active ? 'font-medium' : ''}>{group.name}</span>
+                <span>{formatCurrency(group.totalValue, data.summary.currency)}</span>
+              </div>
+            ))}
+          </div>
+        ))}
+        {data.summary.unrealizedPnL !== null && data.summary.unrealizedPnL !== undefined && (
+          <div className="flex justify-between items-center mt-2 pt-2 border-t border-gray-200">
+            <span className="font-medium">Unrealized P&L:</span>
+            <span className={`font-bold ${data.summary.unrealizedPnL >= 0 ? 'price-positive' : 'price-negative'}`}>
+              {formatSignedCurrency(data.summary.unrealizedPnL, data.summary.currency)}
+            </span>
+          </div>
+        )}
+        {Boolean(data.summary.realizedPnL) && (
+          <div className="flex justify-between items-center mt-1">
+            <span className="font-medium">Realized P&L:</span>
+            <span className={`font-bold ${data.summary.realizedPnL >= 0 ? 'price-positive' : 'price-negative'}`}>
+              {formatSignedCurrency(data.summary.realizedPnL, data.summary.currency)}
+            </span>
+          </div>
+        )}
+      </div>
+    )}
+
+    {data?.trending && (
+      <div className="mt-2 p-2 bg-gray-50 rounded-lg text-sm">
+        <div className="font-medium mb-2">Trending Cryptocurrencies:</div>
+        {data.trending.slice(0, 5).map((coin, index) => (
+          <div key={coin.id} className="flex items-center py-1">
+            <span className="w-6 text-gray-500 font-medium">{index + 1}.</span>
+            <img 
+              src={coin.thumb} 
+              alt={coin.name} 
+              className="w-4 h-4 mr-2"
+              onError={(e) => { e.target.style.display = 'none'; }}
+            />
+            <span className="font-medium">{coin.name}</span>
+            <span className="ml-1 text-gray-500">({coin.symbol})</span>
+            {coin.rank && (
+              <span className="ml-auto text-xs text-gray-400">#{coin.rank}</span>
+            )}
+          </div>
+        ))}
+      </div>
+    )}
+
+    {data?.info && (
+      <div className="mt-2 p-2 bg-gray-50 rounded-lg text-sm">
+        <div className="flex items-center mb-2">
+          {data.info.image && (
+            <img 
+              src={data.info.image} 
+              alt={data.info.name} 
+              className="w-6 h-6 mr-2"
+              onError={(e) => { e.target.style.display = 'none'; }}
+            />
+          )}
+          <span className="font-bold">{data.info.name} ({data.info.symbol})</span>
+          {data.info.rank && (
+            <span className="ml-auto text-xs bg-gray-200 px-2 py-1 rounded">
+              Rank #{data.info.rank}
+            </span>
+          )}
+        </div>
+        {data.info.currentPrice && (
+          <div className="flex justify-between items-center mt-1">
+            <span className="font-medium">Price:</span>
+            <span className="font-bold">{formatCurrency(data.info.currentPrice, data.info.currency)}</span>
+          </div>
+        )}
+        {data.info.marketCap && (
+          <div className="flex justify-between items-center mt-1">
+            <span className="font-medium">Market Cap:</span>
+            <span>{formatCurrency(data.info.marketCap, data.info.currency)}</span>
+          </div>
+        )}
+        {data.info.volume24h && (
+          <div className="flex justify-between items-center mt-1">
+            <span className="font-medium">24h Volume:</span>
+            <span>{formatCurrency(data.info.volume24h, data.info.currency)}</span>
+          </div>
+        )}
+      </div>
+    )}
+
+    {data?.priceTable && (
+      <div className="mt-2 p-2 bg-gray-50 rounded-lg text-sm">
+        <div className="flex justify-between items-center pb-1 mb-1 border-b border-gray-200 text-xs text-gray-500">
+          <span>Coin</span>
+          <span className="ml-auto">Price</span>
+          <span className="w-16 text-right">24h</span>
+        </div>
+        {data.priceTable.map((row, index) => (
+          <div key={`${row.coinId}-${index}`} className="flex justify-between items-center py-1">
+            <span className="font-medium">{row.coinName}</span>
+            <span className="ml-auto font-bold">{formatCurrency(row.price, row.currency)}</span>
+            {typeof row.change24h === 'number' ? (
+              <span className={`w-16 text-right ${row.change24h > 0 ? 'price-positive' : 'price-negative'}`}>
+                {row.change24h > 0 ? '+' : ''}{row.change24h.toFixed(2)}%
+              </span>
+            ) : (
+              <span className="w-16 text-right text-gray-400">—</span>
+            )}
+          </div>
+        ))}
+      </div>
+    )}
+
+    {data?.historicalPrice && (
+      <div className="mt-2 p-2 bg-gray-50 rounded-lg text-sm">
+        <div className="font-medium mb-2">{data.historicalPrice.symbol} on {formatDate(data.historicalPrice.date)}:</div>
+        <div className="grid grid-cols-2 gap-x-4 gap-y-1">
+          <div className="flex justify-between">
+            <span className="text-gray-600">Price</span>
+            <span className="font-bold">{formatCurrency(data.historicalPrice.price, data.historicalPrice.currency)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-600">Market cap</span>
+            <span className="font-bold">
+              {data.historicalPrice.marketCap
+                ? formatCurrency(data.historicalPrice.marketCap, data.historicalPrice.currency, { compact: true })
+                : '—'}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-600">Now</span>
+            <span className="font-bold">{formatCurrency(data.historicalPrice.currentPrice, data.historicalPrice.currency)}</span>
+          </div>
+          {data.historicalPrice.change !== null && (
+            <div className="flex justify-between">
+              <span className="text-gray-600">Since then</span>
+              <span className={data.historicalPrice.change >= 0 ? 'price-positive' : 'price-negative'}>
+                {data.historicalPrice.change >= 0 ? '+' : ''}{data.historicalPrice.change.toFixed(2)}%
+              </span>
+            </div>
+          )}
+        </div>
+      </div>
+    )}
+
+    {data?.conversion && (
+      <div className="mt-2 p-2 bg-gray-50 rounded-lg text-sm">
+        <div className="flex justify-between items-center">
+          <span className="font-medium">{data.conversion.from}</span>
+          <span className="font-bold">{data.conversion.to}</span>
+        </div>
+        <div className="mt-1 text-xs text-gray-500">
+          {data.conversion.rate && `${data.conversion.rate} • `}
+          rate as of {new Date(data.conversion.quotedAt).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+          })}
+        </div>
+      </div>
+    )}
+
+    {data?.backtest && (
+      <div className="mt-2 p-2 bg-gray-50 rounded-lg text-sm">
+        <div className="grid grid-cols-2 gap-x-4 gap-y-1">
+          <div className="flex justify-between">
+            <span className="text-gray-600">Invested</span>
+            <span className="font-bold">{formatCurrency(data.backtest.invested, data.backtest.currency)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-600">Worth now</span>
+            <span className="font-bold">{formatCurrency(data.backtest.value, data.backtest.currency)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-600">Return</span>
+            <span className={data.backtest.profit >= 0 ? 'price-positive' : 'price-negative'}>
+              {formatSignedCurrency(data.backtest.profit, data.backtest.currency)}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-600">{data.backtest.buys > 1 ? 'Buys' : 'Units'}</span>
+            <span className="font-bold">{data.backtest.buys > 1 ? data.backtest.buys : Number(data.backtest.units.toPrecision(6))}</span>
+          </div>
+        </div>
+        <div className="mt-2 pt-2 border-t border-gray-200 space-y-1">
+          {[['Best entry', data.backtest.best], ['Worst entry', data.backtest.worst]].map(([label, entry]) => (
+            <div key={label} className="flex justify-between">
+              <span className="text-gray-600">{label}</span>
+              <span>
+                {formatDate(entry.timestamp)} · {formatCurrency(entry.price, data.backtest.currency)}
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+    )}
+
+    {data?.watchlist && (
+      <div className="mt-2 p-2 bg-gray-50 rounded-lg text-sm">
+        <div className="flex items-center pb-1 mb-1 border-b border-gray-200 text-xs text-gray-500">
+          <span>Coin</span>
+          <span className="ml-auto">Price</span>
+          <span className="w-16 text-right">24h</span>
+          <span className="w-20 text-right">7d</span>
+        </div>
+        {data.watchlist.rows.map(row => (
+          <div key={row.coinId} className="flex items-center py-1" title={row.name}>
+            <span className="font-medium">{row.symbol}</span>
+            <span className="ml-auto font-bold">
+              {row.price === undefined ? '—' : formatCurrency(row.price, data.watchlist.currency)}
+            </span>
+            {typeof row.change24h === 'number' ? (
+              <span className={`w-16 text-right ${row.change24h > 0 ? 'price-positive' : 'price-negative'}`}>
+                {row.change24h > 0 ? '+' : ''}{row.change24h.toFixed(2)}%
+              </span>
+            ) : (
+              <span className="w-16 text-right text-gray-400">—</span>
+            )}
+            <span className="w-20 flex justify-end">
+              <Sparkline points={row.sparkline} change={row.change7d} />
+            </span>
+          </div>
+        ))}
+      </div>
+    )}
+
+    {data?.holdingsChanged && (
+      <div className="mt-2 p-2 bg-gray-50 rounded-lg text-sm">
+        <div className="font-medium mb-2">Portfolio Changes:</div>
+        {data.holdingsChanged.map((change, index) => (
+          <div key={`${change.coinId}-${index}`} className="flex justify-between items-center py-1">
+            <span className="font-medium">
+              {change.balance} {change.symbol}
+            </span>
+            <div className="text-right">
+              <div className="font-bold">{formatCurrency(change.balance * change.price, change.currency)}</div>
+              <div className="text-xs text-gray-500 capitalize">
+                {change.action}{change.action !== 'set' && ` ${change.amount}`}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    )}
+
+    {data?.risk && (
+      <div className="mt-2 p-2 bg-gray-50 rounded-lg text-sm">
+        <div className="font-medium mb-2">Risk over {data.risk.days} days:</div>
+        <div className="grid grid-cols-2 gap-x-4 gap-y-1 mb-2">
+          <div className="flex justify-between">
+            <span className="text-gray-600">Volatility</span>
+            <span className="font-bold">{formatPercent(data.risk.portfolio.volatility)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-600">Max drawdown</span>
+            <span className="font-bold price-negative">{formatPercent(data.risk.portfolio.drawdown)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-600">Sharpe-style</span>
+            <span className="font-bold">{formatRatio(data.risk.portfolio.sharpe)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-600">Beta vs BTC</span>
+            <span className="font-bold">{formatRatio(data.risk.portfolio.beta)}</span>
+          </div>
+        </div>
+        <div className="flex justify-between items-center pb-1 mb-1 border-b border-gray-200 text-xs text-gray-500">
+          <span>Coin</span>
+          <span className="ml-auto w-14 text-right">Weight</span>
+          <span className="w-14 text-right">Vol</span>
+          <span className="w-14 text-right">Max DD</span>
+          <span className="w-12 text-right">Beta</span>
+        </div>
+        {data.risk.coins.map(coin => (
+          <div key={coin.coinId} className="flex justify-between items-center py-1">
+            <span className="font-medium">{coin.symbol}</span>
+            <span className="ml-auto w-14 text-right text-gray-500">{formatPercent(coin.weight)}</span>
+            <span className="w-14 text-right">{formatPercent(coin.volatility)}</span>
+            <span className="w-14 text-right price-negative">{formatPercent(coin.drawdown)}</span>
+            <span className="w-12 text-right">{formatRatio(coin.beta)}</span>
+          </div>
+        ))}
+        {data.risk.coins.length > 1 && (
+          <div className="mt-2 pt-2 border-t border-gray-200">
+            <div className="font-medium mb-1">Correlation:</div>
+            <table className="text-xs">
+              <thead>
+                <tr>
+                  <th />
+                  {data.risk.correlations.symbols.slice(0, RISK_MATRIX_COINS).map(symbol => (
+                    <th key={symbol} className="px-1 font-medium text-gray-500">{symbol}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {data.risk.correlations.matrix.slice(0, RISK_MATRIX_COINS).map((row, i) => (
+                  <tr key={data.risk.correlations.coinIds[i]}>
+                    <td className="pr-1 font-medium text-gray-500">{data.risk.correlations.symbols[i]}</td>
+                    {row.slice(0, RISK_MATRIX_COINS).map((value, j) => (
+                      <td
+                        key={data.risk.correlations.coinIds[j]}
+                        className="px-1 text-center"
+                        style={{ backgroundColor: correlationColor(i === j ? null : value) }}
+                      >
+                        {i === j ? '—' : formatRatio(value)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    )}
+
+    {data?.allocation && (
+      <div className="mt-2 p-2 bg-gray-50 rounded-lg text-sm">
+        <div className="flex justify-between items-center pb-1 mb-1 border-b border-gray-200 text-xs text-gray-500">
+          <span>Coin</span>
+          <span className="ml-auto w-16 text-right">Current</span>
+          <span className="w-16 text-right">Target</span>
+          <span className="w-16 text-right">Drift</span>
+        </div>
+        {data.allocation.rows.map(row => (
+          <div key={row.coinId} className="flex justify-between items-center py-1">
+            <span className="font-medium">{row.symbol}</span>
+            <span className="ml-auto w-16 text-right">{row.currentPercent.toFixed(1)}%</span>
+            <span className="w-16 text-right text-gray-500">{row.targetPercent}%</span>
+            <span className={`w-16 text-right ${Math.abs(row.drift) >= data.allocation.threshold ? 'font-bold price-negative' : 'text-gray-500'}`}>
+              {row.drift > 0 ? '+' : ''}{row.drift.toFixed(1)}
+            </span>
+          </div>
+        ))}
+        {data.rebalance && (
+          <div className="mt-2 pt-2 border-t border-gray-200">
+            <div className="font-medium mb-1">Trades:</div>
+            {data.rebalance.trades.map(trade => (
+              <div key={trade.coinId} className="flex justify-between items-center py-1">
+                <span className={`capitalize w-12 ${trade.action === 'buy' ? 'price-positive' : 'price-negative'}`}>{trade.action}</span>
+                <span className="font-medium">{trade.amount} {trade.symbol}</span>
+                <span className="ml-auto font-bold">{formatCurrency(trade.value, data.rebalance.currency)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    )}
+
+    {data?.importPreview && (
+      <div className="mt-2 p-2 bg-gray-50 rounded-lg text-sm">
+        <div className="font-medium mb-2">
+          {data.importPreview.fileName} <span className="text-gray-500 font-normal">({data.importPreview.format})</span>
+        </div>
+        {data.importPreview.transactions.slice(0, IMPORT_PREVIEW_ROWS).map(transaction => (
+          <div key={transaction.id} className="flex justify-between items-center py-1">
+            <span className="text-gray-500 w-24">{formatDate(transaction.timestamp)}</span>
+            <span className="capitalize">{transaction.type.replace('_', ' ')}</span>
+            <span className="ml-auto font-medium">{transaction.amount} {transaction.coinSymbol}</span>
+            <span className="w-24 text-right">
+              {transaction.price !== null ? formatCurrency(transaction.price, transaction.currency || undefined) : '—'}
+            </span>
+          </div>
+        ))}
+        {data.importPreview.transactions.length > IMPORT_PREVIEW_ROWS && (
+          <div className="text-xs text-gray-500 mt-1">
+            +{data.importPreview.transactions.length - IMPORT_PREVIEW_ROWS} more transactions
+          </div>
+        )}
+        {data.importPreview.problems.length > 0 && (
+          <div className="mt-2 pt-2 border-t border-gray-200 text-xs text-gray-600">
+            <div className="font-medium mb-1">Not imported:</div>
+            {data.importPreview.problems.slice(0, IMPORT_PREVIEW_ROWS).map((problem, index) => (
+              <div key={`${problem.line}-${index}`}>Line {problem.line}: {problem.reason}</div>
+            ))}
+            {data.importPreview.problems.length > IMPORT_PREVIEW_ROWS && (
+              <div>+{data.importPreview.problems.length - IMPORT_PREVIEW_ROWS} more</div>
+            )}
+          </div>
+        )}
+      </div>
+    )}
+
+    {data?.taxReport && (
+      <div className="mt-2 p-2 bg-gray-50 rounded-lg text-sm">
+        {[
+          ['Short-term', data.taxReport.shortTerm],
+          ['Long-term', data.taxReport.longTerm],
+          ['Net', data.taxReport.total],
+        ].map(([label, totals]) => (
+          <div key={label} className="flex justify-between items-center py-1">
+            <span className="font-medium">{label}</span>
+            <span className="ml-auto text-xs text-gray-500 mr-3">
+              {formatCurrency(totals.proceeds, data.taxReport.currency)} proceeds
+            </span>
+            <span className={`font-bold ${totals.gain >= 0 ? 'price-positive' : 'price-negative'}`}>
+              {formatSignedCurrency(totals.gain, data.taxReport.currency)}
+            </span>
+          </div>
+        ))}
+        <div className="mt-2 pt-2 border-t border-gray-200">
+          {data.taxReport.disposals.slice(0, TAX_REPORT_ROWS).map((disposal, index) => (
+            <div key={`${disposal.transactionId}-${index}`} className="flex justify-between items-center py-1 text-xs">
+              <span className="font-medium w-28">{disposal.amount} {disposal.symbol}</span>
+              <span className="text-gray-500">{formatDate(disposal.acquiredAt)} → {formatDate(disposal.disposedAt)}</span>
+              <span className={`ml-auto ${disposal.gain >= 0 ? 'price-positive' : 'price-negative'}`}>
+                {formatSignedCurrency(disposal.gain, data.taxReport.currency)}
+              </span>
+              <span className="w-10 text-right text-gray-500">{disposal.term === 'long' ? 'LT' : 'ST'}</span>
+            </div>
+          ))}
+          {data.taxReport.disposals.length > TAX_REPORT_ROWS && (
+            <div className="text-xs text-gray-500 mt-1">
+              +{data.taxReport.disposals.length - TAX_REPORT_ROWS} more lines
+            </div>
+          )}
+        </div>
+        <div className="mt-2 flex space-x-4">
+          <button
+            onClick={() => downloadFile(data.taxReport.files.csv)}
+            className="flex items-center space-x-1 text-primary-600 hover:text-primary-700"
+          >
+            <Download className="w-4 h-4" />
+            <span>{data.taxReport.files.csv.fileName}</span>
+          </button>
+          <button
+            onClick={() => printDocument(data.taxReport.files.html.content) || downloadFile(data.taxReport.files.html)}
+            className="flex items-center space-x-1 text-primary-600 hover:text-primary-700"
+          >
+            <Printer className="w-4 h-4" />
+            <span>Print summary</span>
+          </button>
+        </div>
+      </div>
+    )}
+
+    {data?.download && (
+      <button
+        onClick={() => downloadFile(data.download)}
+        className="mt-2 flex items-center space-x-1 text-sm text-primary-600 hover:text-primary-700"
+      >
+        <Download className="w-4 h-4" />
+        <span>{data.download.fileName}</span>
+      </button>
+    )}
+  </>
+);
 
 const MessageBubble = ({ 
   message, 
@@ -18,6 +584,22 @@ const MessageBubble = ({
     });
   };
 
+  const formatCacheAge = (seconds) => {
+    if (seconds < 60) {
+      return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+    if (seconds < 3600) {
+      return `${Math.round(seconds / 60)} min`;
+    }
+    return `${Math.round(seconds / 3600)} h`;
+  };
+
+  const cacheInfo = message.data?.priceData?.cacheInfo
+    || message.data?.info?.cacheInfo
+    || message.data?.chartData?.cacheInfo
+    || message.data?.trending?.cacheInfo
+    || message.data?.priceTable?.find(row => row.cacheInfo?.cached)?.cacheInfo;
+
   const handleSpeakClick = () => {
     if (isSpeaking) {
       onStopSpeaking();
@@ -33,125 +615,20 @@ const MessageBubble = ({
           {message.text}
         </div>
 
-        {message.showChart && message.data?.chartData && (
-          <div className="mt-3">
-            <PriceChart 
-              data={message.data.chartData} 
-              coinName={message.data.coinName}
-              className="max-w-sm"
-            />
-          </div>
-        )}
+        <MessageData data={message.data} showChart={message.showChart} />
 
-        {message.data?.priceData && (
-          <div className="mt-2 p-2 bg-gray-50 rounded-lg text-sm">
-            <div className="flex justify-between items-center">
-              <span className="font-medium">Current Price:</span>
-              <span className="font-bold">${message.data.priceData.price.toLocaleString()}</span>
-            </div>
-            {message.data.priceData.marketCap && (
-              <div className="flex justify-between items-center mt-1">
-                <span className="font-medium">Market Cap:</span>
-                <span>${message.data.priceData.marketCap.toLocaleString()}</span>
-              </div>
-            )}
-            <div className="flex justify-between items-center mt-1">
-              <span className="font-medium">24h Change:</span>
-              <span className={`font-bold ${message.data.changeColor === 'positive' ? 'price-positive' : 'price-negative'}`}>
-                {message.data.priceData.change24h > 0 ? '+' : ''}{message.data.priceData.change24h.toFixed(2)}%
-              </span>
-            </div>
-          </div>
-        )}
-
-        {message.data?.summary && (
-          <div className="mt-2 p-2 bg-gray-50 rounded-lg text-sm">
-            <div className="font-medium mb-2">Portfolio Breakdown:</div>
-            {message.data.summary.holdings.slice(0, 5).map((holding, index) => (
-              <div key={holding.id} className="flex justify-between items-center py-1">
-                <span className="font-medium">
-                  {holding.amount} {holding.coinSymbol}
-                </span>
-                <div className="text-right">
-                  <div className="font-bold">${holding.currentValue?.toLocaleString() || '0'}</div>
-                  <div className="text-xs text-gray-500">
-                    {holding.percentage?.toFixed(1) || '0'}%
-                  </div>
-                </div>
-              </div>
-            ))}
-            {message.data.summary.holdings.length > 5 && (
-              <div className="text-xs text-gray-500 mt-1">
-                +{message.data.summary.holdings.length - 5} more holdings
-              </div>
-            )}
-          </div>
-        )}
-
-        {message.data?.trending && (
-          <div className="mt-2 p-2 bg-gray-50 rounded-lg text-sm">
-            <div className="font-medium mb-2">Trending Cryptocurrencies:</div>
-            {message.data.trending.slice(0, 5).map((coin, index) => (
-              <div key={coin.id} className="flex items-center py-1">
-                <span className="w-6 text-gray-500 font-medium">{index + 1}.</span>
-                <img 
-                  src={coin.thumb} 
-                  alt={coin.name} 
-                  className="w-4 h-4 mr-2"
-                  onError={(e) => { e.target.style.display = 'none'; }}
-                />
-                <span className="font-medium">{coin.name}</span>
-                <span className="ml-1 text-gray-500">({coin.symbol})</span>
-                {coin.rank && (
-                  <span className="ml-auto text-xs text-gray-400">#{coin.rank}</span>
-                )}
-              </div>
-            ))}
-          </div>
-        )}
-
-        {message.data?.info && (
-          <div className="mt-2 p-2 bg-gray-50 rounded-lg text-sm">
-            <div className="flex items-center mb-2">
-              {message.data.info.image && (
-                <img 
-                  src={message.data.info.image} 
-                  alt={message.data.info.name} 
-                  className="w-6 h-6 mr-2"
-                  onError={(e) => { e.target.style.display = 'none'; }}
-                />
-              )}
-              <span className="font-bold">{message.data.info.name} ({message.data.info.symbol})</span>
-              {message.data.info.rank && (
-                <span className="ml-auto text-xs bg-gray-200 px-2 py-1 rounded">
-                  Rank #{message.data.info.rank}
-                </span>
-              )}
-            </div>
-            {message.data.info.currentPrice && (
-              <div className="flex justify-between items-center mt-1">
-                <span className="font-medium">Price:</span>
-                <span className="font-bold">${message.data.info.currentPrice.toLocaleString()}</span>
-              </div>
-            )}
-            {message.data.info.marketCap && (
-              <div className="flex justify-between items-center mt-1">
-                <span className="font-medium">Market Cap:</span>
-                <span>${message.data.info.marketCap.toLocaleString()}</span>
-              </div>
-            )}
-            {message.data.info.volume24h && (
-              <div className="flex justify-between items-center mt-1">
-                <span className="font-medium">24h Volume:</span>
-                <span>${message.data.info.volume24h.toLocaleString()}</span>
-              </div>
-            )}
-          </div>
-        )}
+        {message.data?.parts?.map((part, index) => (
+          <MessageData key={index} data={part.data} showChart={part.showChart} />
+        ))}
 
         <div className="flex items-center justify-between mt-2 pt-1">
           <span className="text-xs opacity-70">
             {formatTime(timestamp)}
+            {cacheInfo?.cached && (
+              <span title={cacheInfo.stale ? 'Refreshing in the background' : undefined}>
+                {' '}• cached, {formatCacheAge(cacheInfo.ageSeconds)} old
+              </span>
+            )}
           </span>
 
           {!isUser && (
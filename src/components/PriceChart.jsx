@@ -11,6 +11,8 @@ import {
   Filler,
 } from 'chart.js';
 import { Line } from 'react-chartjs-2';
+import { currencyLabel, DEFAULT_CURRENCY, formatCurrency } from '../utils/currency';
+import { describeRange, formatRange } from '../utils/timeRange';
 
 ChartJS.register(
   CategoryScale,
@@ -23,7 +25,39 @@ ChartJS.register(
   Filler
 );
 
-const PriceChart = ({ data, coinName, className = '' }) => {
+// Per-coin contributions, stacked under the total
+const SERIES_COLORS = [
+  [59, 130, 246],
+  [16, 185, 129],
+  [245, 158, 11],
+  [239, 68, 68],
+  [139, 92, 246],
+  [236, 72, 153],
+  [20, 184, 166],
+  [107, 114, 128],
+];
+
+/**
+ * `series` optionally breaks the line into stacked parts, each
+ * { label, values } aligned with `data` (the portfolio chart's coins).
+ * `overlay` is one more { label, values } drawn dashed beside the line
+ * rather than under it, and the change is measured against its end
+ * (a backtest's money invested).
+ */
+const PriceChart = ({
+  data,
+  coinName,
+  currency = DEFAULT_CURRENCY,
+  days = 7,
+  series = null,
+  overlay = null,
+  metric = 'Price',
+  className = '',
+}) => {
+  const rangeLabel = formatRange(days);
+  const showSeries = series?.length > 1;
+  const showLegend = showSeries || Boolean(overlay);
+
   if (!data || data.length === 0) {
     return (
       <div className={`chart-container ${className}`}>
@@ -42,13 +76,42 @@ const PriceChart = ({ data, coinName, className = '' }) => {
       });
     }),
     datasets: [
+      ...(showSeries ? series.map(({ label, values }, index) => {
+        const color = SERIES_COLORS[index % SERIES_COLORS.length].join(', ');
+        return {
+          label,
+          data: values,
+          stack: 'parts',
+          borderColor: `rgb(${color})`,
+          backgroundColor: `rgba(${color}, 0.25)`,
+          borderWidth: 1,
+          fill: index === 0 ? 'origin' : '-1',
+          tension: 0.1,
+          pointRadius: 0,
+          pointHoverRadius: 4,
+        };
+      }) : []),
+      ...(overlay ? [{
+        label: overlay.label,
+        data: overlay.values,
+        stack: 'overlay',
+        borderColor: 'rgb(107, 114, 128)',
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        borderDash: [6, 4],
+        fill: false,
+        tension: 0,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+      }] : []),
       {
-        label: `${coinName} Price (USD)`,
+        label: showSeries ? 'Total' : overlay ? metric : `${coinName} ${metric} (${currencyLabel(currency)})`,
         data: data.map(point => point.price),
-        borderColor: 'rgb(59, 130, 246)',
+        stack: 'total',
+        borderColor: showSeries ? 'rgb(55, 65, 81)' : 'rgb(59, 130, 246)',
         backgroundColor: 'rgba(59, 130, 246, 0.1)',
         borderWidth: 2,
-        fill: true,
+        fill: !showSeries,
         tension: 0.1,
         pointRadius: 0,
         pointHoverRadius: 6,
@@ -64,11 +127,18 @@ const PriceChart = ({ data, coinName, className = '' }) => {
     maintainAspectRatio: false,
     plugins: {
       legend: {
-        display: false,
+        display: showLegend,
+        position: 'bottom',
+        labels: {
+          boxWidth: 12,
+          font: {
+            size: 11,
+          },
+        },
       },
       title: {
         display: true,
-        text: `${coinName} - 7 Day Price Chart`,
+        text: `${coinName} - ${rangeLabel} ${metric} Chart`,
         font: {
           size: 16,
           weight: 'bold',
@@ -84,13 +154,11 @@ const PriceChart = ({ data, coinName, className = '' }) => {
         borderColor: 'rgba(59, 130, 246, 0.5)',
         borderWidth: 1,
         cornerRadius: 8,
-        displayColors: false,
+        displayColors: showLegend,
         callbacks: {
           label: function(context) {
-            return `$${context.parsed.y.toLocaleString(undefined, {
-              minimumFractionDigits: 2,
-              maximumFractionDigits: 6,
-            })}`;
+            const value = formatCurrency(context.parsed.y, currency);
+            return showLegend ? `${context.dataset.label}: ${value}` : value;
           },
         },
       },
@@ -112,6 +180,7 @@ const PriceChart = ({ data, coinName, className = '' }) => {
       y: {
         display: true,
         position: 'right',
+        stacked: showSeries,
         grid: {
           color: 'rgba(0, 0, 0, 0.1)',
           drawBorder: false,
@@ -122,10 +191,7 @@ const PriceChart = ({ data, coinName, className = '' }) => {
             size: 12,
           },
           callback: function(value) {
-            return '$' + value.toLocaleString(undefined, {
-              minimumFractionDigits: 0,
-              maximumFractionDigits: 2,
-            });
+            return formatCurrency(value, currency, { compact: value >= 100000 });
           },
         },
       },
@@ -146,7 +212,10 @@ const PriceChart = ({ data, coinName, className = '' }) => {
     },
   };
 
-  const firstPrice = data[0]?.price;
+  // A portfolio chart can start before the first holding was bought
+  const firstPrice = overlay
+    ? overlay.values[overlay.values.length - 1]
+    : data.find(point => point.price > 0)?.price ?? data[0]?.price;
   const lastPrice = data[data.length - 1]?.price;
   const priceChange = lastPrice - firstPrice;
   const priceChangePercent = ((priceChange / firstPrice) * 100);
@@ -158,18 +227,12 @@ const PriceChart = ({ data, coinName, className = '' }) => {
         <div>
           <h3 className="text-lg font-semibold text-gray-800">{coinName}</h3>
           <p className="text-2xl font-bold text-gray-900">
-            ${lastPrice?.toLocaleString(undefined, {
-              minimumFractionDigits: 2,
-              maximumFractionDigits: 6,
-            })}
+            {formatCurrency(lastPrice, currency)}
           </p>
         </div>
         <div className="text-right">
           <p className={`text-sm font-medium ${isPositive ? 'price-positive' : 'price-negative'}`}>
-            {isPositive ? '+' : ''}${priceChange.toLocaleString(undefined, {
-              minimumFractionDigits: 2,
-              maximumFractionDigits: 6,
-            })}
+            {isPositive ? '+' : ''}{formatCurrency(priceChange, currency)}
           </p>
           <p className={`text-sm font-medium ${isPositive ? 'price-positive' : 'price-negative'}`}>
             {isPositive ? '+' : ''}{priceChangePercent.toFixed(2)}%
@@ -182,7 +245,7 @@ const PriceChart = ({ data, coinName, className = '' }) => {
       </div>
 
       <div className="mt-4 text-xs text-gray-500 text-center">
-        Data from CoinGecko • Last 7 days
+        Data from CoinGecko • Last {describeRange(days)}
       </div>
     </div>
   );
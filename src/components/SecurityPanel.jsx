@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import { Lock, ShieldCheck, X, Loader2 } from 'lucide-react';
+import { useVault } from '../hooks/useVault';
+import { AUTO_LOCK_OPTIONS } from '../hooks/useSettings';
+import { MIN_PASSPHRASE_LENGTH } from '../services/vault';
+
+const inputClass = 'w-full border border-gray-200 rounded-lg px-3 py-2 text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+const buttonClass = 'px-3 py-2 text-sm rounded-lg disabled:opacity-50 disabled:cursor-not-allowed';
+
+const autoLockLabel = (minutes) => {
+  if (minutes === 0) return 'Never';
+  return minutes === 1 ? 'After 1 minute' : `After ${minutes} minutes`;
+};
+
+const PassphraseField = ({ value, onChange, placeholder, autoComplete = 'new-password' }) => (
+  <input
+    type="password"
+    autoComplete={autoComplete}
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    placeholder={placeholder}
+    className={inputClass}
+  />
+);
+
+const SecurityPanel = ({ onClose, autoLockMinutes, onAutoLockChange }) => {
+  const { enabled, lock, enable, changePassphrase, disable } = useVault();
+  const [current, setCurrent] = useState('');
+  const [next, setNext] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const reset = () => {
+    setCurrent('');
+    setNext('');
+    setConfirmation('');
+  };
+
+  const run = async (task, successNotice) => {
+    setBusy(true);
+    setError(null);
+    setNotice(null);
+    try {
+      await task();
+      reset();
+      setNotice(successNotice);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Asked for twice, so a typo can't lock the data away
+  const checkNewPassphrase = () => {
+    if (next.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    if (next !== confirmation) {
+      throw new Error('The passphrases don\'t match');
+    }
+  };
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      checkNewPassphrase();
+      await enable(next);
+    }, 'Your portfolio and chat history are now encrypted.');
+  };
+
+  const handleChange = (e) => {
+    e.preventDefault();
+    run(async () => {
+      checkNewPassphrase();
+      await changePassphrase(current, next);
+    }, 'Passphrase changed. Your data has been re-encrypted.');
+  };
+
+  const handleDisable = () => {
+    run(() => disable(current), 'Encryption is off. Your data is stored unencrypted and chat history is no longer kept.');
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 px-4" onClick={onClose}>
+      <div
+        className="w-full max-w-md bg-white rounded-2xl shadow-lg p-6 space-y-5"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-2">
+            <ShieldCheck className="w-5 h-5 text-primary-600" />
+            <h2 className="text-lg font-bold text-gray-800">Security</h2>
+          </div>
+          <button onClick={onClose} className="p-1 text-gray-500 hover:bg-gray-100 rounded" title="Close">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        {!enabled && (
+          <form onSubmit={handleEnable} className="space-y-3">
+            <p className="text-sm text-gray-600">
+              Encrypt your portfolio and transactions with a passphrase. Chat history
+              is only kept between visits while encryption is on.
+              The passphrase can't be recovered, so keep it somewhere safe.
+            </p>
+            <PassphraseField value={next} onChange={setNext} placeholder="New passphrase" />
+            <PassphraseField value={confirmation} onChange={setConfirmation} placeholder="Repeat passphrase" />
+            <button type="submit" disabled={busy || !next} className={`${buttonClass} bg-primary-600 text-white hover:bg-primary-700`}>
+              Encrypt my data
+            </button>
+          </form>
+        )}
+
+        {enabled && (
+          <>
+            <div className="flex items-center justify-between space-x-3">
+              <label className="text-sm text-gray-700" htmlFor="auto-lock">Lock automatically</label>
+              <select
+                id="auto-lock"
+                value={autoLockMinutes}
+                onChange={(e) => onAutoLockChange(Number(e.target.value))}
+                className="text-sm border border-gray-200 rounded-lg px-2 py-1 bg-white text-gray-700 focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                {AUTO_LOCK_OPTIONS.map(minutes => (
+                  <option key={minutes} value={minutes}>{autoLockLabel(minutes)}</option>
+                ))}
+              </select>
+              <button onClick={lock} className={`${buttonClass} flex items-center space-x-1 bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+                <Lock className="w-4 h-4" />
+                <span>Lock now</span>
+              </button>
+            </div>
+
+            <form onSubmit={handleChange} className="space-y-3 border-t border-gray-100 pt-4">
+              <h3 className="text-sm font-semibold text-gray-700">Change passphrase</h3>
+              <PassphraseField value={current} onChange={setCurrent} placeholder="Current passphrase" autoComplete="current-password" />
+              <PassphraseField value={next} onChange={setNext} placeholder="New passphrase" />
+              <PassphraseField value={confirmation} onChange={setConfirmation} placeholder="Repeat new passphrase" />
+              <div className="flex items-center justify-between">
+                <button type="submit" disabled={busy || !current || !next} className={`${buttonClass} bg-primary-600 text-white hover:bg-primary-700`}>
+                  Change passphrase
+                </button>
+                <button
+                  type="button"
+                  onClick={handleDisable}
+                  disabled={busy || !current}
+                  className={`${buttonClass} text-red-600 hover:bg-red-50`}
+                  title="Needs the current passphrase"
+                >
+                  Turn off encryption
+                </button>
+              </div>
+            </form>
+          </>
+        )}
+
+        {busy && (
+          <p className="flex items-center space-x-2 text-sm text-gray-600">
+            <Loader2 className="w-4 h-4 animate-spin" />
+            <span>Updating your stored data...</span>
+          </p>
+        )}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {notice && <p className="text-sm text-green-600">{notice}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default SecurityPanel;
@@ -0,0 +1,231 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { cryptoAPI } from '../services/cryptoAPI';
+import { notifier } from '../services/notifier';
+import { PRIORITY } from '../services/requestScheduler';
+import { storage } from '../services/storage';
+import { tabSync } from '../services/tabSync';
+import {
+  ALERTS_SCHEMA,
+  ALERT_TYPES,
+  DEFAULT_WINDOW_HOURS,
+  createAlert,
+  describeTrigger,
+  evaluateAlert,
+  isCoinAlert,
+  priceHoursAgo,
+} from '../utils/alerts';
+
+const SYNC_TOPICS = {
+  ALERTS: 'alerts',
+  TRIGGERED: 'alert-triggered',
+};
+
+const sameList = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Price, move and portfolio-value alerts. Stored and synced across tabs
+ * like the watchlist; their coins are priced in the portfolio's batch.
+ * useAlertChecks() is what fires them.
+ */
+export const useAlerts = () => {
+  const [alerts, setAlerts] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const sharedRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    storage.load(ALERTS_SCHEMA)
+      .then(({ data }) => {
+        if (cancelled) {
+          return;
+        }
+        setAlerts(prevAlerts => [...data, ...prevAlerts.filter(alert => !data.some(entry => entry.id === alert.id))]);
+        setLoaded(true);
+      })
+      .catch(error => {
+        console.error('Error loading alerts:', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!loaded) {
+      return;
+    }
+    storage.save(ALERTS_SCHEMA, alerts).catch(error => console.error('Error saving alerts:', error));
+    if (sharedRef.current && !sameList(sharedRef.current, alerts)) {
+      tabSync.publish(SYNC_TOPICS.ALERTS, alerts);
+    }
+    sharedRef.current = alerts;
+  }, [loaded, alerts]);
+
+  useEffect(() => tabSync.subscribe(SYNC_TOPICS.ALERTS, (received) => {
+    sharedRef.current = received;
+    setAlerts(prevAlerts => (sameList(prevAlerts, received) ? prevAlerts : received));
+  }), []);
+
+  const coinIds = useMemo(
+    () => [...new Set(alerts.filter(isCoinAlert).map(alert => alert.coinId))],
+    [alerts]
+  );
+
+  // Asks for notification permission along the way, since alerts are
+  // created from a message the user just sent. Returns the new alert and
+  // whether it can show notifications.
+  const addAlert = useCallback(async (fields) => {
+    const alert = createAlert(fields);
+    setAlerts(prevAlerts => [...prevAlerts, alert]);
+    const notifications = await notifier.requestPermission();
+    return { alert, notifications };
+  }, []);
+
+  // Returns the alerts that were removed
+  const removeAlerts = useCallback((ids) => {
+    const removed = alerts.filter(alert => ids.includes(alert.id));
+    if (removed.length > 0) {
+      setAlerts(prevAlerts => prevAlerts.filter(alert => !ids.includes(alert.id)));
+    }
+    return removed;
+  }, [alerts]);
+
+  return {
+    alerts,
+    coinIds,
+    loaded,
+    addAlert,
+    removeAlerts,
+  };
+};
+
+// Percent change of each move alert over its window. The 24-hour change
+// comes with the quote; longer or shorter windows need the price history.
+const observeMove = async (alert, quote) => {
+  if (alert.windowHours === DEFAULT_WINDOW_HOURS) {
+    return { price: quote.price, change: quote.change24h };
+  }
+  const history = await cryptoAPI.getHistoricalData(alert.coinId, Math.ceil(alert.windowHours / 24), {
+    currency: alert.currency,
+    priority: PRIORITY.BACKGROUND,
+  });
+  const reference = priceHoursAgo(history, alert.windowHours);
+  return { price: quote.price, change: reference ? (quote.price / reference - 1) * 100 : null };
+};
+
+// A portfolio's value, once every coin in it has a price
+const observePortfolio = (alert, portfolio) => {
+  const { holdings = [], totalValue } = portfolio.getPortfolioSummary(alert.portfolioId);
+  return holdings.length > 0 && holdings.every(holding => holding.currentValue !== undefined)
+    ? { value: totalValue }
+    : {};
+};
+
+/**
+ * Checks alerts after each price refresh, in the leader tab only, so an
+ * alert fires once however many tabs are open. Alerts set in another
+ * currency are priced separately at background priority; portfolio alerts
+ * wait until the portfolio is shown in theirs.
+ *
+ * `onTrigger({ alert, observed, text }, { local })` runs in every tab;
+ * `local` is true in the tab that fired it, which also shows the
+ * notification.
+ */
+export const useAlertChecks = ({ alerts, removeAlerts }, portfolio, onTrigger) => {
+  const [isLeader, setIsLeader] = useState(() => tabSync.isLeader());
+  const lastCheckRef = useRef(null);
+  const pendingCheckRef = useRef(null);
+  const checkingRef = useRef(false);
+  const latestRef = useRef({ alerts, removeAlerts, portfolio, onTrigger });
+  latestRef.current = { alerts, removeAlerts, portfolio, onTrigger };
+
+  useEffect(() => tabSync.subscribeLeadership(setIsLeader), []);
+
+  useEffect(() => tabSync.subscribe(SYNC_TOPICS.TRIGGERED, (event) => {
+    latestRef.current.onTrigger(event, { local: false });
+  }), []);
+
+  const { pricesUpdatedAt } = portfolio;
+  useEffect(() => {
+    pendingCheckRef.current = pricesUpdatedAt;
+    if (!isLeader || !pricesUpdatedAt || pricesUpdatedAt === lastCheckRef.current || checkingRef.current) {
+      return;
+    }
+
+    const check = async () => {
+      const { alerts: pending, portfolio: current } = latestRef.current;
+      if (pending.length === 0) {
+        return;
+      }
+
+      const otherCurrencies = {};
+      pending.filter(alert => isCoinAlert(alert) && alert.currency !== current.currency).forEach(alert => {
+        otherCurrencies[alert.currency] = [...(otherCurrencies[alert.currency] || []), alert.coinId];
+      });
+      const quotes = {};
+      await Promise.all(Object.entries(otherCurrencies).map(async ([currency, coinIds]) => {
+        try {
+          quotes[currency] = await cryptoAPI.getMultiplePrices([...new Set(coinIds)], {
+            currency,
+            priority: PRIORITY.BACKGROUND,
+          });
+        } catch (error) {
+          console.error(`Error pricing alerts in ${currency}:`, error);
+        }
+      }));
+      const quoteFor = (alert) => (alert.currency === current.currency
+        ? current.getQuote(alert.coinId)
+        : quotes[alert.currency]?.[alert.coinId]);
+
+      const triggered = [];
+      for (const alert of pending) {
+        let observed = {};
+        if (alert.type === ALERT_TYPES.PORTFOLIO) {
+          observed = alert.currency === current.currency ? observePortfolio(alert, current) : {};
+        } else {
+          const quote = quoteFor(alert);
+          if (!quote) {
+            continue;
+          }
+          try {
+            observed = alert.type === ALERT_TYPES.MOVE ? await observeMove(alert, quote) : { price: quote.price };
+          } catch (error) {
+            console.error(`Error checking the alert on ${alert.coinSymbol}:`, error);
+            continue;
+          }
+        }
+        if (evaluateAlert(alert, observed)) {
+          triggered.push({ alert, observed, text: describeTrigger(alert, observed) });
+        }
+      }
+      if (triggered.length === 0) {
+        return;
+      }
+
+      // Alerts cancelled while the check ran don't fire
+      const removed = latestRef.current.removeAlerts(triggered.map(event => event.alert.id));
+      triggered
+        .filter(event => removed.some(alert => alert.id === event.alert.id))
+        .forEach(event => {
+          notifier.notify('Crypto Chat alert', { body: event.text, tag: event.alert.id });
+          tabSync.publish(SYNC_TOPICS.TRIGGERED, event);
+          latestRef.current.onTrigger(event, { local: true });
+        });
+    };
+
+    const run = () => {
+      lastCheckRef.current = pendingCheckRef.current;
+      checkingRef.current = true;
+      check()
+        .catch(error => console.error('Error checking alerts:', error))
+        .finally(() => {
+          checkingRef.current = false;
+          // Prices that came in while this check ran get one of their own
+          if (pendingCheckRef.current && pendingCheckRef.current !== lastCheckRef.current && tabSync.isLeader()) {
+            run();
+          }
+        });
+    };
+    run();
+  }, [isLeader, pricesUpdatedAt]);
+};
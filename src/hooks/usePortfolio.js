@@ -1,33 +1,300 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { cryptoAPI } from '../services/cryptoAPI';
+import { PRIORITY } from '../services/requestScheduler';
+import { LOAD_STATUS, storage } from '../services/storage';
+import { tabSync } from '../services/tabSync';
+import { DEFAULT_CURRENCY } from '../utils/currency';
+import { valueHoldings, totalValue, summarizePortfolio, combineHoldings, costCurrenciesOf, roundAmount } from '../utils/portfolioValuation';
 
-const STORAGE_KEY = 'crypto-chat-portfolio';
+import {
+  TRANSACTION_TYPES,
+  DEFAULT_COST_BASIS_METHOD,
+  createTransaction,
+  computePositions,
+  balanceOf,
+} from '../utils/ledger';
+import { appendSnapshot, createSnapshot } from '../utils/portfolioHistory';
+import { DEFAULT_DRIFT_THRESHOLD, compareToTargets } from '../utils/allocation';
+import { HISTORY_SCHEMA, LEDGER_SCHEMA, PORTFOLIOS_SCHEMA } from '../utils/portfolioSchema';
+import {
+  ALL_PORTFOLIOS,
+  DEFAULT_PORTFOLIO_ID,
+  accountsIn,
+  createDefaultPortfolio,
+  createPortfolio as newPortfolio,
+  findPortfolio as findPortfolioByName,
+  portfolioIdOf,
+  resolveTarget as resolvePortfolioTarget,
+  transactionsIn,
+} from '../utils/portfolios';
 
-export const usePortfolio = () => {
-  const [holdings, setHoldings] = useState([]);
-  const [portfolioValue, setPortfolioValue] = useState(0);
+// Shared so portfolios without targets don't recompute their allocation
+const NO_TARGETS = [];
+
+// Likewise for callers that watch no coins
+const NO_COINS = [];
+
+const STORED_LABELS = {
+  [LEDGER_SCHEMA.key]: 'transactions',
+  [HISTORY_SCHEMA.key]: 'portfolio history',
+  [PORTFOLIOS_SCHEMA.key]: 'portfolio list',
+};
+
+// What the user should hear about how their saved data came back, if anything
+const describeLoad = (results) => {
+  const lines = results.flatMap(({ key, status, dropped, savedAt }) => {
+    const label = STORED_LABELS[key];
+    const notes = [];
+    if (status === LOAD_STATUS.RECOVERED) {
+      notes.push(savedAt
+        ? `Your saved ${label} couldn't be read, so the backup from ${new Date(savedAt).toLocaleString()} was restored.`
+        : `Your saved ${label} couldn't be read, so the backup was restored.`);
+    } else if (status === LOAD_STATUS.RESET) {
+      notes.push(`Your saved ${label} couldn't be read and there was no usable backup, so you're starting afresh. The damaged copy has been kept.`);
+    } else if (status === LOAD_STATUS.NEWER) {
+      notes.push(`A newer version of this app saved your ${label}. Changes won't be saved until you update.`);
+    }
+    if (dropped > 0) {
+      notes.push(`${dropped} unreadable ${dropped === 1 ? 'entry was' : 'entries were'} skipped in your ${label}.`);
+    }
+    return notes;
+  });
+  return lines.length > 0 ? `⚠️ ${lines.join('\n')}` : null;
+};
+
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+
+const SYNC_TOPICS = {
+  LEDGER: 'ledger',
+  PORTFOLIOS: 'portfolios',
+  SNAPSHOTS: 'snapshots',
+  PRICES: 'prices',
+};
+
+// Transactions are only ever added or removed, never edited, so a change
+// between tabs is the ids that went and the transactions that came
+const diffLedger = (previous, next) => {
+  const before = new Set(previous.map(transaction => transaction.id));
+  const after = new Set(next.map(transaction => transaction.id));
+  const added = next.filter(transaction => !before.has(transaction.id));
+  const removedIds = previous.filter(transaction => !after.has(transaction.id)).map(transaction => transaction.id);
+  return added.length > 0 || removedIds.length > 0 ? { added, removedIds } : null;
+};
+
+const applyLedgerChange = (transactions, { added = [], removedIds = [] }) => {
+  const removed = new Set(removedIds);
+  const existing = new Set(transactions.map(transaction => transaction.id));
+  const fresh = added.filter(transaction => !existing.has(transaction.id));
+  if (fresh.length === 0 && !transactions.some(transaction => removed.has(transaction.id))) {
+    return transactions;
+  }
+  return [...transactions.filter(transaction => !removed.has(transaction.id)), ...fresh];
+};
+
+// Portfolios are only ever added or updated; a change is the ones that differ
+const diffPortfolios = (previous, next) => {
+  const changed = next.filter(portfolio =>
+    JSON.stringify(portfolio) !== JSON.stringify(previous.find(entry => entry.id === portfolio.id))
+  );
+  return changed.length > 0 ? changed : null;
+};
+
+const applyPortfolioChange = (portfolios, changed) => [
+  ...portfolios.map(portfolio => changed.find(entry => entry.id === portfolio.id) || portfolio),
+  ...changed.filter(entry => !portfolios.some(portfolio => portfolio.id === entry.id)),
+];
+
+const toHoldings = (positions) =>
+  positions
+    .filter(position => position.amount > 0)
+    .map(position => ({
+      ...position,
+      id: position.coinId,
+      addedAt: position.firstTransactionAt,
+      lastUpdated: position.lastTransactionAt,
+    }));
+
+// Includes positions that have since been sold off. Only known in
+// `currency` when every position's cost was recorded in it.
+const sumRealizedPnL = (positions, currency) =>
+  (positions.some(position => position.costCurrency && position.costCurrency !== currency)
+    ? null
+    : positions.reduce(
+      (sum, position) => (sum === null || position.realizedPnL === null ? null : sum + position.realizedPnL),
+      0
+    ));
+
+const coinFields = (transactions, coinId) => {
+  const transaction = transactions.find(t => t.coinId === coinId);
+  return transaction
+    ? { coinName: transaction.coinName, coinSymbol: transaction.coinSymbol }
+    : {};
+};
+
+// `watchedCoinIds` are priced along with the holdings, in the same batch,
+// without counting towards any portfolio
+export const usePortfolio = (
+  currency = DEFAULT_CURRENCY,
+  { costBasisMethod = DEFAULT_COST_BASIS_METHOD, watchedCoinIds = NO_COINS } = {}
+) => {
+  const [transactions, setTransactions] = useState([]);
+  const [snapshots, setSnapshots] = useState([]);
+  const [portfolios, setPortfolios] = useState(() => [createDefaultPortfolio()]);
+  const [activePortfolioId, setActivePortfolioId] = useState(DEFAULT_PORTFOLIO_ID);
+  const [quotes, setQuotes] = useState({ currency, prices: {}, updatedAt: null });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [loaded, setLoaded] = useState(false);
+  const [storageNotice, setStorageNotice] = useState(null);
+  const [isLeader, setIsLeader] = useState(() => tabSync.isLeader());
+  const loadedRef = useRef(false);
+  // Changes from other tabs that arrive while this one is still loading
+  const pendingRef = useRef([]);
+  // What other tabs are known to have, so only changes made here are sent
+  const sharedRef = useRef({ transactions: [], portfolios: [] });
 
+  // Nothing is saved until the stored data is in, or the empty initial
+  // state would overwrite it
   useEffect(() => {
-    const savedPortfolio = localStorage.getItem(STORAGE_KEY);
-    if (savedPortfolio) {
-      try {
-        const parsed = JSON.parse(savedPortfolio);
-        setHoldings(parsed);
-      } catch (error) {
+    let cancelled = false;
+    Promise.all([LEDGER_SCHEMA, HISTORY_SCHEMA, PORTFOLIOS_SCHEMA].map(schema =>
+      storage.load(schema).then(result => ({ ...result, key: schema.key }))
+    ))
+      .then(([ledger, history, saved]) => {
+        if (cancelled) {
+          return;
+        }
+        const shared = pendingRef.current.reduce(
+          (current, { key, apply, change }) => ({ ...current, [key]: apply(current[key], change) }),
+          { transactions: ledger.data, portfolios: saved.data.portfolios }
+        );
+        pendingRef.current = [];
+        sharedRef.current = shared;
+        loadedRef.current = true;
+
+        // Anything recorded while loading goes after what was saved
+        setTransactions(prevTransactions => applyLedgerChange(shared.transactions, { added: prevTransactions }));
+        setSnapshots(prevSnapshots => [...history.data, ...prevSnapshots]);
+        setPortfolios(shared.portfolios);
+        setActivePortfolioId(saved.data.activePortfolioId);
+        setStorageNotice(describeLoad([ledger, history, saved]));
+        setLoaded(true);
+      })
+      .catch(error => {
         console.error('Error loading portfolio:', error);
-      }
-    }
+      });
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
   useEffect(() => {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(holdings));
-  }, [holdings]);
+    if (loaded) {
+      storage.save(LEDGER_SCHEMA, transactions).catch(error => console.error('Error saving portfolio:', error));
+    }
+  }, [loaded, transactions]);
+
+  // Only the leader records snapshots, so only it saves them
+  useEffect(() => {
+    if (loaded && isLeader) {
+      storage.save(HISTORY_SCHEMA, snapshots).catch(error => console.error('Error saving portfolio history:', error));
+    }
+  }, [loaded, isLeader, snapshots]);
+
+  useEffect(() => {
+    if (loaded) {
+      storage.save(PORTFOLIOS_SCHEMA, { portfolios, activePortfolioId })
+        .catch(error => console.error('Error saving portfolios:', error));
+    }
+  }, [loaded, portfolios, activePortfolioId]);
+
+  useEffect(() => tabSync.subscribeLeadership(setIsLeader), []);
 
-  const calculatePortfolioValue = useCallback(async () => {
-    if (holdings.length === 0) {
-      setPortfolioValue(0);
+  // Edits made here go out to other tabs as changes rather than whole
+  // lists, so edits made at once in two tabs both survive
+  useEffect(() => {
+    if (!loaded) {
+      return;
+    }
+    const change = diffLedger(sharedRef.current.transactions, transactions);
+    sharedRef.current.transactions = transactions;
+    if (change) {
+      tabSync.publish(SYNC_TOPICS.LEDGER, change);
+    }
+  }, [loaded, transactions]);
+
+  useEffect(() => {
+    if (!loaded) {
+      return;
+    }
+    const change = diffPortfolios(sharedRef.current.portfolios, portfolios);
+    sharedRef.current.portfolios = portfolios;
+    if (change) {
+      tabSync.publish(SYNC_TOPICS.PORTFOLIOS, change);
+    }
+  }, [loaded, portfolios]);
+
+  // Which portfolio is active stays per tab
+  useEffect(() => {
+    const receive = (key, apply, setState) => (change) => {
+      if (!loadedRef.current) {
+        pendingRef.current.push({ key, apply, change });
+        return;
+      }
+      sharedRef.current[key] = apply(sharedRef.current[key], change);
+      setState(prev => apply(prev, change));
+    };
+    const unsubscribes = [
+      tabSync.subscribe(SYNC_TOPICS.LEDGER, receive('transactions', applyLedgerChange, setTransactions)),
+      tabSync.subscribe(SYNC_TOPICS.PORTFOLIOS, receive('portfolios', applyPortfolioChange, setPortfolios)),
+      tabSync.subscribe(SYNC_TOPICS.SNAPSHOTS, (received) => {
+        setSnapshots(prevSnapshots => received.reduce(appendSnapshot, prevSnapshots));
+      }),
+      tabSync.subscribe(SYNC_TOPICS.PRICES, (received) => {
+        setQuotes(prevQuotes => (
+          received.currency === prevQuotes.currency && (!prevQuotes.updatedAt || received.updatedAt > prevQuotes.updatedAt)
+            ? received
+            : prevQuotes
+        ));
+      }),
+    ];
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, []);
+
+  // Each portfolio keeps its own cost basis; accounts within it share it
+  const positionsByPortfolio = useMemo(
+    () => Object.fromEntries(portfolios.map(portfolio => [
+      portfolio.id,
+      computePositions(transactionsIn(transactions, portfolio.id), { method: costBasisMethod }),
+    ])),
+    [portfolios, transactions, costBasisMethod]
+  );
+
+  const activeTransactions = useMemo(
+    () => transactionsIn(transactions, activePortfolioId),
+    [transactions, activePortfolioId]
+  );
+
+  const positions = useMemo(
+    () => positionsByPortfolio[activePortfolioId] || [],
+    [positionsByPortfolio, activePortfolioId]
+  );
+
+  const realizedPnL = useMemo(() => sumRealizedPnL(positions, currency), [positions, currency]);
+
+  const accounts = useMemo(() => accountsIn(activeTransactions), [activeTransactions]);
+
+  // Every portfolio is priced, so the combined value is always at hand.
+  // Prices only need refetching when the set of coins or the currency changes.
+  const coinIdsKey = [...new Set([
+    ...Object.values(positionsByPortfolio).flatMap(list => toHoldings(list).map(holding => holding.coinId)),
+    ...watchedCoinIds,
+  ])].sort().join(',');
+
+  const calculatePortfolioValue = useCallback(async (priority = PRIORITY.BACKGROUND) => {
+    const coinIds = coinIdsKey ? coinIdsKey.split(',') : [];
+    if (coinIds.length === 0) {
+      setQuotes({ currency, prices: {}, updatedAt: null });
       return;
     }
 
@@ -35,142 +302,342 @@ export const usePortfolio = () => {
     setError(null);
 
     try {
-      const coinIds = holdings.map(holding => holding.coinId);
-      const prices = await cryptoAPI.getMultiplePrices(coinIds);
-      
-      let totalValue = 0;
-      const updatedHoldings = holdings.map(holding => {
-        const priceData = prices[holding.coinId];
-        if (priceData) {
-          const currentValue = holding.amount * priceData.usd;
-          totalValue += currentValue;
-          
-          return {
-            ...holding,
-            currentPrice: priceData.usd,
-            currentValue: currentValue,
-            change24h: priceData.usd_24h_change,
-            lastUpdated: new Date().toISOString(),
-          };
-        }
-        return holding;
-      });
-
-      setHoldings(updatedHoldings);
-      setPortfolioValue(totalValue);
+      const prices = await cryptoAPI.getMultiplePrices(coinIds, { priority, currency });
+      const fetched = { currency, prices, updatedAt: new Date().toISOString() };
+      setQuotes(fetched);
+      tabSync.publish(SYNC_TOPICS.PRICES, fetched);
     } catch (error) {
       console.error('Error calculating portfolio value:', error);
       setError('Failed to update portfolio values');
     } finally {
       setLoading(false);
     }
-  }, [holdings]);
-
-  const addHolding = useCallback((coinId, coinName, coinSymbol, amount) => {
-    setHoldings(prevHoldings => {
-      const existingIndex = prevHoldings.findIndex(h => h.coinId === coinId);
-      
-      if (existingIndex >= 0) {
-        const updated = [...prevHoldings];
-        updated[existingIndex] = {
-          ...updated[existingIndex],
-          amount: updated[existingIndex].amount + amount,
-          lastUpdated: new Date().toISOString(),
-        };
-        return updated;
-      } 
-      else {
-        return [...prevHoldings, {
-          id: Date.now().toString(),
-          coinId,
-          coinName,
-          coinSymbol: coinSymbol.toUpperCase(),
-          amount,
-          addedAt: new Date().toISOString(),
-          lastUpdated: new Date().toISOString(),
-        }];
+  }, [coinIdsKey, currency]);
+
+  const valueAll = useCallback(
+    (holdings) => quotes.currency === currency
+      ? valueHoldings(holdings, quotes.prices, quotes.updatedAt)
+      : holdings,
+    [quotes, currency]
+  );
+
+  const valuedByPortfolio = useMemo(
+    () => Object.fromEntries(Object.entries(positionsByPortfolio).map(([portfolioId, list]) => [
+      portfolioId,
+      valueAll(toHoldings(list)),
+    ])),
+    [positionsByPortfolio, valueAll]
+  );
+
+  const valuedHoldings = useMemo(
+    () => valuedByPortfolio[activePortfolioId] || [],
+    [valuedByPortfolio, activePortfolioId]
+  );
+
+  const portfolioValue = useMemo(() => totalValue(valuedHoldings), [valuedHoldings]);
+
+  const combinedValue = useMemo(
+    () => Object.values(valuedByPortfolio).reduce((total, holdings) => total + totalValue(holdings), 0),
+    [valuedByPortfolio]
+  );
+
+  // Every fresh valuation is kept as a snapshot for the portfolio chart.
+  // The leader takes them and shares them, so tabs don't each add their own.
+  useEffect(() => {
+    if (!isLeader || !quotes.updatedAt || quotes.currency !== currency) {
+      return;
+    }
+    const fresh = Object.entries(valuedByPortfolio)
+      .filter(([, holdings]) => holdings.length > 0)
+      .map(([portfolioId, holdings]) => createSnapshot(holdings, currency, portfolioId));
+    setSnapshots(prevSnapshots => fresh.reduce(appendSnapshot, prevSnapshots));
+    tabSync.publish(SYNC_TOPICS.SNAPSHOTS, fresh);
+  }, [isLeader, quotes, valuedByPortfolio, currency]);
+
+  // Changes land in the active portfolio unless `portfolioId` says otherwise
+  const recordTransaction = useCallback((transaction) => {
+    setTransactions(prevTransactions => [
+      ...prevTransactions,
+      createTransaction({
+        currency,
+        ...transaction,
+        portfolioId: transaction.portfolioId || activePortfolioId,
+      }),
+    ]);
+  }, [currency, activePortfolioId]);
+
+  // Imports keep their ids, so ones already in the ledger are skipped, and
+  // go into the active portfolio whichever one they were exported from
+  const importTransactions = useCallback((incoming) => {
+    setTransactions(prevTransactions => {
+      const existing = new Set(prevTransactions.map(transaction => transaction.id));
+      const fresh = incoming
+        .filter(transaction => !existing.has(transaction.id))
+        .map(transaction => ({ ...transaction, portfolioId: activePortfolioId }));
+      return fresh.length > 0 ? [...prevTransactions, ...fresh] : prevTransactions;
+    });
+  }, [activePortfolioId]);
+
+  // `trade` carries what the chat knows about the buy: price, fee, timestamp
+  const addHolding = useCallback((coinId, coinName, coinSymbol, amount, trade = {}) => {
+    recordTransaction({
+      ...trade,
+      type: TRANSACTION_TYPES.BUY,
+      coinId,
+      coinName,
+      coinSymbol,
+      amount,
+    });
+  }, [recordTransaction]);
+
+  // "I have 2 BTC" states the balance rather than adding to it. No trade
+  // took place, so the difference is booked as a transfer. With an
+  // `account` it is that account's balance that is set.
+  const setHolding = useCallback((coinId, coinName, coinSymbol, amount, trade = {}) => {
+    const portfolioId = trade.portfolioId || activePortfolioId;
+    setTransactions(prevTransactions => {
+      const scope = transactionsIn(prevTransactions, portfolioId, trade.account ?? undefined);
+      const difference = roundAmount(amount - balanceOf(scope, coinId));
+      if (difference === 0) {
+        return prevTransactions;
       }
+
+      return [...prevTransactions, createTransaction({
+        currency,
+        ...trade,
+        portfolioId,
+        type: difference > 0 ? TRANSACTION_TYPES.TRANSFER_IN : TRANSACTION_TYPES.TRANSFER_OUT,
+        coinId,
+        coinName: coinName || coinFields(prevTransactions, coinId).coinName,
+        coinSymbol: coinSymbol || coinFields(prevTransactions, coinId).coinSymbol,
+        amount: Math.abs(difference),
+      })];
     });
-  }, []);
+  }, [currency, activePortfolioId]);
 
-  const removeHolding = useCallback((holdingId) => {
-    setHoldings(prevHoldings => 
-      prevHoldings.filter(holding => holding.id !== holdingId)
-    );
-  }, []);
+  const sellHolding = useCallback((coinId, amount, trade = {}) => {
+    const portfolioId = trade.portfolioId || activePortfolioId;
+    setTransactions(prevTransactions => {
+      const sold = Math.min(amount, balanceOf(transactionsIn(prevTransactions, portfolioId, trade.account ?? undefined), coinId));
+      // Nothing left to sell; a zero-amount sale wouldn't load back
+      if (!(sold > 0)) {
+        return prevTransactions;
+      }
+      return [
+        ...prevTransactions,
+        createTransaction({
+          currency,
+          ...trade,
+          ...coinFields(prevTransactions, coinId),
+          portfolioId,
+          type: TRANSACTION_TYPES.SELL,
+          coinId,
+          amount: sold,
+        }),
+      ];
+    });
+  }, [currency, activePortfolioId]);
+
+  // Holdings are keyed by coin, so a holding id is its coin id
+  const removeHolding = useCallback((holdingId, target = {}) => {
+    setHolding(holdingId, null, null, 0, target);
+  }, [setHolding]);
 
   const updateHolding = useCallback((holdingId, newAmount) => {
     if (newAmount <= 0) {
       removeHolding(holdingId);
       return;
     }
+    setHolding(holdingId, null, null, newAmount);
+  }, [removeHolding, setHolding]);
 
-    setHoldings(prevHoldings =>
-      prevHoldings.map(holding =>
-        holding.id === holdingId
-          ? { ...holding, amount: newAmount, lastUpdated: new Date().toISOString() }
-          : holding
-      )
+  // Clears the active portfolio only
+  const clearPortfolio = useCallback(() => {
+    setTransactions(prevTransactions =>
+      prevTransactions.filter(transaction => portfolioIdOf(transaction) !== activePortfolioId)
     );
-  }, [removeHolding]);
+  }, [activePortfolioId]);
 
-  const clearPortfolio = useCallback(() => {
-    setHoldings([]);
-    setPortfolioValue(0);
+  const createPortfolio = useCallback((name) => {
+    const portfolio = newPortfolio(name, portfolios);
+    setPortfolios(prevPortfolios => [...prevPortfolios, portfolio]);
+    return portfolio;
+  }, [portfolios]);
+
+  const switchPortfolio = useCallback((portfolioId) => {
+    setActivePortfolioId(portfolioId);
   }, []);
 
+  const updatePortfolio = useCallback((portfolioId, changes) => {
+    setPortfolios(prevPortfolios => prevPortfolios.map(portfolio =>
+      portfolio.id === portfolioId ? { ...portfolio, ...changes } : portfolio
+    ));
+  }, []);
+
+  // Targets are [{ coinId, symbol, weight }], weights in percent
+  const setTargets = useCallback((targets, portfolioId = activePortfolioId) => {
+    updatePortfolio(portfolioId, { targets });
+  }, [updatePortfolio, activePortfolioId]);
+
+  const clearTargets = useCallback((portfolioId = activePortfolioId) => {
+    updatePortfolio(portfolioId, { targets: [] });
+  }, [updatePortfolio, activePortfolioId]);
+
+  const setDriftThreshold = useCallback((driftThreshold, portfolioId = activePortfolioId) => {
+    updatePortfolio(portfolioId, { driftThreshold });
+  }, [updatePortfolio, activePortfolioId]);
+
+  const findPortfolio = useCallback((name) => findPortfolioByName(portfolios, name), [portfolios]);
+
+  const resolveTarget = useCallback(
+    (text) => resolvePortfolioTarget(text, { portfolios, activePortfolioId, accounts }),
+    [portfolios, activePortfolioId, accounts]
+  );
+
+  const getTransactions = useCallback(
+    (portfolioId = activePortfolioId, account) => transactionsIn(transactions, portfolioId, account),
+    [transactions, activePortfolioId]
+  );
+
+  const getPositions = useCallback(
+    (portfolioId = activePortfolioId) => positionsByPortfolio[portfolioId] || [],
+    [positionsByPortfolio, activePortfolioId]
+  );
+
+  const getBalance = useCallback(
+    (coinId, { portfolioId, account } = {}) => balanceOf(getTransactions(portfolioId || activePortfolioId, account), coinId),
+    [getTransactions, activePortfolioId]
+  );
+
   const getHolding = useCallback((coinId) => {
-    return holdings.find(holding => holding.coinId === coinId);
-  }, [holdings]);
-
-  const getPortfolioSummary = useCallback(() => {
-    const totalCoins = holdings.length;
-    const totalValue = portfolioValue;
-    
-    let totalChange24h = 0;
-    let validChanges = 0;
-    
-    holdings.forEach(holding => {
-      if (holding.change24h !== undefined && holding.currentValue) {
-        const holdingChange = (holding.change24h / 100) * holding.currentValue;
-        totalChange24h += holdingChange;
-        validChanges++;
-      }
-    });
+    return valuedHoldings.find(holding => holding.coinId === coinId);
+  }, [valuedHoldings]);
 
-    const avgChange24h = validChanges > 0 ? (totalChange24h / totalValue) * 100 : 0;
+  // What each wallet or account in a portfolio holds; coins recorded
+  // without one are grouped as unassigned
+  const summarizeAccounts = useCallback((portfolioId) => {
+    const ledger = transactionsIn(transactions, portfolioId);
+    const names = accountsIn(ledger);
+    if (names.length === 0) {
+      return [];
+    }
+    return [...names, null]
+      .map(account => {
+        const holdings = valueAll(toHoldings(
+          computePositions(transactionsIn(ledger, portfolioId, account), { method: costBasisMethod })
+        ));
+        return { name: account || 'Unassigned', totalValue: totalValue(holdings), holdings };
+      })
+      .filter(account => account.holdings.length > 0);
+  }, [transactions, valueAll, costBasisMethod]);
 
+  /**
+   * Summary of the active portfolio, another one by id, or every portfolio
+   * combined (ALL_PORTFOLIOS), which also lists each portfolio's value.
+   */
+  const getPortfolioSummary = useCallback((portfolioId = activePortfolioId) => {
+    if (portfolioId === ALL_PORTFOLIOS) {
+      const allPositions = Object.values(positionsByPortfolio).flat();
+      return {
+        ...summarizePortfolio(combineHoldings(Object.values(valuedByPortfolio)), currency, {
+          realizedPnL: sumRealizedPnL(allPositions, currency),
+          costCurrencies: costCurrenciesOf(allPositions),
+        }),
+        portfolioId: ALL_PORTFOLIOS,
+        portfolioName: 'All portfolios',
+        portfolios: portfolios.map(portfolio => ({
+          id: portfolio.id,
+          name: portfolio.name,
+          totalValue: totalValue(valuedByPortfolio[portfolio.id] || []),
+          totalCoins: (valuedByPortfolio[portfolio.id] || []).length,
+          active: portfolio.id === activePortfolioId,
+        })),
+      };
+    }
+
+    const portfolio = portfolios.find(entry => entry.id === portfolioId);
     return {
-      totalCoins,
-      totalValue,
-      change24h: avgChange24h,
-      holdings: holdings.map(holding => ({
-        ...holding,
-        percentage: totalValue > 0 ? (holding.currentValue / totalValue) * 100 : 0,
-      })),
+      ...summarizePortfolio(valuedByPortfolio[portfolioId] || [], currency, {
+        realizedPnL: sumRealizedPnL(positionsByPortfolio[portfolioId] || [], currency),
+        costCurrencies: costCurrenciesOf(positionsByPortfolio[portfolioId] || []),
+      }),
+      portfolioId,
+      portfolioName: portfolio?.name,
+      accounts: summarizeAccounts(portfolioId),
     };
-  }, [holdings, portfolioValue]);
+  }, [activePortfolioId, positionsByPortfolio, valuedByPortfolio, portfolios, currency, summarizeAccounts]);
+
+  // The latest batched quote for any priced coin, held or watched
+  const getQuote = useCallback(
+    (coinId) => (quotes.currency === currency ? quotes.prices[coinId] : undefined),
+    [quotes, currency]
+  );
+
+  const activePortfolio = portfolios.find(portfolio => portfolio.id === activePortfolioId);
+  const targets = activePortfolio?.targets || NO_TARGETS;
 
+  const allocation = useMemo(
+    () => (targets.length > 0 ? compareToTargets(valuedHoldings, targets) : []),
+    [valuedHoldings, targets]
+  );
+
+  // Every tab prices its coins when they change, but only the leader keeps
+  // refreshing; the others take its prices as they're shared
   useEffect(() => {
-    if (holdings.length > 0) {
+    if (coinIdsKey) {
       calculatePortfolioValue();
-      
-      const interval = setInterval(calculatePortfolioValue, 5 * 60 * 1000);
-      return () => clearInterval(interval);
+
+      if (isLeader) {
+        const interval = setInterval(calculatePortfolioValue, REFRESH_INTERVAL_MS);
+        return () => clearInterval(interval);
+      }
     }
-  }, [holdings.length, calculatePortfolioValue]);
+  }, [coinIdsKey, calculatePortfolioValue, isLeader]);
 
   return {
-    holdings,
+    holdings: valuedHoldings,
     portfolioValue,
+    combinedValue,
+    currency,
+    transactions: activeTransactions,
+    allTransactions: transactions,
+    portfolios,
+    activePortfolioId,
+    activePortfolio,
+    accounts,
+    targets,
+    driftThreshold: activePortfolio?.driftThreshold ?? DEFAULT_DRIFT_THRESHOLD,
+    allocation,
+    pricesUpdatedAt: quotes.updatedAt,
+    snapshots,
+    positions,
+    realizedPnL,
+    costBasisMethod,
+    loaded,
+    storageNotice,
     loading,
     error,
+    recordTransaction,
+    importTransactions,
     addHolding,
+    setHolding,
+    sellHolding,
     removeHolding,
     updateHolding,
     clearPortfolio,
+    createPortfolio,
+    switchPortfolio,
+    setTargets,
+    clearTargets,
+    setDriftThreshold,
+    findPortfolio,
+    resolveTarget,
+    getTransactions,
+    getPositions,
+    getBalance,
     getHolding,
+    getQuote,
     getPortfolioSummary,
-    refreshPortfolio: calculatePortfolioValue,
+    refreshPortfolio: () => calculatePortfolioValue(PRIORITY.USER),
   };
 };
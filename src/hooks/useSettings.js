@@ -0,0 +1,82 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DEFAULT_CURRENCY, isSupportedCurrency } from '../utils/currency';
+import { COST_BASIS_METHODS, DEFAULT_COST_BASIS_METHOD } from '../utils/ledger';
+
+const STORAGE_KEY = 'crypto-chat-settings';
+
+// Minutes without activity before an encrypted store locks; 0 never locks
+export const AUTO_LOCK_OPTIONS = [0, 1, 5, 15, 30, 60];
+
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+const DEFAULT_SETTINGS = {
+  currency: DEFAULT_CURRENCY,
+  costBasisMethod: DEFAULT_COST_BASIS_METHOD,
+  autoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES,
+};
+
+const loadSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return {
+      ...DEFAULT_SETTINGS,
+      ...saved,
+      currency: isSupportedCurrency(saved.currency) ? saved.currency : DEFAULT_CURRENCY,
+      costBasisMethod: COST_BASIS_METHODS[saved.costBasisMethod] ? saved.costBasisMethod : DEFAULT_COST_BASIS_METHOD,
+      autoLockMinutes: AUTO_LOCK_OPTIONS.includes(saved.autoLockMinutes) ? saved.autoLockMinutes : DEFAULT_AUTO_LOCK_MINUTES,
+    };
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    return DEFAULT_SETTINGS;
+  }
+};
+
+export const useSettings = () => {
+  const [settings, setSettings] = useState(loadSettings);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  }, [settings]);
+
+  // Other tabs' changes arrive as storage events. Saving them back writes
+  // the same value, which raises no further event.
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key === STORAGE_KEY) {
+        setSettings(loadSettings());
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  const setCurrency = useCallback((currency) => {
+    if (isSupportedCurrency(currency)) {
+      updateSettings({ currency });
+    }
+  }, [updateSettings]);
+
+  const setCostBasisMethod = useCallback((costBasisMethod) => {
+    if (COST_BASIS_METHODS[costBasisMethod]) {
+      updateSettings({ costBasisMethod });
+    }
+  }, [updateSettings]);
+
+  const setAutoLockMinutes = useCallback((autoLockMinutes) => {
+    if (AUTO_LOCK_OPTIONS.includes(autoLockMinutes)) {
+      updateSettings({ autoLockMinutes });
+    }
+  }, [updateSettings]);
+
+  return {
+    settings,
+    updateSettings,
+    setCurrency,
+    setCostBasisMethod,
+    setAutoLockMinutes,
+  };
+};
@@ -0,0 +1,65 @@
+import { useState, useEffect, useMemo } from 'react';
+import { vault, VAULT_STATUS } from '../services/vault';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+export const useVault = () => {
+  const [status, setStatus] = useState(vault.status);
+
+  useEffect(() => {
+    const unsubscribe = vault.subscribe(setStatus);
+    vault.init();
+    setStatus(vault.status);
+    return unsubscribe;
+  }, []);
+
+  const actions = useMemo(() => ({
+    unlock: (passphrase) => vault.unlock(passphrase),
+    lock: () => vault.lock(),
+    enable: (passphrase) => vault.enable(passphrase),
+    changePassphrase: (currentPassphrase, nextPassphrase) => vault.changePassphrase(currentPassphrase, nextPassphrase),
+    disable: (currentPassphrase) => vault.disable(currentPassphrase),
+  }), []);
+
+  return {
+    status,
+    enabled: status === VAULT_STATUS.LOCKED || status === VAULT_STATUS.UNLOCKED,
+    ...actions,
+  };
+};
+
+// Locks an unlocked vault after `minutes` without input. Background tabs
+// throttle timers, so the idle time is also checked when the tab comes back.
+export const useAutoLock = (minutes) => {
+  const { status, lock } = useVault();
+
+  useEffect(() => {
+    if (!minutes || status !== VAULT_STATUS.UNLOCKED) {
+      return;
+    }
+
+    const timeoutMs = minutes * 60 * 1000;
+    let lastActivity = Date.now();
+    let timer = null;
+
+    const restart = () => {
+      lastActivity = Date.now();
+      clearTimeout(timer);
+      timer = setTimeout(lock, timeoutMs);
+    };
+    const checkIdle = () => {
+      if (document.visibilityState === 'visible' && Date.now() - lastActivity >= timeoutMs) {
+        lock();
+      }
+    };
+
+    restart();
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, restart, { passive: true }));
+    document.addEventListener('visibilitychange', checkIdle);
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, restart));
+      document.removeEventListener('visibilitychange', checkIdle);
+    };
+  }, [minutes, status, lock]);
+};
@@ -0,0 +1,95 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { storage } from '../services/storage';
+import { tabSync } from '../services/tabSync';
+import { WATCHLIST_SCHEMA, createWatchEntry } from '../utils/watchlist';
+
+const SYNC_TOPIC = 'watchlist';
+
+// The order coins were watched in is kept, so a list compares as a whole
+const sameList = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Coins to keep an eye on without holding them, so they don't count
+ * towards any portfolio's value. Stored and synced across tabs like the
+ * portfolio; prices come from the portfolio's own batched refresh.
+ */
+export const useWatchlist = () => {
+  const [coins, setCoins] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  // Last list shared with other tabs, so a received list isn't sent back
+  const sharedRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    storage.load(WATCHLIST_SCHEMA)
+      .then(({ data }) => {
+        if (cancelled) {
+          return;
+        }
+        setCoins(prevCoins => [...data, ...prevCoins.filter(coin => !data.some(entry => entry.coinId === coin.coinId))]);
+        setLoaded(true);
+      })
+      .catch(error => {
+        console.error('Error loading watchlist:', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!loaded) {
+      return;
+    }
+    storage.save(WATCHLIST_SCHEMA, coins).catch(error => console.error('Error saving watchlist:', error));
+    if (sharedRef.current && !sameList(sharedRef.current, coins)) {
+      tabSync.publish(SYNC_TOPIC, coins);
+    }
+    sharedRef.current = coins;
+  }, [loaded, coins]);
+
+  useEffect(() => tabSync.subscribe(SYNC_TOPIC, (received) => {
+    sharedRef.current = received;
+    setCoins(prevCoins => (sameList(prevCoins, received) ? prevCoins : received));
+  }), []);
+
+  const coinIds = useMemo(() => coins.map(coin => coin.coinId), [coins]);
+
+  // Returns the coins that were added and those already watched
+  const watch = useCallback((entries) => {
+    const already = entries.filter(entry => coinIds.includes(entry.coinId));
+    const added = entries
+      .filter(entry => !coinIds.includes(entry.coinId))
+      .filter((entry, index, list) => list.findIndex(other => other.coinId === entry.coinId) === index)
+      .map(createWatchEntry);
+    if (added.length > 0) {
+      setCoins(prevCoins => [...prevCoins, ...added.filter(entry => !prevCoins.some(coin => coin.coinId === entry.coinId))]);
+    }
+    return { added, already };
+  }, [coinIds]);
+
+  // Returns the coins that were removed
+  const unwatch = useCallback((ids) => {
+    const removed = coins.filter(coin => ids.includes(coin.coinId));
+    if (removed.length > 0) {
+      setCoins(prevCoins => prevCoins.filter(coin => !ids.includes(coin.coinId)));
+    }
+    return removed;
+  }, [coins]);
+
+  const clearWatchlist = useCallback(() => {
+    setCoins([]);
+  }, []);
+
+  const isWatching = useCallback((coinId) => coinIds.includes(coinId), [coinIds]);
+
+  return {
+    coins,
+    coinIds,
+    loaded,
+    watch,
+    unwatch,
+    clearWatchlist,
+    isWatching,
+  };
+};
@@ -0,0 +1,227 @@
+import { cryptoAPI } from './cryptoAPI';
+import { PRIORITY } from './requestScheduler';
+import { findClosest } from '../utils/fuzzyMatch';
+
+// Colloquial names the coin list cannot know about; checked before the indices
+const ALIASES = {
+  'bitcoin': 'bitcoin',
+  'ethereum': 'ethereum',
+  'ether': 'ethereum',
+  'binance': 'binancecoin',
+  'polygon': 'matic-network',
+  'avalanche': 'avalanche-2',
+  'luna': 'terra-luna',
+  'shiba': 'shiba-inu',
+  'ripple': 'ripple',
+  'toncoin': 'the-open-network',
+};
+
+// Enough to answer the common tickers before the coin list has loaded
+const FALLBACK_SYMBOLS = {
+  'btc': 'bitcoin',
+  'eth': 'ethereum',
+  'usdt': 'tether',
+  'bnb': 'binancecoin',
+  'sol': 'solana',
+  'xrp': 'ripple',
+  'ada': 'cardano',
+  'doge': 'dogecoin',
+  'dot': 'polkadot',
+  'link': 'chainlink',
+  'matic': 'matic-network',
+  'avax': 'avalanche-2',
+  'shib': 'shiba-inu',
+};
+
+const REFRESH_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// A ranked coin wins a shared ticker outright when the runner-up sits at
+// least this many times further down the market-cap ranking
+const DOMINANCE_RATIO = 10;
+
+const MAX_CANDIDATES = 3;
+
+const byRank = (a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity);
+
+const addToIndex = (index, key, coin) => {
+  if (!key) return;
+  const entries = index.get(key);
+  if (entries) {
+    entries.push(coin);
+  } else {
+    index.set(key, [coin]);
+  }
+};
+
+/**
+ * Symbol, name and id indices over the provider's full coin list. The list
+ * is cached by cryptoAPI and reloaded daily; until it arrives only the
+ * aliases resolve, and callers fall back to the raw name.
+ */
+class CoinRegistry {
+  constructor() {
+    this.coins = [];
+    this.byId = new Map();
+    this.bySymbol = new Map();
+    this.byName = new Map();
+    this.fuzzyIndex = null;
+    this.loadPromise = null;
+    this.refreshTimer = null;
+  }
+
+  get isLoaded() {
+    return this.coins.length > 0;
+  }
+
+  buildIndices(coins) {
+    const byId = new Map();
+    const bySymbol = new Map();
+    const byName = new Map();
+
+    coins.forEach(coin => {
+      byId.set(coin.id, coin);
+      addToIndex(bySymbol, coin.symbol?.toLowerCase(), coin);
+      addToIndex(byName, coin.name?.toLowerCase(), coin);
+    });
+    bySymbol.forEach(entries => entries.sort(byRank));
+    byName.forEach(entries => entries.sort(byRank));
+
+    this.coins = coins;
+    this.byId = byId;
+    this.bySymbol = bySymbol;
+    this.byName = byName;
+    this.fuzzyIndex = null;
+  }
+
+  // Typo targets: ranked coins only, so a misspelling never lands on an obscure token
+  getFuzzyIndex() {
+    if (!this.fuzzyIndex) {
+      const coins = this.isLoaded
+        ? this.coins.filter(coin => coin.rank).sort(byRank)
+        : Object.entries(FALLBACK_SYMBOLS).map(([symbol, id]) => ({
+          id,
+          symbol,
+          name: id.replace(/-/g, ' '),
+        }));
+
+      this.fuzzyIndex = coins.flatMap(coin => [
+        { key: coin.name.toLowerCase(), value: coin },
+        { key: coin.symbol.toLowerCase(), value: coin },
+      ]);
+    }
+    return this.fuzzyIndex;
+  }
+
+  fuzzyLookup(key) {
+    const [best] = findClosest(key, this.getFuzzyIndex());
+    if (!best) return null;
+    return best.confidence === 'high'
+      ? { status: 'resolved', coin: best.value, corrected: true }
+      : { status: 'suggested', coin: best.value };
+  }
+
+  load({ priority = PRIORITY.BACKGROUND } = {}) {
+    if (!this.loadPromise) {
+      this.loadPromise = cryptoAPI.getCoinList({ priority })
+        .then(coins => {
+          this.buildIndices(coins);
+          this.scheduleRefresh();
+          return this;
+        })
+        .catch(error => {
+          this.loadPromise = null;
+          throw error;
+        });
+    }
+    return this.loadPromise;
+  }
+
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => {
+      this.loadPromise = null;
+      this.load().catch(error => console.warn('Coin registry refresh failed:', error.message));
+    }, REFRESH_INTERVAL_MS);
+  }
+
+  getCoin(coinId) {
+    return this.byId.get(coinId);
+  }
+
+  /**
+   * Synchronous lookup against whatever is loaded. Returns
+   * { status: 'resolved', coin, corrected? }, { status: 'suggested', coin }
+   * for a likely typo, { status: 'ambiguous', candidates },
+   * { status: 'not_found' } or { status: 'unknown' } before the list loads.
+   */
+  lookup(query) {
+    const key = query?.trim().toLowerCase();
+    if (!key) {
+      return { status: 'not_found' };
+    }
+
+    if (ALIASES[key]) {
+      const id = ALIASES[key];
+      return { status: 'resolved', coin: this.byId.get(id) || { id } };
+    }
+
+    if (!this.isLoaded) {
+      if (FALLBACK_SYMBOLS[key]) {
+        return { status: 'resolved', coin: { id: FALLBACK_SYMBOLS[key] } };
+      }
+      return this.fuzzyLookup(key) || { status: 'unknown' };
+    }
+
+    const exactId = this.byId.get(key) || this.byId.get(key.replace(/\s+/g, '-'));
+    // An exact hit on an unranked token is more likely a typo of a ranked
+    // coin, so ask before committing to either
+    if (exactId) {
+      const fuzzy = !exactId.rank && this.fuzzyLookup(key);
+      return fuzzy
+        ? { status: 'suggested', coin: fuzzy.coin }
+        : { status: 'resolved', coin: exactId };
+    }
+
+    const matches = new Map();
+    [...(this.byName.get(key) || []), ...(this.bySymbol.get(key) || [])]
+      .forEach(coin => matches.set(coin.id, coin));
+    const candidates = [...matches.values()].sort(byRank);
+
+    if (candidates.length === 0) {
+      return this.fuzzyLookup(key) || { status: 'not_found' };
+    }
+
+    if (candidates.every(coin => !coin.rank)) {
+      const fuzzy = this.fuzzyLookup(key);
+      if (fuzzy) {
+        return { status: 'suggested', coin: fuzzy.coin };
+      }
+    }
+
+    const [top, runnerUp] = candidates;
+    const dominates = top.rank && (!runnerUp?.rank || runnerUp.rank >= top.rank * DOMINANCE_RATIO);
+    if (candidates.length === 1 || dominates) {
+      return { status: 'resolved', coin: top };
+    }
+
+    return { status: 'ambiguous', candidates: candidates.slice(0, MAX_CANDIDATES) };
+  }
+
+  async resolve(query) {
+    try {
+      await this.load({ priority: PRIORITY.USER });
+    } catch (error) {
+      console.warn('Coin registry unavailable:', error.message);
+    }
+    return this.lookup(query);
+  }
+}
+
+export const coinRegistry = new CoinRegistry();
+
+export const normalizeCoinName = (name) => {
+  const result = coinRegistry.lookup(name);
+  return result.coin?.id || result.candidates?.[0]?.id || name.toLowerCase();
+};
+
+export default coinRegistry;
@@ -1,216 +1,220 @@
-import axios from 'axios';
-
-const BASE_URL = 'https://api.coingecko.com/api/v3';
-
-class RateLimiter {
-  constructor(maxRequests = 10, windowMs = 60000) {
-    this.maxRequests = maxRequests;
-    this.windowMs = windowMs;
-    this.requests = [];
-  }
+import marketData from './marketData';
+import responseCache, { withCacheInfo } from './responseCache';
+import { PRIORITY } from './requestScheduler';
+import { BatchLoader } from './requestCoalescer';
+import { DEFAULT_CURRENCY } from '../utils/currency';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// ttlMs: served without a refresh; maxStaleMs: served instantly while refreshing
+const CACHE_POLICY = {
+  price: { ttlMs: MINUTE, maxStaleMs: 10 * MINUTE },
+  trending: { ttlMs: 10 * MINUTE, maxStaleMs: HOUR },
+  details: { ttlMs: 6 * HOUR, maxStaleMs: 7 * DAY },
+  history: { ttlMs: 15 * MINUTE, maxStaleMs: DAY },
+  // A past day's price doesn't change
+  pastPrice: { ttlMs: 7 * DAY, maxStaleMs: 30 * DAY },
+  search: { ttlMs: DAY, maxStaleMs: 7 * DAY },
+  coinList: { ttlMs: DAY, maxStaleMs: 30 * DAY },
+};
 
-  canMakeRequest() {
-    const now = Date.now();
-    this.requests = this.requests.filter(time => now - time < this.windowMs);
-    return this.requests.length < this.maxRequests;
-  }
+const priceKey = (coinId, currency) => `price:${currency}:${coinId}`;
 
-  recordRequest() {
-    this.requests.push(Date.now());
-  }
-}
+// Concurrent price lookups within 25ms share one /simple/price call per currency
+const priceLoader = new BatchLoader({
+  fetchBatch: (coinIds, { group: currency, priority }) =>
+    marketData.call('getPrices', coinIds, { priority, currency }),
+});
 
-const rateLimiter = new RateLimiter();
+const fetchAndCachePrices = async (coinIds, currency, { priority } = {}) => {
+  const fetched = await priceLoader.loadMany(coinIds, { group: currency, priority });
+  const prices = {};
+  await Promise.all(
+    Object.entries(fetched).map(([coinId, data]) => {
+      prices[coinId] = { ...data, currency };
+      return responseCache.set(priceKey(coinId, currency), prices[coinId]);
+    })
+  );
+  return prices;
+};
 
-const api = axios.create({
-  baseURL: BASE_URL,
-  timeout: 10000,
-});
+const getCachedPrices = async (coinIds, { currency = DEFAULT_CURRENCY, ...options } = {}) => {
+  const entries = await Promise.all(coinIds.map(coinId => responseCache.get(priceKey(coinId, currency))));
+  const { ttlMs, maxStaleMs } = CACHE_POLICY.price;
+
+  const prices = {};
+  const missing = [];
+  const stale = [];
+
+  coinIds.forEach((coinId, index) => {
+    const entry = entries[index];
+    if (responseCache.isFresh(entry, ttlMs)) {
+      prices[coinId] = withCacheInfo(entry.value, entry);
+    } else if (responseCache.isUsable(entry, maxStaleMs)) {
+      prices[coinId] = withCacheInfo(entry.value, entry, true);
+      stale.push(coinId);
+    } else {
+      missing.push(coinId);
+    }
+  });
 
-api.interceptors.request.use((config) => {
-  if (!rateLimiter.canMakeRequest()) {
-    return Promise.reject(new Error('Rate limit exceeded. Please wait a moment.'));
+  if (stale.length > 0) {
+    fetchAndCachePrices(stale, currency, { priority: PRIORITY.BACKGROUND }).catch(error => {
+      console.warn('Background price refresh failed:', error.message);
+    });
   }
-  rateLimiter.recordRequest();
-  return config;
-});
 
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.response?.status === 429) {
-      throw new Error('API rate limit exceeded. Please try again in a minute.');
-    }
-    if (error.code === 'ECONNABORTED') {
-      throw new Error('Request timeout. Please check your connection.');
-    }
-    if (!error.response) {
-      throw new Error('Network error. Please check your internet connection.');
+  if (missing.length > 0) {
+    try {
+      Object.assign(prices, await fetchAndCachePrices(missing, currency, options));
+    } catch (error) {
+      const fallbacks = missing.filter((coinId) => entries[coinIds.indexOf(coinId)]);
+      if (fallbacks.length < missing.length) {
+        throw error;
+      }
+      fallbacks.forEach((coinId) => {
+        const entry = entries[coinIds.indexOf(coinId)];
+        prices[coinId] = withCacheInfo(entry.value, entry, true);
+      });
     }
-    throw error;
   }
-);
+
+  return prices;
+};
 
 export const cryptoAPI = {
-  async getCurrentPrice(coinId) {
+  async getCurrentPrice(coinId, options = {}) {
     try {
-      const response = await api.get(`/simple/price`, {
-        params: {
-          ids: coinId,
-          vs_currencies: 'usd',
-          include_24hr_change: true,
-          include_market_cap: true,
-        }
-      });
+      const prices = await getCachedPrices([coinId], options);
       
-      const data = response.data[coinId];
+      const data = prices[coinId];
       if (!data) {
         throw new Error(`Cryptocurrency "${coinId}" not found`);
       }
       
-      return {
-        price: data.usd,
-        change24h: data.usd_24h_change,
-        marketCap: data.usd_market_cap,
-      };
+      return data;
     } catch (error) {
       console.error('Error fetching current price:', error);
       throw error;
     }
   },
 
-  async getTrendingCoins() {
+  async getTrendingCoins(options = {}) {
     try {
-      const response = await api.get('/search/trending');
-      return response.data.coins.map(coin => ({
-        id: coin.item.id,
-        name: coin.item.name,
-        symbol: coin.item.symbol,
-        rank: coin.item.market_cap_rank,
-        thumb: coin.item.thumb,
-      }));
+      return await responseCache.fetch(
+        'trending',
+        CACHE_POLICY.trending,
+        (request) => marketData.call('getTrendingCoins', request),
+        options
+      );
     } catch (error) {
       console.error('Error fetching trending coins:', error);
       throw error;
     }
   },
 
-  async getCoinDetails(coinId) {
+  async getCoinDetails(coinId, { currency = DEFAULT_CURRENCY, ...options } = {}) {
     try {
-      const response = await api.get(`/coins/${coinId}`, {
-        params: {
-          localization: false,
-          tickers: false,
-          market_data: true,
-          community_data: false,
-          developer_data: false,
-        }
-      });
-      
-      const coin = response.data;
-      return {
-        id: coin.id,
-        name: coin.name,
-        symbol: coin.symbol.toUpperCase(),
-        description: coin.description?.en?.split('.')[0] + '.' || 'No description available.',
-        currentPrice: coin.market_data?.current_price?.usd,
-        marketCap: coin.market_data?.market_cap?.usd,
-        change24h: coin.market_data?.price_change_percentage_24h,
-        volume24h: coin.market_data?.total_volume?.usd,
-        rank: coin.market_cap_rank,
-        image: coin.image?.large,
-      };
+      return await responseCache.fetch(
+        `details:${currency}:${coinId}`,
+        CACHE_POLICY.details,
+        async (request) => ({
+          ...await marketData.call('getCoinDetails', coinId, { ...request, currency }),
+          currency,
+        }),
+        options
+      );
     } catch (error) {
       console.error('Error fetching coin details:', error);
       throw error;
     }
   },
 
-  async getHistoricalData(coinId, days = 7) {
+  async getHistoricalData(coinId, days = 7, { currency = DEFAULT_CURRENCY, ...options } = {}) {
     try {
-      const response = await api.get(`/coins/${coinId}/market_chart`, {
-        params: {
-          vs_currency: 'usd',
-          days: days,
-          interval: days <= 1 ? 'hourly' : 'daily',
-        }
-      });
-      
-      return response.data.prices.map(([timestamp, price]) => ({
-        timestamp: new Date(timestamp),
-        price: price,
-      }));
+      return await responseCache.fetch(
+        `history:${currency}:${coinId}:${days}`,
+        CACHE_POLICY.history,
+        (request) => marketData.call('getHistoricalData', coinId, days, { ...request, currency }),
+        options
+      );
     } catch (error) {
       console.error('Error fetching historical data:', error);
       throw error;
     }
   },
 
-  async searchCoins(query) {
+  // { price, marketCap, volume24h } at the start of a past calendar day
+  async getPriceOnDate(coinId, date, { currency = DEFAULT_CURRENCY, ...options } = {}) {
+    const day = new Date(date);
+    const dayKey = `${day.getFullYear()}-${day.getMonth() + 1}-${day.getDate()}`;
     try {
-      const response = await api.get('/search', {
-        params: { query }
-      });
-      
-      return response.data.coins.slice(0, 10).map(coin => ({
-        id: coin.id,
-        name: coin.name,
-        symbol: coin.symbol.toUpperCase(),
-        rank: coin.market_cap_rank,
-        thumb: coin.thumb,
-      }));
+      return await responseCache.fetch(
+        `price-on:${currency}:${coinId}:${dayKey}`,
+        CACHE_POLICY.pastPrice,
+        async (request) => ({
+          ...await marketData.call('getPriceOnDate', coinId, day, { ...request, currency }),
+          currency,
+        }),
+        options
+      );
+    } catch (error) {
+      console.error('Error fetching price on date:', error);
+      throw error;
+    }
+  },
+
+  async searchCoins(query, options = {}) {
+    try {
+      const normalized = query.trim().toLowerCase();
+      return await responseCache.fetch(
+        `search:${normalized}`,
+        CACHE_POLICY.search,
+        (request) => marketData.call('searchCoins', normalized, request),
+        options
+      );
     } catch (error) {
       console.error('Error searching coins:', error);
       throw error;
     }
   },
 
-  async getMultiplePrices(coinIds) {
+  async getMultiplePrices(coinIds, options = {}) {
     try {
-      const response = await api.get('/simple/price', {
-        params: {
-          ids: coinIds.join(','),
-          vs_currencies: 'usd',
-          include_24hr_change: true,
-        }
-      });
-      
-      return response.data;
+      return await getCachedPrices(coinIds, options);
     } catch (error) {
       console.error('Error fetching multiple prices:', error);
       throw error;
     }
   },
-};
 
-export const normalizeCoinName = (name) => {
-  const coinMap = {
-    'btc': 'bitcoin',
-    'bitcoin': 'bitcoin',
-    'eth': 'ethereum',
-    'ethereum': 'ethereum',
-    'ada': 'cardano',
-    'cardano': 'cardano',
-    'dot': 'polkadot',
-    'polkadot': 'polkadot',
-    'link': 'chainlink',
-    'chainlink': 'chainlink',
-    'bnb': 'binancecoin',
-    'binance': 'binancecoin',
-    'sol': 'solana',
-    'solana': 'solana',
-    'matic': 'matic-network',
-    'polygon': 'matic-network',
-    'avax': 'avalanche-2',
-    'avalanche': 'avalanche-2',
-    'luna': 'terra-luna',
-    'doge': 'dogecoin',
-    'dogecoin': 'dogecoin',
-    'shib': 'shiba-inu',
-    'shiba': 'shiba-inu',
-  };
-  
-  return coinMap[name.toLowerCase()] || name.toLowerCase();
+  async getCoinList(options = {}) {
+    try {
+      return await responseCache.fetch(
+        'coin-list',
+        CACHE_POLICY.coinList,
+        (request) => marketData.call('getCoinList', request),
+        options
+      );
+    } catch (error) {
+      console.error('Error fetching coin list:', error);
+      throw error;
+    }
+  },
+
+  clearCache() {
+    return responseCache.clear();
+  },
+
+  getApiStatus() {
+    return marketData.getStatus();
+  },
+
+  subscribeApiStatus(listener) {
+    return marketData.subscribe(listener);
+  },
 };
 
 export default cryptoAPI;
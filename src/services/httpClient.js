@@ -0,0 +1,84 @@
+import axios from 'axios';
+import { RequestScheduler, PRIORITY } from './requestScheduler';
+
+export class ProviderError extends Error {
+  constructor(message, { code, provider, status, retryAfterMs } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.code = code;
+    this.provider = provider;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  // Errors the next provider in the chain might not hit
+  get canFailover() {
+    return ['RATE_LIMITED', 'TIMEOUT', 'NETWORK', 'UPSTREAM', 'UNSUPPORTED'].includes(this.code);
+  }
+}
+
+const parseRetryAfter = (header) => {
+  if (!header) return undefined;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+// Every request goes through the provider's scheduler, so callers queue for
+// budget instead of failing. Pass { priority: 'background' } for refreshes.
+export const createHttpClient = ({ name, baseURL, timeout = 10000, maxRequests = 10, windowMs = 60000 }) => {
+  const client = axios.create({ baseURL, timeout });
+  const scheduler = new RequestScheduler({ name, maxRequests, windowMs });
+
+  client.interceptors.response.use(
+    (response) => response,
+    (error) => {
+      const status = error.response?.status;
+      if (status === 429) {
+        throw new ProviderError('API rate limit exceeded. Please try again in a minute.', {
+          code: 'RATE_LIMITED',
+          provider: name,
+          status,
+          retryAfterMs: parseRetryAfter(error.response.headers?.['retry-after']),
+        });
+      }
+      if (error.code === 'ECONNABORTED') {
+        throw new ProviderError('Request timeout. Please check your connection.', {
+          code: 'TIMEOUT',
+          provider: name,
+        });
+      }
+      if (!error.response) {
+        throw new ProviderError('Network error. Please check your internet connection.', {
+          code: 'NETWORK',
+          provider: name,
+        });
+      }
+      if (status === 404) {
+        throw new ProviderError('Cryptocurrency not found', {
+          code: 'NOT_FOUND',
+          provider: name,
+          status,
+        });
+      }
+      if (status >= 500) {
+        throw new ProviderError(`${name} is unavailable right now (HTTP ${status}).`, {
+          code: 'UPSTREAM',
+          provider: name,
+          status,
+        });
+      }
+      throw error;
+    }
+  );
+
+  return {
+    scheduler,
+    get(url, { priority = PRIORITY.USER, ...config } = {}) {
+      return scheduler.schedule(() => client.get(url, config), { priority });
+    },
+  };
+};
+
+export default createHttpClient;
@@ -0,0 +1,37 @@
+// Minimal promise wrappers around IndexedDB. Callers fall back to memory
+// when it is unavailable (private browsing, old browsers, tests).
+
+export const isIndexedDBAvailable = () =>
+  typeof indexedDB !== 'undefined' && indexedDB !== null;
+
+export const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+export const openDatabase = (name, version, upgrade) =>
+  new Promise((resolve, reject) => {
+    if (!isIndexedDBAvailable()) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error(`Database "${name}" is blocked by another tab`));
+  });
+
+export const withStore = async (dbPromise, storeName, mode, callback) => {
+  const db = await dbPromise;
+  const transaction = db.transaction(storeName, mode);
+  const result = await callback(transaction.objectStore(storeName));
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  return result;
+};
@@ -0,0 +1,95 @@
+import coinGeckoProvider from './providers/coinGecko';
+import coinPaprikaProvider from './providers/coinPaprika';
+import fixtureProvider from './providers/fixture';
+import { ProviderError } from './httpClient';
+
+const PROVIDERS = {
+  coingecko: coinGeckoProvider,
+  coinpaprika: coinPaprikaProvider,
+  fixture: fixtureProvider,
+};
+
+const DEFAULT_CHAIN = 'coingecko,coinpaprika';
+const DEFAULT_COOLDOWN_MS = 60000;
+
+export class MarketDataService {
+  constructor(providers) {
+    this.providers = providers;
+    this.cooldowns = new Map();
+  }
+
+  isCoolingDown(provider) {
+    const until = this.cooldowns.get(provider.name);
+    return until !== undefined && until > Date.now();
+  }
+
+  // Providers that support the method, healthy ones first
+  candidatesFor(method) {
+    const supported = this.providers.filter(provider => typeof provider[method] === 'function');
+    return [
+      ...supported.filter(provider => !this.isCoolingDown(provider)),
+      ...supported.filter(provider => this.isCoolingDown(provider)),
+    ];
+  }
+
+  async call(method, ...args) {
+    const candidates = this.candidatesFor(method);
+    if (candidates.length === 0) {
+      throw new ProviderError(`No market data provider supports ${method}`, { code: 'UNSUPPORTED' });
+    }
+
+    let lastError;
+    for (const provider of candidates) {
+      try {
+        const result = await provider[method](...args);
+        this.cooldowns.delete(provider.name);
+        return result;
+      } catch (error) {
+        if (!(error instanceof ProviderError) || !error.canFailover) {
+          throw error;
+        }
+        lastError = error;
+        if (error.code === 'RATE_LIMITED') {
+          this.cooldowns.set(provider.name, Date.now() + (error.retryAfterMs ?? DEFAULT_COOLDOWN_MS));
+        }
+        console.warn(`${provider.name} failed (${error.code}), trying next provider`);
+      }
+    }
+
+    throw lastError;
+  }
+
+  // Budget across providers; waitMs is how long the next queued request will sit
+  getStatus() {
+    const providers = this.providers
+      .filter(provider => provider.scheduler)
+      .map(provider => provider.scheduler.getStatus());
+    const waiting = providers.filter(status => status.queueDepth > 0);
+
+    return {
+      providers,
+      remaining: providers[0]?.remaining ?? 0,
+      queueDepth: providers.reduce((total, status) => total + status.queueDepth, 0),
+      waitMs: waiting.length > 0 ? Math.min(...waiting.map(status => status.waitMs)) : 0,
+    };
+  }
+
+  subscribe(listener) {
+    const unsubscribers = this.providers
+      .filter(provider => provider.scheduler)
+      .map(provider => provider.scheduler.subscribe(() => listener(this.getStatus())));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+}
+
+// VITE_MARKET_PROVIDERS picks and orders the sources, e.g. "fixture" for offline work
+const configuredChain = (import.meta.env?.VITE_MARKET_PROVIDERS || DEFAULT_CHAIN)
+  .split(',')
+  .map(name => PROVIDERS[name.trim().toLowerCase()])
+  .filter(Boolean);
+
+export const marketData = new MarketDataService(
+  configuredChain.length > 0 ? configuredChain : [coinGeckoProvider]
+);
+
+export default marketData;
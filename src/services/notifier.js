@@ -0,0 +1,52 @@
+export const NOTIFICATION_PERMISSION = {
+  GRANTED: 'granted',
+  DENIED: 'denied',
+  DEFAULT: 'default',
+  UNSUPPORTED: 'unsupported',
+};
+
+// Browser notifications, for news that should reach the user while the
+// chat isn't in front of them
+class Notifier {
+  get isSupported() {
+    return typeof window !== 'undefined' && 'Notification' in window;
+  }
+
+  get permission() {
+    return this.isSupported ? window.Notification.permission : NOTIFICATION_PERMISSION.UNSUPPORTED;
+  }
+
+  async requestPermission() {
+    if (this.permission !== NOTIFICATION_PERMISSION.DEFAULT) {
+      return this.permission;
+    }
+    try {
+      return await window.Notification.requestPermission();
+    } catch (error) {
+      console.error('Error requesting notification permission:', error);
+      return this.permission;
+    }
+  }
+
+  notify(title, { body, tag } = {}) {
+    if (this.permission !== NOTIFICATION_PERMISSION.GRANTED) {
+      return null;
+    }
+    try {
+      const notification = new window.Notification(title, { body, tag });
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+      };
+      return notification;
+    } catch (error) {
+      // Some mobile browsers only show notifications from a service worker
+      console.error('Error showing notification:', error);
+      return null;
+    }
+  }
+}
+
+export const notifier = new Notifier();
+
+export default notifier;
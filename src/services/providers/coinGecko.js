@@ -0,0 +1,164 @@
+import { createHttpClient, ProviderError } from '../httpClient';
+
+const BASE_URL = 'https://api.coingecko.com/api/v3';
+
+const api = createHttpClient({
+  name: 'CoinGecko',
+  baseURL: BASE_URL,
+  maxRequests: 10,
+  windowMs: 60000,
+});
+
+export const coinGeckoProvider = {
+  name: 'CoinGecko',
+  scheduler: api.scheduler,
+
+  async getPrices(coinIds, { priority, currency = 'usd' } = {}) {
+    const response = await api.get('/simple/price', {
+      params: {
+        ids: coinIds.join(','),
+        vs_currencies: currency,
+        include_24hr_change: true,
+        include_market_cap: true,
+      },
+      priority,
+    });
+
+    const prices = {};
+    Object.entries(response.data).forEach(([coinId, data]) => {
+      prices[coinId] = {
+        price: data[currency],
+        change24h: data[`${currency}_24h_change`],
+        marketCap: data[`${currency}_market_cap`],
+      };
+    });
+    return prices;
+  },
+
+  async getTrendingCoins({ priority } = {}) {
+    const response = await api.get('/search/trending', { priority });
+    return response.data.coins.map(coin => ({
+      id: coin.item.id,
+      name: coin.item.name,
+      symbol: coin.item.symbol,
+      rank: coin.item.market_cap_rank,
+      thumb: coin.item.thumb,
+    }));
+  },
+
+  async getCoinDetails(coinId, { priority, currency = 'usd' } = {}) {
+    const response = await api.get(`/coins/${coinId}`, {
+      params: {
+        localization: false,
+        tickers: false,
+        market_data: true,
+        community_data: false,
+        developer_data: false,
+      },
+      priority,
+    });
+
+    const coin = response.data;
+    return {
+      id: coin.id,
+      name: coin.name,
+      symbol: coin.symbol.toUpperCase(),
+      description: coin.description?.en?.split('.')[0] + '.' || 'No description available.',
+      currentPrice: coin.market_data?.current_price?.[currency],
+      marketCap: coin.market_data?.market_cap?.[currency],
+      change24h: coin.market_data?.price_change_percentage_24h,
+      volume24h: coin.market_data?.total_volume?.[currency],
+      rank: coin.market_cap_rank,
+      image: coin.image?.large,
+    };
+  },
+
+  async getHistoricalData(coinId, days = 7, { priority, currency = 'usd' } = {}) {
+    const response = await api.get(`/coins/${coinId}/market_chart`, {
+      params: {
+        vs_currency: currency,
+        days: days,
+        interval: days <= 1 ? 'hourly' : 'daily',
+      },
+      priority,
+    });
+
+    if (!response.data?.prices) {
+      throw new ProviderError(`No price history for "${coinId}"`, { code: 'NOT_FOUND', provider: this.name });
+    }
+
+    return response.data.prices.map(([timestamp, price]) => ({
+      timestamp: new Date(timestamp),
+      price: price,
+    }));
+  },
+
+  // The day's opening snapshot (00:00 UTC) for a calendar date
+  async getPriceOnDate(coinId, date, { priority, currency = 'usd' } = {}) {
+    const day = String(date.getDate()).padStart(2, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const response = await api.get(`/coins/${coinId}/history`, {
+      params: {
+        date: `${day}-${month}-${date.getFullYear()}`,
+        localization: false,
+      },
+      priority,
+    });
+
+    const marketData = response.data?.market_data;
+    if (!marketData?.current_price?.[currency]) {
+      throw new ProviderError(`No ${currency.toUpperCase()} price for "${coinId}" on that date`, { code: 'NOT_FOUND', provider: this.name });
+    }
+
+    return {
+      price: marketData.current_price[currency],
+      marketCap: marketData.market_cap?.[currency] || null,
+      volume24h: marketData.total_volume?.[currency] || null,
+    };
+  },
+
+  // Every listed coin, ranked where it is in the top 500 by market cap
+  async getCoinList({ priority } = {}) {
+    const [listResponse, ...marketPages] = await Promise.all([
+      api.get('/coins/list', { priority }),
+      ...[1, 2].map(page => api.get('/coins/markets', {
+        params: {
+          vs_currency: 'usd',
+          order: 'market_cap_desc',
+          per_page: 250,
+          page,
+        },
+        priority,
+      })),
+    ]);
+
+    const ranks = new Map();
+    marketPages.forEach(response => {
+      response.data.forEach(coin => ranks.set(coin.id, coin.market_cap_rank));
+    });
+
+    return listResponse.data.map(coin => ({
+      id: coin.id,
+      symbol: coin.symbol.toLowerCase(),
+      name: coin.name,
+      rank: ranks.get(coin.id) ?? null,
+    }));
+  },
+
+  async searchCoins(query, { priority } = {}) {
+    const response = await api.get('/search', {
+      params: { query },
+      priority,
+    });
+
+    return response.data.coins.slice(0, 10).map(coin => ({
+      id: coin.id,
+      name: coin.name,
+      symbol: coin.symbol.toUpperCase(),
+      rank: coin.market_cap_rank,
+      thumb: coin.thumb,
+    }));
+  },
+};
+
+export default coinGeckoProvider;
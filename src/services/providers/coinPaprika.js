@@ -0,0 +1,207 @@
+import { createHttpClient, ProviderError } from '../httpClient';
+
+const BASE_URL = 'https://api.coinpaprika.com/v1';
+
+const api = createHttpClient({
+  name: 'CoinPaprika',
+  baseURL: BASE_URL,
+  maxRequests: 20,
+  windowMs: 60000,
+});
+
+// The app speaks CoinGecko ids; CoinPaprika ids are "<symbol>-<name-slug>".
+// Popular coins whose slugs differ are mapped explicitly, the rest are guessed.
+const KNOWN_IDS = {
+  'bitcoin': 'btc-bitcoin',
+  'ethereum': 'eth-ethereum',
+  'tether': 'usdt-tether',
+  'binancecoin': 'bnb-binance-coin',
+  'solana': 'sol-solana',
+  'ripple': 'xrp-xrp',
+  'usd-coin': 'usdc-usd-coin',
+  'cardano': 'ada-cardano',
+  'dogecoin': 'doge-dogecoin',
+  'tron': 'trx-tron',
+  'polkadot': 'dot-polkadot',
+  'chainlink': 'link-chainlink',
+  'matic-network': 'matic-polygon',
+  'avalanche-2': 'avax-avalanche',
+  'shiba-inu': 'shib-shiba-inu',
+  'litecoin': 'ltc-litecoin',
+  'the-open-network': 'ton-toncoin',
+  'terra-luna': 'luna-terra',
+};
+
+const KNOWN_GECKO_IDS = Object.fromEntries(
+  Object.entries(KNOWN_IDS).map(([geckoId, paprikaId]) => [paprikaId, geckoId])
+);
+
+const resolvedIds = new Map(Object.entries(KNOWN_IDS));
+
+const toGeckoId = (paprikaId) =>
+  KNOWN_GECKO_IDS[paprikaId] || paprikaId.split('-').slice(1).join('-');
+
+const toPaprikaId = async (coinId, priority) => {
+  if (resolvedIds.has(coinId)) {
+    return resolvedIds.get(coinId);
+  }
+
+  const response = await api.get('/search', {
+    params: { q: coinId.replace(/-/g, ' '), c: 'currencies', limit: 5 },
+    priority,
+  });
+  const candidates = response.data.currencies || [];
+  if (candidates.length === 0) {
+    throw new ProviderError(`Cryptocurrency "${coinId}" not found`, { code: 'NOT_FOUND', provider: 'CoinPaprika' });
+  }
+
+  // Only an exact id, name or symbol will do; a near miss would price the
+  // wrong coin, so another provider gets to answer instead
+  const asName = (name) => name.toLowerCase().replace(/\s+/g, '-');
+  const byName = candidates.filter(currency => asName(currency.name) === coinId || currency.symbol.toLowerCase() === coinId);
+  const match = candidates.find(currency => toGeckoId(currency.id) === coinId)
+    || (byName.length === 1 ? byName[0] : null);
+  if (!match) {
+    throw new ProviderError(`CoinPaprika has no exact match for "${coinId}"`, { code: 'UNSUPPORTED', provider: 'CoinPaprika' });
+  }
+
+  resolvedIds.set(coinId, match.id);
+  return match.id;
+};
+
+// Historical ticks are only published against these quotes
+const HISTORY_QUOTES = ['usd', 'btc'];
+
+const toDateParam = (date) => date.toISOString().split('T')[0];
+
+export const coinPaprikaProvider = {
+  name: 'CoinPaprika',
+  scheduler: api.scheduler,
+
+  async getPrices(coinIds, { priority, currency = 'usd' } = {}) {
+    const prices = {};
+
+    await Promise.all(coinIds.map(async (coinId) => {
+      try {
+        const paprikaId = await toPaprikaId(coinId, priority);
+        const quoteCode = currency.toUpperCase();
+        const response = await api.get(`/tickers/${paprikaId}`, { params: { quotes: quoteCode }, priority });
+        const quote = response.data.quotes?.[quoteCode];
+        if (!quote) {
+          throw new ProviderError(`CoinPaprika has no ${quoteCode} quote`, { code: 'UNSUPPORTED', provider: 'CoinPaprika' });
+        }
+        prices[coinId] = {
+          price: quote.price,
+          change24h: quote.percent_change_24h,
+          marketCap: quote.market_cap,
+        };
+      } catch (error) {
+        // Mirror /simple/price, which silently omits unknown ids; one coin
+        // without an exact match or quote shouldn't fail the whole list
+        if (error.code !== 'NOT_FOUND' && error.code !== 'UNSUPPORTED') throw error;
+      }
+    }));
+
+    return prices;
+  },
+
+  async getCoinDetails(coinId, { priority, currency = 'usd' } = {}) {
+    const paprikaId = await toPaprikaId(coinId, priority);
+    const quoteCode = currency.toUpperCase();
+    const [coinResponse, tickerResponse] = await Promise.all([
+      api.get(`/coins/${paprikaId}`, { priority }),
+      api.get(`/tickers/${paprikaId}`, { params: { quotes: quoteCode }, priority }),
+    ]);
+
+    const coin = coinResponse.data;
+    const quote = tickerResponse.data.quotes?.[quoteCode];
+    if (!quote) {
+      throw new ProviderError(`CoinPaprika has no ${quoteCode} quote`, { code: 'UNSUPPORTED', provider: 'CoinPaprika' });
+    }
+    return {
+      id: coinId,
+      name: coin.name,
+      symbol: coin.symbol.toUpperCase(),
+      description: coin.description ? coin.description.split('.')[0] + '.' : 'No description available.',
+      currentPrice: quote.price,
+      marketCap: quote.market_cap,
+      change24h: quote.percent_change_24h,
+      volume24h: quote.volume_24h,
+      rank: coin.rank,
+      image: coin.logo,
+    };
+  },
+
+  async getHistoricalData(coinId, days = 7, { priority, currency = 'usd' } = {}) {
+    if (!HISTORY_QUOTES.includes(currency)) {
+      throw new ProviderError(`CoinPaprika has no ${currency.toUpperCase()} price history`, {
+        code: 'UNSUPPORTED',
+        provider: this.name,
+      });
+    }
+
+    const paprikaId = await toPaprikaId(coinId, priority);
+    const start = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const response = await api.get(`/tickers/${paprikaId}/historical`, {
+      params: {
+        start: toDateParam(start),
+        interval: days <= 1 ? '1h' : '1d',
+        quote: currency,
+      },
+      priority,
+    });
+
+    return response.data.map(point => ({
+      timestamp: new Date(point.timestamp),
+      price: point.price,
+    }));
+  },
+
+  async getPriceOnDate(coinId, date, { priority, currency = 'usd' } = {}) {
+    if (!HISTORY_QUOTES.includes(currency)) {
+      throw new ProviderError(`CoinPaprika has no ${currency.toUpperCase()} price history`, {
+        code: 'UNSUPPORTED',
+        provider: this.name,
+      });
+    }
+
+    const paprikaId = await toPaprikaId(coinId, priority);
+    const day = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    const response = await api.get(`/tickers/${paprikaId}/historical`, {
+      params: {
+        start: toDateParam(day),
+        interval: '1d',
+        limit: 1,
+        quote: currency,
+      },
+      priority,
+    });
+
+    const [point] = response.data;
+    if (!point) {
+      throw new ProviderError(`No ${currency.toUpperCase()} price for "${coinId}" on that date`, { code: 'NOT_FOUND', provider: this.name });
+    }
+    return {
+      price: point.price,
+      marketCap: point.market_cap || null,
+      volume24h: point.volume_24h || null,
+    };
+  },
+
+  async searchCoins(query, { priority } = {}) {
+    const response = await api.get('/search', {
+      params: { q: query, c: 'currencies', limit: 10 },
+      priority,
+    });
+
+    return (response.data.currencies || []).map(currency => ({
+      id: toGeckoId(currency.id),
+      name: currency.name,
+      symbol: currency.symbol.toUpperCase(),
+      rank: currency.rank,
+      thumb: null,
+    }));
+  },
+};
+
+export default coinPaprikaProvider;
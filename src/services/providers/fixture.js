@@ -0,0 +1,141 @@
+import { ProviderError } from '../httpClient';
+
+// Offline stand-in for development, demos and outages. Prices are a frozen
+// snapshot and history is synthesised around them, so never mix it with live data.
+const COINS = {
+  bitcoin: { name: 'Bitcoin', symbol: 'BTC', price: 67250, change24h: 1.84, marketCap: 1326000000000, volume24h: 28400000000, rank: 1 },
+  ethereum: { name: 'Ethereum', symbol: 'ETH', price: 3480, change24h: -0.92, marketCap: 418000000000, volume24h: 15200000000, rank: 2 },
+  tether: { name: 'Tether', symbol: 'USDT', price: 1, change24h: 0.01, marketCap: 112000000000, volume24h: 48000000000, rank: 3 },
+  binancecoin: { name: 'BNB', symbol: 'BNB', price: 585, change24h: 0.45, marketCap: 86000000000, volume24h: 1600000000, rank: 4 },
+  solana: { name: 'Solana', symbol: 'SOL', price: 152, change24h: 3.21, marketCap: 70000000000, volume24h: 2900000000, rank: 5 },
+  ripple: { name: 'XRP', symbol: 'XRP', price: 0.52, change24h: -1.4, marketCap: 29000000000, volume24h: 1100000000, rank: 7 },
+  cardano: { name: 'Cardano', symbol: 'ADA', price: 0.45, change24h: -2.05, marketCap: 16000000000, volume24h: 380000000, rank: 10 },
+  dogecoin: { name: 'Dogecoin', symbol: 'DOGE', price: 0.15, change24h: 5.6, marketCap: 21000000000, volume24h: 1300000000, rank: 8 },
+  polkadot: { name: 'Polkadot', symbol: 'DOT', price: 7.1, change24h: 0.6, marketCap: 10000000000, volume24h: 210000000, rank: 14 },
+  chainlink: { name: 'Chainlink', symbol: 'LINK', price: 14.2, change24h: 2.3, marketCap: 8300000000, volume24h: 390000000, rank: 16 },
+};
+
+// USD value of one unit of each quote currency
+const USD_RATES = {
+  usd: 1,
+  eur: 1.08,
+  gbp: 1.27,
+  inr: 0.012,
+  btc: COINS.bitcoin.price,
+  eth: COINS.ethereum.price,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const convert = (usdValue, currency) => {
+  const rate = USD_RATES[currency];
+  if (!rate) {
+    throw new ProviderError(`Fixture data has no ${currency.toUpperCase()} rates`, { code: 'UNSUPPORTED', provider: 'Fixture' });
+  }
+  return usdValue / rate;
+};
+
+const getFixture = (coinId) => {
+  const coin = COINS[coinId];
+  if (!coin) {
+    throw new ProviderError(`Cryptocurrency "${coinId}" not found`, { code: 'NOT_FOUND', provider: 'Fixture' });
+  }
+  return coin;
+};
+
+const toListing = ([id, coin]) => ({
+  id,
+  name: coin.name,
+  symbol: coin.symbol,
+  rank: coin.rank,
+  thumb: null,
+});
+
+export const fixtureProvider = {
+  name: 'Fixture',
+
+  async getPrices(coinIds, { currency = 'usd' } = {}) {
+    const prices = {};
+    coinIds.filter(coinId => COINS[coinId]).forEach(coinId => {
+      const coin = COINS[coinId];
+      prices[coinId] = {
+        price: convert(coin.price, currency),
+        change24h: coin.change24h,
+        marketCap: convert(coin.marketCap, currency),
+      };
+    });
+    return prices;
+  },
+
+  async getTrendingCoins() {
+    return Object.entries(COINS)
+      .sort(([, a], [, b]) => b.change24h - a.change24h)
+      .map(toListing);
+  },
+
+  async getCoinDetails(coinId, { currency = 'usd' } = {}) {
+    const coin = getFixture(coinId);
+    return {
+      id: coinId,
+      name: coin.name,
+      symbol: coin.symbol,
+      description: `${coin.name} is served from local fixture data.`,
+      currentPrice: convert(coin.price, currency),
+      marketCap: convert(coin.marketCap, currency),
+      change24h: coin.change24h,
+      volume24h: convert(coin.volume24h, currency),
+      rank: coin.rank,
+      image: null,
+    };
+  },
+
+  async getHistoricalData(coinId, days = 7, { currency = 'usd' } = {}) {
+    const coin = getFixture(coinId);
+    const price = convert(coin.price, currency);
+    const stepMs = days <= 1 ? DAY_MS / 24 : DAY_MS;
+    const points = Math.round((days * DAY_MS) / stepMs);
+    const now = Date.now();
+
+    return Array.from({ length: points + 1 }, (_, index) => {
+      const wave = Math.sin(index / 3 + coin.rank) * 0.03 + Math.cos(index / 7) * 0.02;
+      return {
+        timestamp: new Date(now - (points - index) * stepMs),
+        price: index === points ? price : price * (1 + wave),
+      };
+    });
+  },
+
+  // Waves around the snapshot like getHistoricalData, settling on it today
+  async getPriceOnDate(coinId, date, { currency = 'usd' } = {}) {
+    const coin = getFixture(coinId);
+    const daysAgo = Math.max(0, Math.round((Date.now() - date.getTime()) / DAY_MS));
+    const wave = daysAgo === 0 ? 0 : Math.sin(daysAgo / 3 + coin.rank) * 0.03 + Math.cos(daysAgo / 7) * 0.02;
+    return {
+      price: convert(coin.price, currency) * (1 + wave),
+      marketCap: convert(coin.marketCap, currency) * (1 + wave),
+      volume24h: convert(coin.volume24h, currency),
+    };
+  },
+
+  async getCoinList() {
+    return Object.entries(COINS).map(([id, coin]) => ({
+      id,
+      symbol: coin.symbol.toLowerCase(),
+      name: coin.name,
+      rank: coin.rank,
+    }));
+  },
+
+  async searchCoins(query) {
+    const needle = query.toLowerCase();
+    return Object.entries(COINS)
+      .filter(([id, coin]) =>
+        id.includes(needle) ||
+        coin.name.toLowerCase().includes(needle) ||
+        coin.symbol.toLowerCase() === needle
+      )
+      .map(toListing);
+  },
+};
+
+export default fixtureProvider;
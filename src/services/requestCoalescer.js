@@ -0,0 +1,68 @@
+import { PRIORITY } from './requestScheduler';
+
+/**
+ * Collects single-key loads for a short window and fetches them in one
+ * request per group (e.g. per quote currency). A key already being fetched
+ * is not requested again; its callers share the pending promise.
+ */
+export class BatchLoader {
+  constructor({ fetchBatch, windowMs = 25, maxBatchSize = 100 }) {
+    this.fetchBatch = fetchBatch;
+    this.windowMs = windowMs;
+    this.maxBatchSize = maxBatchSize;
+    this.pending = new Map();
+    this.inFlight = new Map();
+  }
+
+  load(key, { group = 'default', priority = PRIORITY.USER } = {}) {
+    const flightKey = `${group}:${key}`;
+    if (this.inFlight.has(flightKey)) {
+      return this.inFlight.get(flightKey);
+    }
+
+    let batch = this.pending.get(group);
+    if (!batch) {
+      batch = { keys: new Map(), priority, timer: null };
+      batch.timer = setTimeout(() => this.flush(group), this.windowMs);
+      this.pending.set(group, batch);
+    }
+    if (priority === PRIORITY.USER) {
+      batch.priority = PRIORITY.USER;
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      batch.keys.set(key, { resolve, reject });
+    }).finally(() => this.inFlight.delete(flightKey));
+    this.inFlight.set(flightKey, promise);
+
+    if (batch.keys.size >= this.maxBatchSize) {
+      this.flush(group);
+    }
+    return promise;
+  }
+
+  loadMany(keys, options) {
+    return Promise.all(keys.map(key => this.load(key, options)))
+      .then(values => Object.fromEntries(
+        keys.map((key, index) => [key, values[index]]).filter(([, value]) => value !== undefined)
+      ));
+  }
+
+  async flush(group) {
+    const batch = this.pending.get(group);
+    if (!batch) return;
+
+    clearTimeout(batch.timer);
+    this.pending.delete(group);
+
+    const keys = [...batch.keys.keys()];
+    try {
+      const results = await this.fetchBatch(keys, { group, priority: batch.priority });
+      batch.keys.forEach(({ resolve }, key) => resolve(results[key]));
+    } catch (error) {
+      batch.keys.forEach(({ reject }) => reject(error));
+    }
+  }
+}
+
+export default BatchLoader;
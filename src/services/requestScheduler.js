@@ -0,0 +1,159 @@
+export const PRIORITY = {
+  USER: 'user',
+  BACKGROUND: 'background',
+};
+
+const PRIORITY_ORDER = {
+  [PRIORITY.USER]: 0,
+  [PRIORITY.BACKGROUND]: 1,
+};
+
+const RETRYABLE_CODES = ['RATE_LIMITED', 'TIMEOUT'];
+
+/**
+ * Sliding-window request budget with a priority queue in front of it.
+ * Requests over budget wait for a slot instead of failing; 429s and
+ * timeouts are retried with exponential backoff and full jitter, and a
+ * server-sent Retry-After pauses the whole queue. A 429 on a user request
+ * is rejected straight away so the caller can try another provider.
+ */
+export class RequestScheduler {
+  constructor({
+    name,
+    maxRequests = 10,
+    windowMs = 60000,
+    maxRetries = 2,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+  } = {}) {
+    this.name = name;
+    this.maxRequests = maxRequests;
+    this.windowMs = windowMs;
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.requests = [];
+    this.queue = [];
+    this.blockedUntil = 0;
+    this.timer = null;
+    this.listeners = new Set();
+    this.sequence = 0;
+  }
+
+  schedule(task, { priority = PRIORITY.USER } = {}) {
+    return new Promise((resolve, reject) => {
+      this.enqueue({
+        task,
+        priority,
+        resolve,
+        reject,
+        attempt: 0,
+        notBefore: 0,
+        sequence: this.sequence++,
+      });
+    });
+  }
+
+  enqueue(job) {
+    this.queue.push(job);
+    this.queue.sort((a, b) =>
+      PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority] || a.sequence - b.sequence
+    );
+    this.pump();
+  }
+
+  pruneWindow(now = Date.now()) {
+    this.requests = this.requests.filter(time => now - time < this.windowMs);
+  }
+
+  // Milliseconds until the budget allows another request
+  budgetWaitMs(now = Date.now()) {
+    this.pruneWindow(now);
+    const blockedFor = Math.max(0, this.blockedUntil - now);
+    if (this.requests.length < this.maxRequests) {
+      return blockedFor;
+    }
+    return Math.max(blockedFor, this.requests[0] + this.windowMs - now);
+  }
+
+  pump() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    const readyIndex = this.queue.findIndex(job => job.notBefore <= now);
+    const budgetWait = this.budgetWaitMs(now);
+
+    if (readyIndex >= 0 && budgetWait === 0) {
+      const [job] = this.queue.splice(readyIndex, 1);
+      this.run(job);
+      this.pump();
+      return;
+    }
+
+    if (this.queue.length > 0) {
+      const nextJobAt = Math.min(...this.queue.map(job => job.notBefore));
+      const wait = Math.max(budgetWait, nextJobAt - now, 0);
+      this.timer = setTimeout(() => this.pump(), Math.max(wait, 50));
+    }
+    this.notify();
+  }
+
+  async run(job) {
+    this.requests.push(Date.now());
+    this.notify();
+
+    try {
+      job.resolve(await job.task());
+    } catch (error) {
+      const rateLimited = error.code === 'RATE_LIMITED';
+      const delay = error.retryAfterMs ?? this.backoffDelay(job.attempt);
+      if (rateLimited) {
+        this.blockedUntil = Math.max(this.blockedUntil, Date.now() + delay);
+      }
+
+      if (!RETRYABLE_CODES.includes(error.code) || job.attempt >= this.maxRetries
+        || (rateLimited && job.priority === PRIORITY.USER)) {
+        job.reject(error);
+        return;
+      }
+
+      // A long Retry-After still holds the queue, but a retry isn't put off past maxDelayMs
+      this.enqueue({ ...job, attempt: job.attempt + 1, notBefore: Date.now() + Math.min(delay, this.maxDelayMs) });
+    }
+  }
+
+  backoffDelay(attempt) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  getStatus() {
+    const now = Date.now();
+    const budgetWait = this.budgetWaitMs(now);
+    const nextJobWait = this.queue.length > 0
+      ? Math.max(0, Math.min(...this.queue.map(job => job.notBefore)) - now)
+      : 0;
+
+    return {
+      name: this.name,
+      remaining: Math.max(0, this.maxRequests - this.requests.length),
+      limit: this.maxRequests,
+      queueDepth: this.queue.length,
+      waitMs: this.queue.length > 0 ? Math.max(budgetWait, nextJobWait) : 0,
+    };
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    if (this.listeners.size === 0) return;
+    const status = this.getStatus();
+    this.listeners.forEach(listener => listener(status));
+  }
+}
+
+export default RequestScheduler;
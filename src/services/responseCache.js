@@ -0,0 +1,158 @@
+import { openDatabase, promisifyRequest, withStore } from './idb';
+import { PRIORITY } from './requestScheduler';
+
+const DB_NAME = 'crypto-chat-cache';
+const STORE_NAME = 'responses';
+const MAX_ENTRY_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+const getDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, 1, (db) => {
+      db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+    }).then(db =>
+      pruneExpired(db).catch(() => {}).then(() => db)
+    );
+    dbPromise.catch((error) => {
+      console.warn('Response cache is memory-only:', error.message);
+    });
+  }
+  return dbPromise;
+};
+
+const pruneExpired = (db) =>
+  withStore(Promise.resolve(db), STORE_NAME, 'readwrite', (store) =>
+    new Promise((resolve, reject) => {
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        if (Date.now() - cursor.value.storedAt > MAX_ENTRY_AGE_MS) {
+          cursor.delete();
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    })
+  );
+
+const memory = new Map();
+const revalidating = new Map();
+
+// Attaches { cached, stale, ageSeconds } without changing the value's shape
+export const withCacheInfo = (value, entry, stale = false) => {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  const cacheInfo = {
+    cached: true,
+    stale,
+    ageSeconds: Math.max(0, Math.round((Date.now() - entry.storedAt) / 1000)),
+  };
+  return Array.isArray(value)
+    ? Object.assign([...value], { cacheInfo })
+    : { ...value, cacheInfo };
+};
+
+export const responseCache = {
+  async get(key) {
+    if (memory.has(key)) {
+      return memory.get(key);
+    }
+
+    try {
+      const entry = await withStore(getDatabase(), STORE_NAME, 'readonly', (store) =>
+        promisifyRequest(store.get(key))
+      );
+      if (entry) {
+        memory.set(key, entry);
+      }
+      return entry;
+    } catch {
+      return undefined;
+    }
+  },
+
+  async set(key, value) {
+    const entry = { key, value, storedAt: Date.now() };
+    memory.set(key, entry);
+
+    try {
+      await withStore(getDatabase(), STORE_NAME, 'readwrite', (store) =>
+        promisifyRequest(store.put(entry))
+      );
+    } catch {
+      // Memory copy is enough for this session
+    }
+    return entry;
+  },
+
+  isFresh(entry, ttlMs) {
+    return Boolean(entry) && Date.now() - entry.storedAt < ttlMs;
+  },
+
+  isUsable(entry, maxStaleMs) {
+    return Boolean(entry) && Date.now() - entry.storedAt < maxStaleMs;
+  },
+
+  // Runs fetcher once per key at a time; later callers share the refresh
+  revalidate(key, fetcher, priority = PRIORITY.USER) {
+    if (!revalidating.has(key)) {
+      const refresh = fetcher({ priority })
+        .then(value => this.set(key, value))
+        .finally(() => revalidating.delete(key));
+      revalidating.set(key, refresh);
+    }
+    return revalidating.get(key);
+  },
+
+  /**
+   * Stale-while-revalidate read: fresh entries are returned as is, entries
+   * younger than maxStaleMs are returned immediately while a background
+   * refresh runs, anything older waits for the network. If the network fails
+   * the last known value is served rather than an error. The fetcher gets
+   * the request priority; background refreshes never jump the queue.
+   */
+  async fetch(key, { ttlMs, maxStaleMs = MAX_ENTRY_AGE_MS }, fetcher, { priority } = {}) {
+    const entry = await this.get(key);
+
+    if (this.isFresh(entry, ttlMs)) {
+      return withCacheInfo(entry.value, entry);
+    }
+
+    if (this.isUsable(entry, maxStaleMs)) {
+      this.revalidate(key, fetcher, PRIORITY.BACKGROUND).catch(error => {
+        console.warn(`Background refresh of ${key} failed:`, error.message);
+      });
+      return withCacheInfo(entry.value, entry, true);
+    }
+
+    try {
+      const fresh = await this.revalidate(key, fetcher, priority);
+      return fresh.value;
+    } catch (error) {
+      if (entry) {
+        return withCacheInfo(entry.value, entry, true);
+      }
+      throw error;
+    }
+  },
+
+  async clear() {
+    memory.clear();
+    try {
+      await withStore(getDatabase(), STORE_NAME, 'readwrite', (store) =>
+        promisifyRequest(store.clear())
+      );
+    } catch {
+      // Nothing persisted to clear
+    }
+  },
+};
+
+export default responseCache;
@@ -0,0 +1,402 @@
+import { openDatabase, promisifyRequest, withStore } from './idb';
+
+const DB_NAME = 'crypto-chat-data';
+const STORE_NAME = 'records';
+
+// Used when IndexedDB can't be opened
+const LOCAL_PREFIX = 'crypto-chat-store:';
+
+const backupKey = (key) => `${key}:backup`;
+const corruptKey = (key) => `${key}:corrupt`;
+const baseKey = (key) => key.replace(/:(?:backup|corrupt)$/, '');
+
+// Says how the other records are encrypted, so is never encrypted itself
+const VAULT_KEY = 'vault';
+
+export const LOAD_STATUS = {
+  EMPTY: 'empty',
+  LOADED: 'loaded',
+  MIGRATED: 'migrated',
+  RECOVERED: 'recovered',
+  RESET: 'reset',
+  NEWER: 'newer',
+};
+
+const indexedDBBackend = (dbPromise) => ({
+  name: 'indexeddb',
+
+  read: (key) => withStore(dbPromise, STORE_NAME, 'readonly', (store) => promisifyRequest(store.get(key))),
+
+  // Records are stored as structured clones, so there's no rawer form
+  readRaw(key) {
+    return this.read(key);
+  },
+
+  // The previous record becomes the backup in the same transaction, so a
+  // failed write never costs the last good copy
+  write: (key, record, { keepBackup }) => withStore(dbPromise, STORE_NAME, 'readwrite', async (store) => {
+    if (keepBackup) {
+      const previous = await promisifyRequest(store.get(key));
+      if (previous) {
+        store.put({ ...previous, key: backupKey(key) });
+      }
+    }
+    store.put({ ...record, key });
+  }),
+
+  put: (key, record) => withStore(dbPromise, STORE_NAME, 'readwrite', (store) => promisifyRequest(store.put({ ...record, key }))),
+
+  readAll: () => withStore(dbPromise, STORE_NAME, 'readonly', (store) => promisifyRequest(store.getAll())),
+
+  // One transaction, so a rewrite lands whole or not at all
+  replace: (records, removedKeys) => withStore(dbPromise, STORE_NAME, 'readwrite', (store) => {
+    records.forEach(record => store.put(record));
+    removedKeys.forEach(key => store.delete(key));
+  }),
+});
+
+const localStorageBackend = {
+  name: 'localstorage',
+
+  async read(key) {
+    const raw = localStorage.getItem(LOCAL_PREFIX + key);
+    return raw === null ? undefined : JSON.parse(raw);
+  },
+
+  async readRaw(key) {
+    return localStorage.getItem(LOCAL_PREFIX + key);
+  },
+
+  async write(key, record, { keepBackup }) {
+    const previous = localStorage.getItem(LOCAL_PREFIX + key);
+    if (keepBackup && previous !== null) {
+      localStorage.setItem(LOCAL_PREFIX + backupKey(key), previous);
+    }
+    localStorage.setItem(LOCAL_PREFIX + key, JSON.stringify({ ...record, key }));
+  },
+
+  async put(key, record) {
+    localStorage.setItem(LOCAL_PREFIX + key, JSON.stringify({ ...record, key }));
+  },
+
+  // Unparseable records come back versionless, so they still read as damaged
+  async readAll() {
+    return Object.keys(localStorage)
+      .filter(key => key.startsWith(LOCAL_PREFIX))
+      .map(localKey => {
+        const key = localKey.slice(LOCAL_PREFIX.length);
+        const raw = localStorage.getItem(localKey);
+        // Backups are copied verbatim, so the key inside may be the original's
+        try {
+          return { ...JSON.parse(raw), key };
+        } catch {
+          return { key, version: null, data: raw };
+        }
+      });
+  },
+
+  async replace(records, removedKeys) {
+    records.forEach(record => localStorage.setItem(LOCAL_PREFIX + record.key, JSON.stringify(record)));
+    removedKeys.forEach(key => localStorage.removeItem(LOCAL_PREFIX + key));
+  },
+};
+
+let backendPromise = null;
+
+const getBackend = () => {
+  if (!backendPromise) {
+    const dbPromise = openDatabase(DB_NAME, 1, (db) => {
+      db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+    });
+    backendPromise = dbPromise
+      .then(() => indexedDBBackend(dbPromise))
+      .catch(error => {
+        console.warn('Portfolio storage is using localStorage:', error.message);
+        return localStorageBackend;
+      });
+  }
+  return backendPromise;
+};
+
+// Before this module, each collection was a bare JSON value in localStorage
+const findLegacy = (schema) => {
+  for (const { key, version } of schema.legacy || []) {
+    const raw = localStorage.getItem(key);
+    if (raw !== null) {
+      return { key, version, raw };
+    }
+  }
+  return null;
+};
+
+const removeLegacy = (schema) => {
+  (schema.legacy || []).forEach(({ key }) => localStorage.removeItem(key));
+};
+
+/**
+ * Brings a stored record up to the schema's version, one migration at a
+ * time, then validates it. Throws when the record can't be used.
+ */
+const upgrade = (schema, record) => {
+  if (!record || typeof record.version !== 'number') {
+    throw new Error('record has no schema version');
+  }
+
+  let { data } = record;
+  for (let version = record.version + 1; version <= schema.version; version++) {
+    const migrate = schema.migrations?.[version];
+    if (!migrate) {
+      throw new Error(`no migration to version ${version}`);
+    }
+    data = migrate(data);
+  }
+  return schema.validate(data);
+};
+
+// Keys whose stored data is from a newer app version, which must not be overwritten
+const readOnly = new Set();
+
+// Keys whose backup must outlive the next save: after a recovery, or a
+// migration that left the pre-migration data as the backup
+const keepBackupOnce = new Set();
+
+const inFlight = new Map();
+
+// Saves and re-encryption run one at a time, so no save can land in the
+// middle of a passphrase change with the old key
+let queue = Promise.resolve();
+const exclusive = (task) => {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+};
+
+// { salt, encrypt(text), decrypt(sealed) } while an encrypted store is unlocked
+let cipher = null;
+
+// Keys of schemas marked `encryptedOnly` that have been loaded or saved, so
+// turning encryption off can drop them rather than write them out plainly
+const encryptedOnlyKeys = new Set();
+
+const forget = (backend, key) => backend.replace([], [key, backupKey(key), corruptKey(key)]);
+
+// Raised instead of treating encrypted data as damaged, which it isn't
+export class LockedError extends Error {
+  constructor(message = 'Storage is locked') {
+    super(message);
+    this.name = 'LockedError';
+  }
+}
+
+const seal = async (record, withCipher) => {
+  if (!withCipher) {
+    return record;
+  }
+  const { data, ...rest } = record;
+  return { ...rest, sealed: { salt: withCipher.salt, ...await withCipher.encrypt(JSON.stringify(data)) } };
+};
+
+const unseal = async (record) => {
+  if (!record?.sealed) {
+    return record;
+  }
+  if (!cipher) {
+    throw new LockedError();
+  }
+  const { sealed, ...rest } = record;
+  // Sealed under another passphrase, most likely changed in another tab
+  if (sealed.salt !== cipher.salt) {
+    throw new LockedError('Stored data was encrypted with a different passphrase');
+  }
+  // With the right key, a failure here is damage and is recovered from as such
+  return { ...rest, data: JSON.parse(await cipher.decrypt(sealed)) };
+};
+
+const stamp = () => new Date().toISOString();
+
+const loadRecord = async (schema) => {
+  const backend = await getBackend();
+  const { key } = schema;
+
+  if (schema.encryptedOnly && !cipher) {
+    if (await backend.read(VAULT_KEY)) {
+      throw new LockedError();
+    }
+    // Anything left from before is cleared rather than shown
+    await forget(backend, key);
+    return { data: schema.empty(), dropped: 0, status: LOAD_STATUS.EMPTY };
+  }
+
+  let record;
+  let legacy = null;
+  let problem = null;
+  try {
+    record = await unseal(await backend.read(key));
+    legacy = record ? null : findLegacy(schema);
+    if (legacy) {
+      record = { version: legacy.version, savedAt: null, data: JSON.parse(legacy.raw) };
+    }
+  } catch (error) {
+    if (error instanceof LockedError) {
+      throw error;
+    }
+    problem = error;
+  }
+
+  if (!problem && !record) {
+    return { data: schema.empty(), dropped: 0, status: LOAD_STATUS.EMPTY };
+  }
+
+  // Written by a newer version of the app: shown if possible, never overwritten
+  if (!problem && record.version > schema.version) {
+    readOnly.add(key);
+    try {
+      return { ...schema.validate(record.data), status: LOAD_STATUS.NEWER, savedAt: record.savedAt };
+    } catch {
+      return { data: schema.empty(), dropped: 0, status: LOAD_STATUS.NEWER, savedAt: record.savedAt };
+    }
+  }
+
+  if (!problem) {
+    try {
+      const { data, dropped } = upgrade(schema, record);
+      if (legacy) {
+        // The untouched legacy value stays behind as the backup
+        await backend.put(backupKey(key), await seal(record, cipher));
+        await backend.write(key, await seal({ version: schema.version, savedAt: stamp(), data }, cipher), { keepBackup: false });
+        removeLegacy(schema);
+        keepBackupOnce.add(key);
+      }
+      return {
+        data,
+        dropped,
+        status: record.version < schema.version ? LOAD_STATUS.MIGRATED : LOAD_STATUS.LOADED,
+        savedAt: record.savedAt,
+      };
+    } catch (error) {
+      problem = error;
+    }
+  }
+
+  console.error(`Saved ${key} could not be read:`, problem.message);
+
+  // The damaged copy is set aside rather than lost to the next save
+  try {
+    const raw = legacy ? legacy.raw : record ?? await backend.readRaw(key);
+    if (raw !== undefined && raw !== null) {
+      await backend.put(corruptKey(key), await seal({ version: null, savedAt: stamp(), data: raw, error: problem.message }, cipher));
+    }
+    removeLegacy(schema);
+  } catch (error) {
+    console.warn(`Could not keep a copy of the damaged ${key}:`, error.message);
+  }
+
+  keepBackupOnce.add(key);
+  try {
+    const backup = await unseal(await backend.read(backupKey(key)));
+    if (backup) {
+      const { data, dropped } = upgrade(schema, backup);
+      return { data, dropped, status: LOAD_STATUS.RECOVERED, savedAt: backup.savedAt, error: problem.message };
+    }
+  } catch (error) {
+    if (error instanceof LockedError) {
+      throw error;
+    }
+    console.error(`Backup of ${key} could not be read either:`, error.message);
+  }
+
+  return { data: schema.empty(), dropped: 0, status: LOAD_STATUS.RESET, error: problem.message };
+};
+
+/**
+ * Versioned, validated storage for portfolio data. A schema describes one
+ * collection:
+ *
+ *   { key, version, migrations: { [version]: data => data }, validate,
+ *     empty, legacy: [{ key, version }] }
+ *
+ * `validate(data)` returns { data, dropped }, dropping records it can't
+ * use, and throws when the whole value is unusable. Loads fall back to the
+ * backup (the state before the last save) when the current copy is
+ * damaged, and keep the damaged copy aside.
+ *
+ * While a passphrase is set (see vault.js) every record but the vault's
+ * own is stored encrypted, and nothing can be read or saved while locked.
+ * A schema with `encryptedOnly: true` is only ever stored encrypted: without
+ * a passphrase it loads empty and saves remove it.
+ */
+export const storage = {
+  // Concurrent loads of one key (StrictMode runs effects twice) share a read
+  load(schema) {
+    if (schema.encryptedOnly) {
+      encryptedOnlyKeys.add(schema.key);
+    }
+    if (!inFlight.has(schema.key)) {
+      inFlight.set(schema.key, loadRecord(schema).finally(() => inFlight.delete(schema.key)));
+    }
+    return inFlight.get(schema.key);
+  },
+
+  save(schema, data) {
+    const { key } = schema;
+    if (readOnly.has(key)) {
+      return Promise.resolve(false);
+    }
+    if (schema.encryptedOnly) {
+      encryptedOnlyKeys.add(key);
+    }
+
+    return exclusive(async () => {
+      const backend = await getBackend();
+      // Another tab may have changed or removed the passphrase since
+      const vault = (await backend.read(VAULT_KEY))?.data;
+      if (vault ? cipher?.salt !== vault.salt : cipher) {
+        throw new LockedError();
+      }
+      if (schema.encryptedOnly && !cipher) {
+        await forget(backend, key);
+        return false;
+      }
+      const keepBackup = !keepBackupOnce.has(key);
+      await backend.write(key, await seal({ version: schema.version, savedAt: stamp(), data }, cipher), { keepBackup });
+      keepBackupOnce.delete(key);
+      return true;
+    });
+  },
+
+  isReadOnly(key) {
+    return readOnly.has(key);
+  },
+
+  setCipher(nextCipher) {
+    cipher = nextCipher;
+  },
+
+  async readVault() {
+    const backend = await getBackend();
+    return (await backend.read(VAULT_KEY))?.data ?? null;
+  },
+
+  /**
+   * Re-encrypts every record, backups and damaged copies included, with
+   * `nextCipher` (null for plaintext) and stores `vault` alongside (null
+   * removes it). The current cipher must be able to read them. Going to
+   * plaintext drops the `encryptedOnly` records instead.
+   */
+  reencrypt(nextCipher, vault) {
+    return exclusive(async () => {
+      const backend = await getBackend();
+      const records = (await backend.readAll()).filter(record => record.key !== VAULT_KEY);
+      const dropped = nextCipher ? [] : records.filter(record => encryptedOnlyKeys.has(baseKey(record.key)));
+      const kept = records.filter(record => !dropped.includes(record));
+      const rewritten = await Promise.all(kept.map(async record => seal(await unseal(record), nextCipher)));
+      await backend.replace(
+        vault ? [...rewritten, { key: VAULT_KEY, data: vault }] : rewritten,
+        [...dropped.map(record => record.key), ...(vault ? [] : [VAULT_KEY])]
+      );
+      cipher = nextCipher;
+    });
+  },
+};
+
+export default storage;
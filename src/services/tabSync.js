@@ -0,0 +1,132 @@
+const CHANNEL_NAME = 'crypto-chat-sync';
+
+// Without BroadcastChannel, messages ride on storage events for this key.
+// It's cleared straight after each message, as payloads can hold ledger
+// and portfolio data the vault keeps encrypted at rest.
+const FALLBACK_KEY = 'crypto-chat-sync-message';
+
+const LEADER_LOCK = 'crypto-chat-leader';
+
+const generateTabId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Messages between open tabs of the app, and the choice of one leader tab
+ * for work that should only run once (background price refreshes).
+ *
+ * Messages are { topic, payload } and never reach the tab that sent them.
+ * Leadership uses the Web Locks API: the first tab to ask holds the lock
+ * until it closes, then the next waiting tab takes over. Where locks are
+ * missing every tab leads itself, as before.
+ */
+class TabSync {
+  constructor() {
+    this.tabId = generateTabId();
+    this.channel = null;
+    this.connected = false;
+    this.subscribers = new Map();
+    this.leader = false;
+    this.campaigning = false;
+    this.leadershipListeners = new Set();
+  }
+
+  connect() {
+    if (this.connected) return;
+    this.connected = true;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(CHANNEL_NAME);
+      this.channel.onmessage = (event) => this.deliver(event.data);
+    } else if (typeof window !== 'undefined') {
+      this.clearFallback();
+      window.addEventListener('storage', (event) => {
+        if (event.key === FALLBACK_KEY && event.newValue) {
+          try {
+            this.deliver(JSON.parse(event.newValue));
+          } catch (error) {
+            console.warn('Ignoring unreadable tab message:', error.message);
+          }
+        }
+      });
+    }
+  }
+
+  deliver(message) {
+    if (!message || message.tabId === this.tabId) return;
+    this.subscribers.get(message.topic)?.forEach(listener => listener(message.payload));
+  }
+
+  publish(topic, payload) {
+    this.connect();
+    const message = { topic, payload, tabId: this.tabId, sentAt: Date.now() };
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else if (typeof localStorage !== 'undefined') {
+        // sentAt makes each message a change, so repeats still fire. Other
+        // tabs get the storage event for the write; the removal that
+        // follows has no value and is ignored.
+        localStorage.setItem(FALLBACK_KEY, JSON.stringify(message));
+        this.clearFallback();
+      }
+    } catch (error) {
+      console.warn(`Could not share ${topic} with other tabs:`, error.message);
+    }
+  }
+
+  clearFallback() {
+    try {
+      localStorage.removeItem(FALLBACK_KEY);
+    } catch (error) {
+      console.warn('Could not clear the tab message:', error.message);
+    }
+  }
+
+  subscribe(topic, listener) {
+    this.connect();
+    if (!this.subscribers.has(topic)) {
+      this.subscribers.set(topic, new Set());
+    }
+    this.subscribers.get(topic).add(listener);
+    return () => this.subscribers.get(topic).delete(listener);
+  }
+
+  campaign() {
+    if (this.campaigning) return;
+    this.campaigning = true;
+
+    if (typeof navigator === 'undefined' || !navigator.locks) {
+      this.setLeader(true);
+      return;
+    }
+
+    // The callback's promise never settles, so the lock is held for the
+    // life of the tab
+    navigator.locks.request(LEADER_LOCK, () => {
+      this.setLeader(true);
+      return new Promise(() => {});
+    }).catch(error => {
+      console.warn('Leader election failed, refreshing from this tab:', error.message);
+      this.setLeader(true);
+    });
+  }
+
+  setLeader(leader) {
+    this.leader = leader;
+    this.leadershipListeners.forEach(listener => listener(leader));
+  }
+
+  isLeader() {
+    this.campaign();
+    return this.leader;
+  }
+
+  subscribeLeadership(listener) {
+    this.campaign();
+    this.leadershipListeners.add(listener);
+    return () => this.leadershipListeners.delete(listener);
+  }
+}
+
+export const tabSync = new TabSync();
+
+export default tabSync;
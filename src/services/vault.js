@@ -0,0 +1,197 @@
+import { storage } from './storage';
+import { tabSync } from './tabSync';
+
+// OWASP's 2023 recommendation for PBKDF2 with SHA-256
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// Decrypting this proves a passphrase right without touching real data
+const CHECK_TEXT = 'crypto-chat-vault';
+
+const SYNC_TOPIC = 'vault';
+
+export const VAULT_STATUS = {
+  LOADING: 'loading',
+  // No passphrase set: data is stored in plaintext
+  OPEN: 'open',
+  LOCKED: 'locked',
+  UNLOCKED: 'unlocked',
+};
+
+// Chunked, as spreading a large ciphertext into one call overflows the stack
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let start = 0; start < bytes.length; start += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(start, start + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), character => character.charCodeAt(0));
+
+const deriveKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// A fresh IV for every encryption, as AES-GCM requires
+const createCipher = (key, salt) => ({
+  salt,
+  async encrypt(text) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return { iv: toBase64(iv), ciphertext: toBase64(ciphertext) };
+  },
+  async decrypt({ iv, ciphertext }) {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(ciphertext));
+    return new TextDecoder().decode(plaintext);
+  },
+});
+
+const requireWebCrypto = () => {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error('Encryption needs a secure (https) connection');
+  }
+};
+
+const checkPassphrase = (passphrase) => {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+};
+
+// The vault record holds everything needed to re-derive the key but the passphrase
+const createVault = async (passphrase) => {
+  requireWebCrypto();
+  checkPassphrase(passphrase);
+  const salt = toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+  const cipher = createCipher(await deriveKey(passphrase, salt, PBKDF2_ITERATIONS), salt);
+  const meta = {
+    kdf: 'PBKDF2-SHA256',
+    iterations: PBKDF2_ITERATIONS,
+    salt,
+    check: await cipher.encrypt(CHECK_TEXT),
+    createdAt: new Date().toISOString(),
+  };
+  return { cipher, meta };
+};
+
+const openVault = async (passphrase, meta) => {
+  requireWebCrypto();
+  const cipher = createCipher(await deriveKey(passphrase, meta.salt, meta.iterations), meta.salt);
+  try {
+    if (await cipher.decrypt(meta.check) === CHECK_TEXT) {
+      return cipher;
+    }
+  } catch {
+    // AES-GCM rejects the wrong key outright
+  }
+  throw new Error('Wrong passphrase');
+};
+
+/**
+ * Optional passphrase encryption for everything in storage. The key is
+ * derived with PBKDF2 and only ever held in memory, so locking (or closing
+ * the tab) forgets it. Changing or removing the passphrase re-encrypts
+ * every stored record, and locks other tabs, whose key is then stale.
+ */
+class Vault {
+  constructor() {
+    this.status = VAULT_STATUS.LOADING;
+    this.meta = null;
+    this.ready = null;
+    this.listeners = new Set();
+  }
+
+  init() {
+    if (!this.ready) {
+      tabSync.subscribe(SYNC_TOPIC, () => this.reload());
+      this.ready = this.reload();
+    }
+    return this.ready;
+  }
+
+  async reload() {
+    storage.setCipher(null);
+    try {
+      this.meta = await storage.readVault();
+    } catch (error) {
+      console.error('Error reading the vault:', error);
+      this.meta = null;
+    }
+    this.setStatus(this.meta ? VAULT_STATUS.LOCKED : VAULT_STATUS.OPEN);
+  }
+
+  setStatus(status) {
+    this.status = status;
+    this.listeners.forEach(listener => listener(status));
+  }
+
+  isEnabled() {
+    return this.meta !== null;
+  }
+
+  async unlock(passphrase) {
+    const cipher = await openVault(passphrase, this.meta);
+    storage.setCipher(cipher);
+    this.setStatus(VAULT_STATUS.UNLOCKED);
+  }
+
+  lock() {
+    if (this.status !== VAULT_STATUS.UNLOCKED) return;
+    storage.setCipher(null);
+    this.setStatus(VAULT_STATUS.LOCKED);
+  }
+
+  async enable(passphrase) {
+    if (this.meta) {
+      throw new Error('A passphrase is already set');
+    }
+    const { cipher, meta } = await createVault(passphrase);
+    await storage.reencrypt(cipher, meta);
+    this.meta = meta;
+    this.setStatus(VAULT_STATUS.UNLOCKED);
+    tabSync.publish(SYNC_TOPIC, null);
+  }
+
+  async changePassphrase(currentPassphrase, nextPassphrase) {
+    await openVault(currentPassphrase, this.meta);
+    const { cipher, meta } = await createVault(nextPassphrase);
+    await storage.reencrypt(cipher, meta);
+    this.meta = meta;
+    tabSync.publish(SYNC_TOPIC, null);
+  }
+
+  async disable(currentPassphrase) {
+    await openVault(currentPassphrase, this.meta);
+    await storage.reencrypt(null, null);
+    this.meta = null;
+    this.setStatus(VAULT_STATUS.OPEN);
+    tabSync.publish(SYNC_TOPIC, null);
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+export const vault = new Vault();
+
+export default vault;
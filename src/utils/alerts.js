@@ -0,0 +1,150 @@
+import { formatCurrency } from './currency';
+import { ALL_PORTFOLIOS } from './portfolios';
+
+// What an alert watches:
+// - price:     { coinId, coinSymbol, direction: 'above' | 'below', threshold }
+// - move:      { coinId, coinSymbol, direction: 'up' | 'down' | 'either', percent, windowHours }
+// - portfolio: { portfolioId, place, direction: 'above' | 'below', threshold }, where
+//              place reads like 'your Treasury portfolio'
+// Every alert also carries { id, currency, speak, createdAt } and fires once.
+export const ALERT_TYPES = {
+  PRICE: 'price',
+  MOVE: 'move',
+  PORTFOLIO: 'portfolio',
+};
+
+export const DEFAULT_WINDOW_HOURS = 24;
+
+// Past a day the price history is daily, so longer windows are checked
+// against the closest day's price
+export const MAX_WINDOW_HOURS = 90 * 24;
+
+const DIRECTIONS = {
+  [ALERT_TYPES.PRICE]: ['above', 'below'],
+  [ALERT_TYPES.MOVE]: ['up', 'down', 'either'],
+  [ALERT_TYPES.PORTFOLIO]: ['above', 'below'],
+};
+
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+const isValidAlert = (alert) => {
+  if (alert === null || typeof alert !== 'object' || typeof alert.id !== 'string'
+    || typeof alert.currency !== 'string' || !DIRECTIONS[alert.type]?.includes(alert.direction)) {
+    return false;
+  }
+  switch (alert.type) {
+    case ALERT_TYPES.PRICE:
+      return typeof alert.coinId === 'string' && isPositive(alert.threshold);
+    case ALERT_TYPES.MOVE:
+      return typeof alert.coinId === 'string' && isPositive(alert.percent) && isPositive(alert.windowHours);
+    default:
+      return typeof alert.portfolioId === 'string' && typeof alert.place === 'string' && isPositive(alert.threshold);
+  }
+};
+
+export const ALERTS_SCHEMA = {
+  key: 'alerts',
+  version: 1,
+  migrations: {},
+  validate: (data) => {
+    if (!Array.isArray(data)) {
+      throw new Error('alerts are not a list');
+    }
+    const kept = data.filter(isValidAlert);
+    return { data: kept, dropped: data.length - kept.length };
+  },
+  empty: () => [],
+};
+
+export const createAlert = (fields) => ({
+  ...fields,
+  id: `alert-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  speak: Boolean(fields.speak),
+  createdAt: new Date().toISOString(),
+});
+
+export const isCoinAlert = (alert) => alert.type !== ALERT_TYPES.PORTFOLIO;
+
+export const describeWindow = (hours) => {
+  if (hours === 1) return 'an hour';
+  if (hours % 24 === 0) {
+    return hours === 24 ? '24 hours' : `${hours / 24} days`;
+  }
+  return `${hours} hours`;
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const formatPercent = (value) => `${Number(value.toFixed(2))}%`;
+
+// "BTC goes above $70,000.00", "ETH drops 5% within 24 hours"
+export const describeAlert = (alert) => {
+  const spoken = alert.speak ? ' (read out loud)' : '';
+  switch (alert.type) {
+    case ALERT_TYPES.PRICE:
+      return `${alert.coinSymbol} goes ${alert.direction} ${formatCurrency(alert.threshold, alert.currency)}${spoken}`;
+    case ALERT_TYPES.MOVE: {
+      const move = alert.direction === 'up' ? 'rises' : alert.direction === 'down' ? 'drops' : 'moves';
+      return `${alert.coinSymbol} ${move} ${formatPercent(alert.percent)} within ${describeWindow(alert.windowHours)}${spoken}`;
+    }
+    default:
+      return `${alert.place} ${alert.portfolioId === ALL_PORTFOLIOS ? 'are' : 'is'} worth ${alert.direction === 'above' ? 'more' : 'less'} than ${formatCurrency(alert.threshold, alert.currency)}${spoken}`;
+  }
+};
+
+/**
+ * Checks one alert against what was last observed: `price` for price
+ * alerts, `change` (percent over the alert's window) for moves and `value`
+ * for portfolios. Returns what tripped it, or null.
+ */
+export const evaluateAlert = (alert, observed) => {
+  switch (alert.type) {
+    case ALERT_TYPES.PRICE:
+    case ALERT_TYPES.PORTFOLIO: {
+      const current = alert.type === ALERT_TYPES.PRICE ? observed.price : observed.value;
+      if (typeof current !== 'number') {
+        return null;
+      }
+      const crossed = alert.direction === 'above' ? current >= alert.threshold : current <= alert.threshold;
+      return crossed ? observed : null;
+    }
+    case ALERT_TYPES.MOVE: {
+      const { change } = observed;
+      if (typeof change !== 'number') {
+        return null;
+      }
+      const moved = alert.direction === 'up' ? change >= alert.percent
+        : alert.direction === 'down' ? change <= -alert.percent
+          : Math.abs(change) >= alert.percent;
+      return moved ? observed : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// What an alert says when it fires
+export const describeTrigger = (alert, observed) => {
+  const { currency } = alert;
+  switch (alert.type) {
+    case ALERT_TYPES.PRICE:
+      return `${alert.coinSymbol} is ${alert.direction} ${formatCurrency(alert.threshold, currency)}. It's trading at ${formatCurrency(observed.price, currency)}.`;
+    case ALERT_TYPES.MOVE:
+      return `${alert.coinSymbol} is ${observed.change >= 0 ? 'up' : 'down'} ${formatPercent(Math.abs(observed.change))} over the last ${describeWindow(alert.windowHours)}, at ${formatCurrency(observed.price, currency)}.`;
+    default:
+      return `${capitalize(alert.place)} ${alert.portfolioId === ALL_PORTFOLIOS ? 'are' : 'is'} worth ${formatCurrency(observed.value, currency)}, ${alert.direction} your ${formatCurrency(alert.threshold, currency)} alert.`;
+  }
+};
+
+// The price closest to `hours` ago in a getHistoricalData() series
+export const priceHoursAgo = (history, hours, now = Date.now()) => {
+  const target = now - hours * 60 * 60 * 1000;
+  let closest = null;
+  for (const point of history) {
+    const distance = Math.abs(new Date(point.timestamp).getTime() - target);
+    if (!closest || distance < closest.distance) {
+      closest = { price: point.price, distance };
+    }
+  }
+  return closest?.price ?? null;
+};
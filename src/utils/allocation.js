@@ -0,0 +1,89 @@
+// How far, in percentage points, a coin may stray from its target weight
+// before the chat warns about it
+export const DEFAULT_DRIFT_THRESHOLD = 5;
+
+// Below this a rebalancing trade isn't worth placing, in the quote currency
+const MIN_TRADE_VALUE = 0.01;
+
+const symbolOf = (entry) => (entry.symbol || entry.coinSymbol || entry.coinId).toUpperCase();
+
+const weightTotal = (targets) => targets.reduce((sum, target) => sum + target.weight, 0);
+
+// Target weights are meant to add up to 100; rounding slack is let through
+export const targetsAddUp = (targets) => Math.abs(weightTotal(targets) - 100) < 0.5;
+
+/**
+ * Lines valued holdings up against target weights. Coins held but not
+ * targeted have a target of 0, and targeted coins not yet held a current
+ * weight of 0. `drift` is current minus target, in percentage points.
+ */
+export const compareToTargets = (holdings, targets = []) => {
+  const total = holdings.reduce((sum, holding) => sum + (holding.currentValue || 0), 0);
+  const coinIds = [...new Set([...targets.map(target => target.coinId), ...holdings.map(holding => holding.coinId)])];
+
+  return coinIds
+    .map(coinId => {
+      const holding = holdings.find(entry => entry.coinId === coinId);
+      const target = targets.find(entry => entry.coinId === coinId);
+      const currentValue = holding?.currentValue || 0;
+      const currentPercent = total > 0 ? (currentValue / total) * 100 : 0;
+      const targetPercent = target?.weight || 0;
+      return {
+        coinId,
+        symbol: symbolOf(holding || target),
+        currentValue,
+        currentPercent,
+        targetPercent,
+        drift: currentPercent - targetPercent,
+      };
+    })
+    .sort((a, b) => Math.abs(b.drift) - Math.abs(a.drift));
+};
+
+export const findDrifted = (rows, threshold = DEFAULT_DRIFT_THRESHOLD) =>
+  rows.filter(row => Math.abs(row.drift) >= threshold);
+
+export const describeDrift = (row) =>
+  `${row.symbol} is at ${row.currentPercent.toFixed(1)}% against a ${row.targetPercent}% target (${row.drift > 0 ? '+' : ''}${row.drift.toFixed(1)} pts)`;
+
+/**
+ * The buys and sells that bring holdings back to their target weights at
+ * the given prices (a getMultiplePrices() result), keeping the total value
+ * the same: what is sold pays for what is bought. Fees and slippage are
+ * left out. Coins with no price are returned in `unpriced` and hold the
+ * plan back, as the total can't be known without them.
+ */
+export const planRebalance = (holdings, targets, prices = {}) => {
+  const rows = compareToTargets(holdings, targets);
+  const priceOf = (coinId) => prices[coinId]?.price ?? holdings.find(holding => holding.coinId === coinId)?.currentPrice;
+  const unpriced = rows.filter(row => !priceOf(row.coinId)).map(row => row.symbol);
+  if (unpriced.length > 0) {
+    return { unpriced, trades: [], totalValue: 0 };
+  }
+
+  const amountOf = (coinId) => holdings.find(holding => holding.coinId === coinId)?.amount || 0;
+  const total = rows.reduce((sum, row) => sum + amountOf(row.coinId) * priceOf(row.coinId), 0);
+
+  const trades = rows
+    .map(row => {
+      const price = priceOf(row.coinId);
+      const difference = total * (row.targetPercent / 100) - amountOf(row.coinId) * price;
+      // Selling out of an untargeted coin sells the exact balance
+      const amount = row.targetPercent === 0
+        ? amountOf(row.coinId)
+        : parseFloat((Math.abs(difference) / price).toFixed(8));
+      return {
+        coinId: row.coinId,
+        symbol: row.symbol,
+        action: difference > 0 ? 'buy' : 'sell',
+        amount,
+        price,
+        value: amount * price,
+      };
+    })
+    .filter(trade => trade.amount > 0 && trade.value >= MIN_TRADE_VALUE)
+    // Sells first, as they raise the money for the buys
+    .sort((a, b) => (a.action === b.action ? b.value - a.value : a.action === 'sell' ? -1 : 1));
+
+  return { unpriced, trades, totalValue: total };
+};
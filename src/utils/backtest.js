@@ -0,0 +1,72 @@
+// How often a DCA plan buys: { unit: 'day' | 'week' | 'month', count }
+const nextBuyAfter = (date, { unit, count }) => {
+  const next = new Date(date);
+  if (unit === 'month') {
+    next.setMonth(next.getMonth() + count);
+  } else {
+    next.setDate(next.getDate() + count * (unit === 'week' ? 7 : 1));
+  }
+  return next;
+};
+
+// "every week", "every 2 months"
+export const describeCadence = ({ unit, count }) => (count === 1 ? `every ${unit}` : `every ${count} ${unit}s`);
+
+const entryReturn = (price, lastPrice) => (price > 0 ? (lastPrice / price - 1) * 100 : null);
+
+/**
+ * Replays an investment against a getHistoricalData() series: `amount`
+ * once at `start`, or `amount` on every `cadence` step from `start` (DCA).
+ * Each buy takes the first price on or after its date.
+ *
+ * Returns null when the series has no price from `start` on. Otherwise
+ * { invested, value, profit, returnPercent, units, buys, averagePrice,
+ * best, worst, points }, where points are { timestamp, invested, value }
+ * from the first buy on. Best and worst are the cheapest and dearest of
+ * the buys, or for a single investment of every day it could have gone
+ * in, as { timestamp, price, returnPercent }.
+ */
+export const backtest = (history, { amount, start, cadence = null }) => {
+  const series = history.filter(point => point.price > 0 && new Date(point.timestamp) >= start);
+  if (series.length === 0) {
+    return null;
+  }
+
+  let nextBuy = new Date(start);
+  let units = 0;
+  let invested = 0;
+  const buys = [];
+  const points = series.map((point) => {
+    const timestamp = new Date(point.timestamp);
+    if (nextBuy && timestamp >= nextBuy) {
+      units += amount / point.price;
+      invested += amount;
+      buys.push({ timestamp, price: point.price });
+      nextBuy = cadence ? nextBuyAfter(nextBuy, cadence) : null;
+      // A gap in the data still buys only once
+      while (nextBuy && nextBuy <= timestamp) {
+        nextBuy = nextBuyAfter(nextBuy, cadence);
+      }
+    }
+    return { timestamp, invested, value: units * point.price };
+  });
+
+  const lastPrice = series[series.length - 1].price;
+  const entries = cadence ? buys : series.map(point => ({ timestamp: new Date(point.timestamp), price: point.price }));
+  const byPrice = [...entries].sort((a, b) => a.price - b.price);
+  const asEntry = ({ timestamp, price }) => ({ timestamp, price, returnPercent: entryReturn(price, lastPrice) });
+  const value = units * lastPrice;
+
+  return {
+    invested,
+    value,
+    profit: value - invested,
+    returnPercent: invested > 0 ? (value / invested - 1) * 100 : null,
+    units,
+    buys: buys.length,
+    averagePrice: units > 0 ? invested / units : null,
+    best: asEntry(byPrice[0]),
+    worst: asEntry(byPrice[byPrice.length - 1]),
+    points,
+  };
+};
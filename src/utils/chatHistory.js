@@ -0,0 +1,40 @@
+// Older messages are let go so the history stays quick to encrypt and save
+const MAX_STORED_MESSAGES = 200;
+
+const isValidMessage = (message) =>
+  message !== null && typeof message === 'object'
+  && (typeof message.id === 'number' || typeof message.id === 'string')
+  && typeof message.text === 'string'
+  && typeof message.isUser === 'boolean'
+  && !Number.isNaN(new Date(message.timestamp).getTime());
+
+// Only the text of a conversation is kept. Cards, charts and downloads
+// belong to the moment they were made and aren't worth restoring stale.
+export const toStoredMessages = (messages) =>
+  messages.slice(-MAX_STORED_MESSAGES).map(({ id, text, isUser, error, timestamp }) => ({
+    id,
+    text,
+    isUser,
+    ...(error ? { error: true } : {}),
+    timestamp: new Date(timestamp).toISOString(),
+  }));
+
+export const fromStoredMessages = (messages) =>
+  messages.map(message => ({ ...message, timestamp: new Date(message.timestamp) }));
+
+// What was typed can name holdings and wallets, so the history is only
+// kept while encryption is on
+export const CHAT_SCHEMA = {
+  key: 'chat',
+  version: 1,
+  encryptedOnly: true,
+  migrations: {},
+  validate: (data) => {
+    if (!Array.isArray(data)) {
+      throw new Error('chat history is not a list');
+    }
+    const kept = data.filter(isValidMessage);
+    return { data: kept, dropped: data.length - kept.length };
+  },
+  empty: () => [],
+};
@@ -0,0 +1,54 @@
+// Intents that a bare "what about ETH?" can be replayed against
+const COIN_QUERY_INTENTS = ['PRICE_QUERY', 'HISTORICAL_PRICE', 'CHART_REQUEST', 'INFO_REQUEST'];
+
+const FOLLOWABLE_INTENTS = [...COIN_QUERY_INTENTS, 'PORTFOLIO_VALUE', 'PORTFOLIO_CHART'];
+
+export const createConversationContext = () => ({
+  lastCoin: null,
+  lastIntent: null,
+  lastRange: null,
+  lastCurrency: null,
+  pendingIntent: null,
+});
+
+/**
+ * Folds a handled response into the context for the next turn. Only
+ * successful replies move the context forward, so a failed lookup does
+ * not become the new "it".
+ */
+export const updateContext = (context, response) => {
+  const next = { ...context, pendingIntent: response.pendingIntent || null };
+  const intent = response.intent;
+
+  if (!intent || response.error) {
+    return next;
+  }
+
+  // A compound answer leaves the context where its last clause would
+  if (intent.type === 'COMPOUND') {
+    return intent.intents.reduce(
+      (current, part) => updateContext(current, { intent: part, pendingIntent: next.pendingIntent }),
+      next
+    );
+  }
+
+  if (intent.coinName) {
+    next.lastCoin = {
+      coinName: intent.coinName,
+      originalCoinName: intent.originalCoinName,
+    };
+  }
+  if (FOLLOWABLE_INTENTS.includes(intent.type)) {
+    next.lastIntent = intent;
+  }
+  if (intent.days) {
+    next.lastRange = intent.days;
+  }
+  if (intent.currency) {
+    next.lastCurrency = intent.currency;
+  }
+
+  return next;
+};
+
+export const isCoinQuery = (intent) => COIN_QUERY_INTENTS.includes(intent?.type);
@@ -0,0 +1,26 @@
+// Named fractions of a coin, as how many make one whole coin
+export const SUB_UNITS = {
+  sat: { coinId: 'bitcoin', symbol: 'BTC', perCoin: 1e8, label: 'sats' },
+  gwei: { coinId: 'ethereum', symbol: 'ETH', perCoin: 1e9, label: 'gwei' },
+  wei: { coinId: 'ethereum', symbol: 'ETH', perCoin: 1e18, label: 'wei' },
+  lamport: { coinId: 'solana', symbol: 'SOL', perCoin: 1e9, label: 'lamports' },
+};
+
+const SUB_UNIT_ALIASES = {
+  sat: 'sat', sats: 'sat', satoshi: 'sat', satoshis: 'sat',
+  gwei: 'gwei',
+  wei: 'wei',
+  lamport: 'lamport', lamports: 'lamport',
+};
+
+// "sats" -> 'sat'; null for anything that isn't a sub-unit
+export const parseSubUnit = (text) => SUB_UNIT_ALIASES[text.trim().toLowerCase()] || null;
+
+// Coin amounts: fewer decimals as they grow, six significant digits below one
+export const formatUnits = (value) => value.toLocaleString(undefined, value >= 1
+  ? { maximumFractionDigits: value >= 1000 ? 2 : 4 }
+  : { maximumSignificantDigits: 6 });
+
+// When the oldest of a set of getMultiplePrices() quotes was fetched
+export const quotedAt = (quotes, now = Date.now()) =>
+  new Date(Math.min(...quotes.map(quote => now - (quote.cacheInfo?.ageSeconds || 0) * 1000)));
@@ -0,0 +1,77 @@
+export const DEFAULT_CURRENCY = 'usd';
+
+export const CURRENCIES = {
+  usd: { code: 'USD', name: 'US Dollar' },
+  eur: { code: 'EUR', name: 'Euro' },
+  gbp: { code: 'GBP', name: 'British Pound' },
+  inr: { code: 'INR', name: 'Indian Rupee' },
+  btc: { code: 'BTC', name: 'Bitcoin', symbol: '₿', crypto: true },
+  eth: { code: 'ETH', name: 'Ether', symbol: 'Ξ', crypto: true },
+};
+
+const CURRENCY_ALIASES = {
+  usd: 'usd', dollar: 'usd', dollars: 'usd', $: 'usd', 'us dollars': 'usd',
+  eur: 'eur', euro: 'eur', euros: 'eur', '€': 'eur',
+  gbp: 'gbp', pound: 'gbp', pounds: 'gbp', sterling: 'gbp', '£': 'gbp',
+  inr: 'inr', rupee: 'inr', rupees: 'inr', '₹': 'inr',
+  btc: 'btc', bitcoin: 'btc', '₿': 'btc',
+  eth: 'eth', ether: 'eth', ethereum: 'eth', 'Ξ': 'eth',
+};
+
+export const CURRENCY_PATTERN = Object.keys(CURRENCY_ALIASES)
+  .filter(alias => /^[a-z ]+$/.test(alias))
+  .sort((a, b) => b.length - a.length)
+  .join('|');
+
+export const parseCurrency = (text) => {
+  if (!text) return null;
+  return CURRENCY_ALIASES[text.trim().toLowerCase()] || null;
+};
+
+export const isSupportedCurrency = (currency) => Boolean(CURRENCIES[currency]);
+
+const fractionDigitsFor = (value, crypto) => {
+  const magnitude = Math.abs(value);
+  if (crypto) return magnitude >= 1 ? 4 : 8;
+  if (magnitude >= 1 || magnitude === 0) return 2;
+  if (magnitude >= 0.01) return 4;
+  return 8;
+};
+
+/**
+ * Formats an amount in the quote currency using the browser's locale.
+ * Fiat goes through Intl's currency style; BTC and ETH quotes get their
+ * own symbol and more decimals, since Intl has no notion of them.
+ */
+export const formatCurrency = (value, currency = DEFAULT_CURRENCY, { compact = false, maximumFractionDigits } = {}) => {
+  if (value === null || value === undefined || Number.isNaN(value)) {
+    return 'N/A';
+  }
+
+  const config = CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY];
+  const digits = maximumFractionDigits ?? (compact ? 2 : fractionDigitsFor(value, config.crypto));
+
+  if (config.crypto) {
+    const sign = value < 0 ? '-' : '';
+    return `${sign}${config.symbol}${Math.abs(value).toLocaleString(undefined, {
+      maximumFractionDigits: digits,
+      notation: compact ? 'compact' : 'standard',
+    })}`;
+  }
+
+  return new Intl.NumberFormat(undefined, {
+    style: 'currency',
+    currency: config.code,
+    minimumFractionDigits: Math.min(2, digits),
+    maximumFractionDigits: digits,
+    notation: compact ? 'compact' : 'standard',
+  }).format(value);
+};
+
+// Gains and losses: "+$120.00" / "-$45.50"
+export const formatSignedCurrency = (value, currency = DEFAULT_CURRENCY, options) => {
+  const formatted = formatCurrency(value, currency, options);
+  return value > 0 ? `+${formatted}` : formatted;
+};
+
+export const currencyLabel = (currency) => CURRENCIES[currency]?.code || currency.toUpperCase();
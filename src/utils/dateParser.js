@@ -0,0 +1,190 @@
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const WORD_AMOUNTS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, ten: 10, twelve: 12 };
+
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+const YEAR = '(\\d{4})';
+
+// Each matches at the end of a message, after an optional "on"/"since"/"from"
+const lead = '(?:^|\\s+)(?:(?:on|since|from|as of)\\s+)?(?:the\\s+)?';
+const DATE_PATTERNS = [
+  {
+    pattern: new RegExp(`${lead}${YEAR}-(\\d{1,2})-(\\d{1,2})$`, 'i'),
+    toDate: ([year, month, day]) => ({ year: +year, month: +month - 1, day: +day }),
+  },
+  {
+    pattern: new RegExp(`${lead}${MONTH_NAME}\\.?\\s+${DAY}(?:,?\\s+${YEAR})?$`, 'i'),
+    toDate: ([month, day, year]) => ({ year: year && +year, month: monthIndex(month), day: +day }),
+  },
+  {
+    pattern: new RegExp(`${lead}${DAY}\\s+(?:of\\s+)?${MONTH_NAME}\\.?(?:,?\\s+${YEAR})?$`, 'i'),
+    toDate: ([day, month, year]) => ({ year: year && +year, month: monthIndex(month), day: +day }),
+  },
+  {
+    // US order, as the app's other formatting is en-US
+    pattern: new RegExp(`${lead}(\\d{1,2})/(\\d{1,2})(?:/(\\d{2}|\\d{4}))?$`, 'i'),
+    toDate: ([month, day, year]) => ({
+      year: year && (year.length === 2 ? 2000 + +year : +year),
+      month: +month - 1,
+      day: +day,
+    }),
+  },
+  {
+    // "since January", "in March 2024" and "since 2021" start at the 1st;
+    // a bare month name is too likely to be something else
+    pattern: new RegExp(`(?:^|\\s+)(?:since|from|in)\\s+(?:${MONTH_NAME}\\.?(?:,?\\s+${YEAR})?|${YEAR})$`, 'i'),
+    toDate: ([month, monthYear, year]) => (month
+      ? { year: monthYear && +monthYear, month: monthIndex(month), day: 1 }
+      : { year: +year, month: 0, day: 1 }),
+  },
+];
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Fixed-date holidays as [month, day]
+const HOLIDAYS = {
+  'christmas eve': [11, 24],
+  christmas: [11, 25],
+  xmas: [11, 25],
+  'christmas day': [11, 25],
+  'new years eve': [11, 31],
+  'new years day': [0, 1],
+  'new years': [0, 1],
+  halloween: [9, 31],
+  'valentines day': [1, 14],
+  valentines: [1, 14],
+};
+
+const RELATIVE_PATTERN = /(?:^|\s+)(\d+|an?|one|two|three|four|five|six|ten|twelve)\s+(days?|weeks?|months?|years?)\s+ago$/i;
+const NAMED_PATTERN = /(?:^|\s+)(?:(?:on|since|from)\s+)?(today|yesterday|last\s+(?:week|month|year))$/i;
+// "last friday", "on tuesday"; a bare weekday is too likely to be something else
+const WEEKDAY_PATTERN = /(?:^|\s+)(?:(?:on|since|from)\s+(?:last\s+)?|last\s+)(mon|tues?|wed(?:nes)?|thu(?:rs?)?|fri|sat(?:ur)?|sun)(?:day)?$/i;
+const HOLIDAY_PATTERN = /(?:^|\s+)(?:(?:on|since|from)\s+)?(?:(last|this)\s+)?(christmas(?:\s+(?:eve|day))?|xmas|new\s+year'?s(?:\s+(?:eve|day))?|halloween|valentine'?s(?:\s+day)?)(?:,?\s+(\d{4}))?$/i;
+
+const monthIndex = (name) => MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const shift = (now, unit, amount) => {
+  const date = startOfDay(now);
+  switch (unit) {
+    case 'day':
+      date.setDate(date.getDate() - amount);
+      break;
+    case 'week':
+      date.setDate(date.getDate() - amount * 7);
+      break;
+    case 'month':
+      date.setMonth(date.getMonth() - amount);
+      break;
+    case 'year':
+      date.setFullYear(date.getFullYear() - amount);
+      break;
+  }
+  return date;
+};
+
+const buildDate = ({ year, month, day }, now) => {
+  if (month < 0 || month > 11 || day < 1 || day > 31) {
+    return null;
+  }
+
+  const date = new Date(year ?? now.getFullYear(), month, day);
+  // Rejects rollovers such as February 30
+  if (date.getMonth() !== month) {
+    return null;
+  }
+  // Without a year, "December 5" in October means last December
+  if (year === undefined && date > now) {
+    date.setFullYear(date.getFullYear() - 1);
+  }
+  return date;
+};
+
+// The latest such weekday before today, so "last friday" on a Friday is a week ago
+const lastWeekday = (name, now) => {
+  const date = startOfDay(now);
+  const back = (date.getDay() - WEEKDAYS.indexOf(name.slice(0, 3).toLowerCase()) + 7) % 7 || 7;
+  date.setDate(date.getDate() - back);
+  return date;
+};
+
+// "last christmas" is the latest one before today; "christmas 2021" that year's
+const holidayDate = ([, which, name, year], now) => {
+  const [month, day] = HOLIDAYS[name.toLowerCase().replace(/'/g, '').replace(/\s+/g, ' ')];
+  if (year) {
+    return new Date(+year, month, day);
+  }
+  const date = buildDate({ month, day }, now);
+  if (which?.toLowerCase() === 'last' && date >= startOfDay(now)) {
+    date.setFullYear(date.getFullYear() - 1);
+  }
+  return date;
+};
+
+/**
+ * Pulls a trailing date off a message, as a local midnight.
+ * "bought 1 eth on March 3" -> { text: 'bought 1 eth', date: <March 3> }
+ * Understands ISO, "March 3, 2024", "3rd of March", "3/3/24",
+ * "3 months ago", "yesterday", "last week", "last friday",
+ * "last christmas" and "since January".
+ */
+export const extractDate = (text, now = new Date()) => {
+  const relative = text.match(RELATIVE_PATTERN);
+  if (relative) {
+    const [, amountText, unitText] = relative;
+    const amount = WORD_AMOUNTS[amountText.toLowerCase()] ?? parseInt(amountText, 10);
+    const unit = unitText.toLowerCase().replace(/s$/, '');
+    return { text: text.slice(0, relative.index).trim(), date: shift(now, unit, amount) };
+  }
+
+  const named = text.match(NAMED_PATTERN);
+  if (named) {
+    const name = named[1].toLowerCase().replace(/\s+/, ' ');
+    const date = name === 'today'
+      ? startOfDay(now)
+      : name === 'yesterday'
+        ? shift(now, 'day', 1)
+        : shift(now, name.split(' ')[1], 1);
+    return { text: text.slice(0, named.index).trim(), date };
+  }
+
+  const weekday = text.match(WEEKDAY_PATTERN);
+  if (weekday) {
+    return { text: text.slice(0, weekday.index).trim(), date: lastWeekday(weekday[1], now) };
+  }
+
+  const holiday = text.match(HOLIDAY_PATTERN);
+  if (holiday) {
+    return { text: text.slice(0, holiday.index).trim(), date: holidayDate(holiday, now) };
+  }
+
+  for (const { pattern, toDate } of DATE_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      const parts = toDate(match.slice(1));
+      const date = buildDate({ ...parts, year: parts.year || undefined }, now);
+      if (date) {
+        return { text: text.slice(0, match.index).trim(), date };
+      }
+    }
+  }
+
+  return { text, date: null };
+};
+
+// A whole string that is nothing but a date
+export const parseDate = (text, now = new Date()) => {
+  const { text: rest, date } = extractDate(text.trim(), now);
+  return rest ? null : date;
+};
+
+export const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+});
+
+export const daysBetween = (from, to = new Date()) =>
+  Math.floor((startOfDay(new Date(to)) - startOfDay(new Date(from))) / (24 * 60 * 60 * 1000));
@@ -0,0 +1,25 @@
+// Saves generated text as a file through a temporary object URL
+export const downloadFile = ({ fileName, content, mimeType = 'text/plain' }) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Opens an HTML document in a new window and brings up the print dialog.
+// Returns false when a popup blocker stops the window opening.
+export const printDocument = (html) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    return false;
+  }
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+};
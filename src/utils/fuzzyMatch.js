@@ -0,0 +1,93 @@
+// Optimal string alignment distance: Levenshtein plus adjacent transpositions
+export const editDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+/**
+ * Rough sound-alike key in the spirit of Metaphone: normalises common
+ * spellings of the same sound and drops vowels after the first letter,
+ * so "etherium"/"ethereum" and "bitcon"/"bitcoin" share a key.
+ */
+export const phoneticKey = (word) => {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!letters) return '';
+
+  const normalised = letters
+    .replace(/ph/g, 'f')
+    .replace(/ck/g, 'k')
+    .replace(/q/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/z/g, 's')
+    .replace(/c(?=[eiy])/g, 's')
+    .replace(/c/g, 'k')
+    .replace(/dg/g, 'j')
+    .replace(/gh/g, '');
+
+  const [first, ...rest] = normalised;
+  const consonants = rest.join('').replace(/[aeiouwhy]/g, '');
+  return (first + consonants).replace(/(.)\1+/g, '$1');
+};
+
+export const similarity = (a, b) => {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+};
+
+const HIGH_CONFIDENCE = 0.85;
+const LOW_CONFIDENCE = 0.6;
+
+/**
+ * Scores a query against [{ key, value }] candidates and returns the best
+ * matches as { value, key, score, confidence: 'high' | 'low' }. Short keys
+ * (tickers) only match on a single typo, and never with high confidence.
+ */
+export const findClosest = (query, candidates, { limit = 3 } = {}) => {
+  const needle = query.toLowerCase().trim();
+  if (needle.length < 3) return [];
+
+  const needleSound = phoneticKey(needle);
+
+  return candidates
+    .map(({ key, value }) => {
+      const distance = editDistance(needle, key);
+      const score = similarity(needle, key);
+      const soundsAlike = needleSound.length >= 2 && phoneticKey(key) === needleSound;
+      const isTicker = key.length <= 4;
+
+      let confidence = null;
+      if (isTicker) {
+        confidence = distance <= 1 && needle.length === key.length ? 'low' : null;
+      } else if (score >= HIGH_CONFIDENCE || (soundsAlike && distance <= 2)) {
+        confidence = 'high';
+      } else if (score >= LOW_CONFIDENCE || soundsAlike) {
+        confidence = 'low';
+      }
+
+      return { value, key, score: soundsAlike ? score + 0.1 : score, confidence };
+    })
+    .filter(match => match.confidence && match.key !== needle)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
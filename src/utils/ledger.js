@@ -0,0 +1,186 @@
+import { roundAmount } from './portfolioValuation';
+import { DEFAULT_PORTFOLIO_ID } from './portfolios';
+
+export const TRANSACTION_TYPES = {
+  BUY: 'buy',
+  SELL: 'sell',
+  TRANSFER_IN: 'transfer_in',
+  TRANSFER_OUT: 'transfer_out',
+};
+
+export const COST_BASIS_METHODS = {
+  fifo: 'FIFO',
+  lifo: 'LIFO',
+  average: 'Average cost',
+};
+
+export const DEFAULT_COST_BASIS_METHOD = 'fifo';
+
+const INCOMING = [TRANSACTION_TYPES.BUY, TRANSACTION_TYPES.TRANSFER_IN];
+
+const generateId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Imported transactions keep the id they came with, so re-imports can be deduplicated
+export const createTransaction = ({
+  id = generateId(),
+  type,
+  coinId,
+  coinName,
+  coinSymbol,
+  amount,
+  price = null,
+  fee = 0,
+  currency,
+  timestamp = new Date().toISOString(),
+  portfolioId = DEFAULT_PORTFOLIO_ID,
+  account = null,
+}) => ({
+  id,
+  type,
+  coinId,
+  coinName,
+  coinSymbol: coinSymbol?.toUpperCase(),
+  amount,
+  price,
+  fee,
+  currency,
+  timestamp,
+  portfolioId,
+  account,
+});
+
+const byTime = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+
+// null stays null: one lot of unknown cost makes the total unknown
+const addCost = (a, b) => (a === null || b === null ? null : a + b);
+
+// Takes `amount` out of the lots, oldest first for FIFO and newest first
+// for LIFO. Returns the remaining lots and the cost of what was taken.
+const takeFromLots = (lots, amount, method) => {
+  const ordered = method === 'lifo' ? [...lots].reverse() : [...lots];
+  let remaining = amount;
+  let cost = 0;
+  const kept = [];
+
+  ordered.forEach(lot => {
+    if (remaining <= 0) {
+      kept.push(lot);
+      return;
+    }
+    const taken = Math.min(lot.amount, remaining);
+    remaining = roundAmount(remaining - taken);
+    cost = addCost(cost, lot.unitCost === null ? null : taken * lot.unitCost);
+    if (lot.amount > taken) {
+      kept.push({ ...lot, amount: roundAmount(lot.amount - taken) });
+    }
+  });
+
+  return { lots: method === 'lifo' ? kept.reverse() : kept, cost };
+};
+
+// Average cost keeps a single pooled lot
+const poolLots = (lots) => {
+  const amount = roundAmount(lots.reduce((sum, lot) => sum + lot.amount, 0));
+  if (amount <= 0) return [];
+  const cost = lots.reduce((sum, lot) => addCost(sum, lot.unitCost === null ? null : lot.amount * lot.unitCost), 0);
+  return [{ amount, unitCost: cost === null ? null : cost / amount, acquiredAt: lots[0].acquiredAt }];
+};
+
+const emptyPosition = (transaction) => ({
+  coinId: transaction.coinId,
+  coinName: transaction.coinName,
+  coinSymbol: transaction.coinSymbol,
+  amount: 0,
+  costCurrency: null,
+  lots: [],
+  realizedPnL: 0,
+  fees: 0,
+  transactionCount: 0,
+  firstTransactionAt: transaction.timestamp,
+  lastTransactionAt: transaction.timestamp,
+});
+
+/**
+ * Replays the ledger into one position per coin. Cost is tracked in lots,
+ * in the currency of the coin's first priced trade (`costCurrency`), so
+ * changing the display currency leaves it intact. A lot recorded in
+ * another currency, or without a price, has an unknown cost and makes the
+ * position's cost basis (and so its P&L) unknown rather than wrong.
+ *
+ * Buy fees are added to the lot's cost, sell fees come off the proceeds.
+ * Transfers move coins without realizing a gain.
+ */
+export const computePositions = (transactions, { method = DEFAULT_COST_BASIS_METHOD } = {}) => {
+  const positions = new Map();
+
+  [...transactions].sort(byTime).forEach(transaction => {
+    const position = positions.get(transaction.coinId) || emptyPosition(transaction);
+    const priced = transaction.price !== null && transaction.price !== undefined;
+    if (priced && !position.costCurrency) {
+      position.costCurrency = transaction.currency;
+    }
+    const knownPrice = priced && transaction.currency === position.costCurrency;
+    const fee = transaction.fee || 0;
+
+    if (INCOMING.includes(transaction.type)) {
+      const unitCost = knownPrice
+        ? transaction.price + fee / transaction.amount
+        : null;
+      position.lots = [...position.lots, {
+        amount: transaction.amount,
+        unitCost,
+        acquiredAt: transaction.timestamp,
+      }];
+      position.amount = roundAmount(position.amount + transaction.amount);
+    } else {
+      const amount = Math.min(transaction.amount, position.amount);
+      const { lots, cost } = takeFromLots(position.lots, amount, method === 'average' ? 'fifo' : method);
+      position.lots = lots;
+      position.amount = roundAmount(position.amount - amount);
+
+      if (transaction.type === TRANSACTION_TYPES.SELL) {
+        const proceeds = knownPrice ? amount * transaction.price - fee : null;
+        position.realizedPnL = addCost(position.realizedPnL, proceeds === null || cost === null ? null : proceeds - cost);
+      }
+    }
+
+    if (method === 'average') {
+      position.lots = poolLots(position.lots);
+    }
+    if (knownPrice) {
+      position.fees += fee;
+    }
+    position.transactionCount += 1;
+    position.lastTransactionAt = transaction.timestamp;
+    positions.set(transaction.coinId, position);
+  });
+
+  return [...positions.values()].map(position => {
+    const costBasis = position.lots.reduce(
+      (sum, lot) => addCost(sum, lot.unitCost === null ? null : lot.amount * lot.unitCost),
+      0
+    );
+    return {
+      ...position,
+      costBasis,
+      averageCost: costBasis !== null && position.amount > 0 ? costBasis / position.amount : null,
+    };
+  });
+};
+
+export const balanceOf = (transactions, coinId) =>
+  roundAmount(transactions
+    .filter(transaction => transaction.coinId === coinId)
+    .sort(byTime)
+    .reduce((sum, transaction) =>
+      INCOMING.includes(transaction.type) ? sum + transaction.amount : Math.max(0, sum - transaction.amount), 0));
+
+// Realized P&L a sale would lock in, for confirming it before it is recorded
+export const previewRealizedPnL = (transactions, sale, options) => {
+  const before = computePositions(transactions, options).find(position => position.coinId === sale.coinId);
+  const after = computePositions([...transactions, sale], options).find(position => position.coinId === sale.coinId);
+  if (!after || before?.realizedPnL === null || after.realizedPnL === null) {
+    return null;
+  }
+  return after.realizedPnL - (before?.realizedPnL || 0);
+};
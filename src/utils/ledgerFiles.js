@@ -0,0 +1,440 @@
+import { parseCSV, toCSV } from './csv';
+import { isSupportedCurrency } from './currency';
+import { TRANSACTION_TYPES, createTransaction } from './ledger';
+
+export const LEDGER_FILE_FORMAT = 'crypto-chat-ledger';
+const LEDGER_FILE_VERSION = 1;
+
+export const IMPORT_FORMATS = {
+  json: 'Crypto Chat backup',
+  csv: 'Crypto Chat CSV',
+  coinbase: 'Coinbase',
+  binance: 'Binance',
+};
+
+const LEDGER_COLUMNS = ['id', 'timestamp', 'type', 'coin_id', 'symbol', 'name', 'amount', 'price', 'fee', 'currency', 'account'];
+
+// Exchanges quote in stablecoins; for cost basis they count as dollars
+const STABLECOINS = ['USDT', 'USDC', 'BUSD', 'FDUSD', 'TUSD', 'DAI', 'USDP'];
+
+// Longest first, so "BTCUSDT" splits as BTC/USDT rather than BTCU/SDT
+const QUOTE_ASSETS = [...STABLECOINS, 'BTC', 'ETH', 'BNB', 'EUR', 'GBP', 'TRY', 'BRL', 'AUD', 'INR']
+  .sort((a, b) => b.length - a.length);
+
+const COINBASE_TYPES = {
+  'buy': TRANSACTION_TYPES.BUY,
+  'advanced trade buy': TRANSACTION_TYPES.BUY,
+  'sell': TRANSACTION_TYPES.SELL,
+  'advanced trade sell': TRANSACTION_TYPES.SELL,
+  'send': TRANSACTION_TYPES.TRANSFER_OUT,
+  'withdrawal': TRANSACTION_TYPES.TRANSFER_OUT,
+  'receive': TRANSACTION_TYPES.TRANSFER_IN,
+  'deposit': TRANSACTION_TYPES.TRANSFER_IN,
+  'rewards income': TRANSACTION_TYPES.TRANSFER_IN,
+  'staking income': TRANSACTION_TYPES.TRANSFER_IN,
+  'learning reward': TRANSACTION_TYPES.TRANSFER_IN,
+  'coinbase earn': TRANSACTION_TYPES.TRANSFER_IN,
+  'inflation reward': TRANSACTION_TYPES.TRANSFER_IN,
+};
+
+const CONVERT_NOTE = /converted\s+([\d.,]+)\s+(\S+)\s+to\s+([\d.,]+)\s+(\S+)/i;
+const QUANTITY_WITH_ASSET = /^([\d.,]+)\s*([A-Z][A-Z0-9]*)$/i;
+
+// The header can sit below a preamble (Coinbase prints a few lines first)
+const HEADER_SEARCH_ROWS = 15;
+
+const stamp = () => new Date().toISOString();
+
+const toNumber = (text) => {
+  if (text === null || text === undefined || String(text).trim() === '') return null;
+  const value = parseFloat(String(text).replace(/[^\d.eE+-]/g, ''));
+  return Number.isFinite(value) ? value : null;
+};
+
+// Exchange timestamps are UTC with or without saying so
+const toTimestamp = (text) => {
+  const normalized = String(text || '').trim()
+    .replace(/\s+UTC$/i, 'Z')
+    .replace(/^(\d{4}-\d{2}-\d{2})\s+/, '$1T');
+  const date = new Date(/T[\d:.]+$/.test(normalized) ? `${normalized}Z` : normalized);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const quoteCurrency = (asset) => {
+  const code = asset?.toUpperCase();
+  if (STABLECOINS.includes(code)) return 'usd';
+  return code && isSupportedCurrency(code.toLowerCase()) ? code.toLowerCase() : null;
+};
+
+// Stable ids for rows without one, so importing a file twice finds duplicates
+const hashRow = (text) => {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+};
+
+const findHeader = (rows, requiredColumns) =>
+  rows.slice(0, HEADER_SEARCH_ROWS).findIndex(row => {
+    const columns = row.map(cell => cell.trim().toLowerCase());
+    return requiredColumns.every(column => columns.includes(column));
+  });
+
+// Row objects keyed by lower-cased header, each with its 1-based line number
+const readTable = (rows, headerIndex) => {
+  const header = rows[headerIndex].map(cell => cell.trim().toLowerCase());
+  return rows.slice(headerIndex + 1).map((cells, index) => ({
+    line: headerIndex + index + 2,
+    raw: cells.join(','),
+    get: (...names) => {
+      const column = names.map(name => header.indexOf(name)).find(position => position !== -1);
+      return column === undefined ? '' : (cells[column] || '').trim();
+    },
+  }));
+};
+
+const checkRow = (row, skipped) => {
+  if (!row.timestamp) {
+    skipped.push({ line: row.line, reason: 'unreadable date' });
+    return false;
+  }
+  if (!row.amount || row.amount <= 0) {
+    skipped.push({ line: row.line, reason: 'missing amount' });
+    return false;
+  }
+  return true;
+};
+
+const parseOwnCSV = (table) => {
+  const rows = [];
+  const skipped = [];
+  table.forEach(entry => {
+    const type = entry.get('type').toLowerCase();
+    if (!Object.values(TRANSACTION_TYPES).includes(type)) {
+      skipped.push({ line: entry.line, reason: `unknown type "${entry.get('type')}"` });
+      return;
+    }
+    const row = {
+      line: entry.line,
+      id: entry.get('id') || `import-${hashRow(entry.raw)}`,
+      type,
+      coinId: entry.get('coin_id'),
+      symbol: entry.get('symbol'),
+      coinName: entry.get('name'),
+      amount: toNumber(entry.get('amount')),
+      price: toNumber(entry.get('price')),
+      fee: toNumber(entry.get('fee')) || 0,
+      currency: entry.get('currency').toLowerCase() || null,
+      timestamp: toTimestamp(entry.get('timestamp')),
+      account: entry.get('account') || null,
+    };
+    if (checkRow(row, skipped)) rows.push(row);
+  });
+  return { rows, skipped };
+};
+
+const parseCoinbase = (table) => {
+  const rows = [];
+  const skipped = [];
+  table.forEach(entry => {
+    const typeText = entry.get('transaction type');
+    // Exchange history is kept in an account named after the exchange
+    const base = {
+      line: entry.line,
+      account: 'Coinbase',
+      timestamp: toTimestamp(entry.get('timestamp')),
+      currency: entry.get('spot price currency', 'price currency').toLowerCase() || null,
+      fee: toNumber(entry.get('fees and/or spread', 'fees')) || 0,
+    };
+    const id = entry.get('id') ? `coinbase-${entry.get('id')}` : `coinbase-${hashRow(entry.raw)}`;
+
+    // A convert is a sale of one coin and a buy of another at the same moment
+    if (typeText.toLowerCase() === 'convert') {
+      const match = entry.get('notes').match(CONVERT_NOTE);
+      if (!match) {
+        skipped.push({ line: entry.line, reason: 'convert without amounts in its notes' });
+        return;
+      }
+      const subtotal = toNumber(entry.get('subtotal'));
+      const received = toNumber(match[3]);
+      const sold = {
+        ...base,
+        id: `${id}-sell`,
+        type: TRANSACTION_TYPES.SELL,
+        symbol: match[2],
+        amount: toNumber(match[1]),
+        price: toNumber(entry.get('spot price at transaction', 'price at transaction')),
+      };
+      const bought = {
+        ...base,
+        id: `${id}-buy`,
+        type: TRANSACTION_TYPES.BUY,
+        symbol: match[4],
+        amount: received,
+        price: subtotal !== null && received ? subtotal / received : null,
+        fee: 0,
+      };
+      [sold, bought].forEach(row => {
+        if (checkRow(row, skipped)) rows.push(row);
+      });
+      return;
+    }
+
+    const type = COINBASE_TYPES[typeText.toLowerCase()];
+    if (!type) {
+      skipped.push({ line: entry.line, reason: `unsupported type "${typeText}"` });
+      return;
+    }
+    // Newer exports sign quantities: sells and sends are negative
+    const quantity = toNumber(entry.get('quantity transacted'));
+    const row = {
+      ...base,
+      id,
+      type,
+      symbol: entry.get('asset'),
+      amount: quantity === null ? null : Math.abs(quantity),
+      price: toNumber(entry.get('spot price at transaction', 'price at transaction')),
+    };
+    if (checkRow(row, skipped)) rows.push(row);
+  });
+  return { rows, skipped };
+};
+
+const splitPair = (pair) => {
+  const quote = QUOTE_ASSETS.find(asset => pair.toUpperCase().endsWith(asset) && pair.length > asset.length);
+  return quote ? { base: pair.slice(0, -quote.length), quote } : null;
+};
+
+/**
+ * Binance's spot trade history comes in two layouts:
+ * Date(UTC),Pair,Side,Price,Executed,Amount,Fee with the asset glued to each
+ * quantity ("0.5BTC"), and the older Date(UTC),Market,Type,Price,Amount,
+ * Total,Fee,Fee Coin. A fee paid in the bought coin comes out of the amount;
+ * one paid in the quote currency is kept as a fee; one paid in BNB is dropped.
+ */
+const parseBinance = (table) => {
+  const rows = [];
+  const skipped = [];
+  table.forEach(entry => {
+    const side = entry.get('side', 'type').toLowerCase();
+    const type = { buy: TRANSACTION_TYPES.BUY, sell: TRANSACTION_TYPES.SELL }[side];
+    if (!type) {
+      skipped.push({ line: entry.line, reason: `unsupported side "${entry.get('side', 'type')}"` });
+      return;
+    }
+
+    let base;
+    let quote;
+    let amount;
+    let fee;
+    let feeAsset;
+    const executed = entry.get('executed').match(QUANTITY_WITH_ASSET);
+    if (executed) {
+      base = executed[2];
+      amount = toNumber(executed[1]);
+      quote = entry.get('pair').toUpperCase().replace(base.toUpperCase(), '') || null;
+      const feeMatch = entry.get('fee').match(QUANTITY_WITH_ASSET);
+      fee = feeMatch ? toNumber(feeMatch[1]) : 0;
+      feeAsset = feeMatch?.[2];
+    } else {
+      const pair = splitPair(entry.get('market', 'pair'));
+      if (!pair) {
+        skipped.push({ line: entry.line, reason: `unrecognised market "${entry.get('market', 'pair')}"` });
+        return;
+      }
+      ({ base, quote } = pair);
+      amount = toNumber(entry.get('amount'));
+      fee = toNumber(entry.get('fee')) || 0;
+      feeAsset = entry.get('fee coin');
+    }
+
+    const currency = quoteCurrency(quote);
+    const feeInBase = feeAsset?.toUpperCase() === base.toUpperCase();
+    const feeInQuote = feeAsset?.toUpperCase() === quote?.toUpperCase();
+    const row = {
+      line: entry.line,
+      id: `binance-${hashRow(entry.raw)}`,
+      account: 'Binance',
+      type,
+      symbol: base,
+      amount: feeInBase && type === TRANSACTION_TYPES.BUY ? amount - fee : amount,
+      price: currency ? toNumber(entry.get('price')) : null,
+      fee: currency && feeInQuote ? fee : 0,
+      currency,
+      timestamp: toTimestamp(entry.get('date(utc)', 'date')),
+    };
+    if (checkRow(row, skipped)) rows.push(row);
+  });
+  return { rows, skipped };
+};
+
+// Our backup file, or the bare holdings list the app stored before the ledger
+const parseOwnJSON = (data) => {
+  const skipped = [];
+  if (Array.isArray(data)) {
+    const rows = data.map((holding, index) => ({
+      line: index + 1,
+      id: `import-${hashRow(JSON.stringify(holding))}`,
+      type: TRANSACTION_TYPES.TRANSFER_IN,
+      coinId: holding.coinId,
+      symbol: holding.coinSymbol,
+      coinName: holding.coinName,
+      amount: toNumber(holding.amount),
+      price: null,
+      fee: 0,
+      currency: null,
+      timestamp: holding.addedAt || stamp(),
+    })).filter(row => checkRow(row, skipped));
+    return { rows, skipped };
+  }
+
+  const rows = (data.transactions || []).map((transaction, index) => ({
+    line: index + 1,
+    ...transaction,
+    symbol: transaction.coinSymbol,
+    amount: toNumber(transaction.amount),
+  })).filter(row => {
+    if (!Object.values(TRANSACTION_TYPES).includes(row.type)) {
+      skipped.push({ line: row.line, reason: `unknown type "${row.type}"` });
+      return false;
+    }
+    return checkRow(row, skipped);
+  });
+  return { rows, skipped };
+};
+
+/**
+ * Reads an exported ledger or an exchange's trade history. Returns
+ * { format, rows, skipped } where rows still carry exchange symbols rather
+ * than coin ids (see resolveImportRows), or { error } when the file is not
+ * a layout we know.
+ */
+export const parseLedgerFile = (content, fileName = '') => {
+  const trimmed = content.trim();
+  if (/\.json$/i.test(fileName) || /^[[{]/.test(trimmed)) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      return { error: "That file isn't valid JSON." };
+    }
+    if (!Array.isArray(data) && data.format !== LEDGER_FILE_FORMAT) {
+      return { error: "That JSON file isn't a Crypto Chat backup." };
+    }
+    return { format: 'json', ...parseOwnJSON(data) };
+  }
+
+  const table = parseCSV(content);
+  const layouts = [
+    { format: 'csv', columns: ['type', 'coin_id', 'amount'], parse: parseOwnCSV },
+    { format: 'coinbase', columns: ['transaction type', 'asset', 'quantity transacted'], parse: parseCoinbase },
+    { format: 'binance', columns: ['date(utc)', 'pair', 'side'], parse: parseBinance },
+    { format: 'binance', columns: ['date(utc)', 'market', 'type'], parse: parseBinance },
+  ];
+
+  for (const layout of layouts) {
+    const headerIndex = findHeader(table, layout.columns);
+    if (headerIndex !== -1) {
+      return { format: layout.format, ...layout.parse(readTable(table, headerIndex)) };
+    }
+  }
+
+  return {
+    error: "I don't recognise that file's layout. I can import Crypto Chat exports and Coinbase or Binance trade history CSVs.",
+  };
+};
+
+/**
+ * Maps parsed rows to ledger transactions. `lookup` is the coin registry's
+ * synchronous lookup; rows whose symbol it can't pin to one coin are
+ * returned in `unmapped` with the reason rather than guessed at.
+ */
+export const resolveImportRows = (rows, lookup) => {
+  const transactions = [];
+  const unmapped = [];
+  const resolved = new Map();
+
+  rows.forEach(row => {
+    let coin = row.coinId ? { id: row.coinId, name: row.coinName, symbol: row.symbol } : null;
+
+    if (!coin) {
+      const key = row.symbol?.toLowerCase();
+      if (!resolved.has(key)) {
+        resolved.set(key, lookup(key));
+      }
+      const result = resolved.get(key);
+      if (result.status === 'resolved') {
+        coin = result.coin;
+      } else {
+        const reasons = {
+          ambiguous: `"${row.symbol}" matches several coins`,
+          suggested: `"${row.symbol}" isn't a known symbol (${result.coin?.name}?)`,
+        };
+        unmapped.push({
+          line: row.line,
+          symbol: row.symbol,
+          reason: reasons[result.status] || `"${row.symbol}" isn't a known coin`,
+        });
+        return;
+      }
+    }
+
+    transactions.push(createTransaction({
+      id: row.id,
+      type: row.type,
+      coinId: coin.id,
+      coinName: coin.name || row.coinName || row.symbol,
+      coinSymbol: coin.symbol || row.symbol,
+      amount: row.amount,
+      price: row.price ?? null,
+      fee: row.fee || 0,
+      currency: row.currency,
+      timestamp: row.timestamp,
+      account: row.account || null,
+    }));
+  });
+
+  return { transactions, unmapped };
+};
+
+export const exportLedgerJSON = (transactions) => JSON.stringify({
+  format: LEDGER_FILE_FORMAT,
+  version: LEDGER_FILE_VERSION,
+  exportedAt: stamp(),
+  transactions,
+}, null, 2);
+
+export const exportLedgerCSV = (transactions) => toCSV([
+  LEDGER_COLUMNS,
+  ...transactions.map(transaction => [
+    transaction.id,
+    transaction.timestamp,
+    transaction.type,
+    transaction.coinId,
+    transaction.coinSymbol,
+    transaction.coinName,
+    transaction.amount,
+    transaction.price,
+    transaction.fee,
+    transaction.currency,
+    transaction.account,
+  ]),
+]);
+
+export const exportHoldingsCSV = (holdings, currency) => toCSV([
+  // cost_basis is in cost_currency, which can differ from the valuation currency
+  ['coin_id', 'symbol', 'name', 'amount', 'price', 'value', 'cost_basis', 'unrealized_pnl', 'currency', 'cost_currency'],
+  ...holdings.map(holding => [
+    holding.coinId,
+    holding.coinSymbol,
+    holding.coinName,
+    holding.amount,
+    holding.currentPrice,
+    holding.currentValue,
+    holding.costBasis,
+    holding.unrealizedPnL,
+    currency,
+    holding.costCurrency,
+  ]),
+]);
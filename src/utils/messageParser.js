@@ -1,4 +1,21 @@
-import { normalizeCoinName } from '../services/cryptoAPI';
+import { coinRegistry, normalizeCoinName } from '../services/coinRegistry';
+import { CURRENCIES, CURRENCY_PATTERN, DEFAULT_CURRENCY, currencyLabel, formatCurrency, formatSignedCurrency, parseCurrency } from './currency';
+import { roundAmount, summarizePortfolio, valueHoldings } from './portfolioValuation';
+import { describeRange, extractTimeRange, formatRange } from './timeRange';
+import { daysBetween, extractDate, formatDate } from './dateParser';
+import { buildValueHistory } from './portfolioHistory';
+import { COST_BASIS_METHODS, DEFAULT_COST_BASIS_METHOD, TRANSACTION_TYPES, createTransaction, previewRealizedPnL } from './ledger';
+import { IMPORT_FORMATS, exportHoldingsCSV, exportLedgerCSV, exportLedgerJSON, parseLedgerFile, resolveImportRows } from './ledgerFiles';
+import { isCoinQuery, updateContext } from './conversationContext';
+import { PRIORITY } from '../services/requestScheduler';
+import { ALL_PORTFOLIOS } from './portfolios';
+import { buildTaxReport, exportTaxReportCSV, findValuationsNeeded, renderTaxReportHTML } from './taxReport';
+import { BENCHMARK_COIN_ID, DEFAULT_RISK_DAYS, analyzeRisk } from './riskMetrics';
+import { DEFAULT_DRIFT_THRESHOLD, compareToTargets, describeDrift, findDrifted, planRebalance, targetsAddUp } from './allocation';
+import { sparklineChange, toSparkline } from './watchlist';
+import { ALERT_TYPES, DEFAULT_WINDOW_HOURS, MAX_WINDOW_HOURS, describeAlert, evaluateAlert, isCoinAlert } from './alerts';
+import { backtest, describeCadence } from './backtest';
+import { SUB_UNITS, formatUnits, parseSubUnit, quotedAt } from './conversion';
 
 
 const PATTERNS = {
@@ -6,18 +23,118 @@ const PATTERNS = {
   PRICE_QUERY: /(?:what'?s|what is|price of|current price|how much is)\s+(.+?)(?:\s+trading\s+at)?(?:\?)?$/i,
   PRICE_SIMPLE: /^(.+?)\s+price$/i,
   PRICE_TRADING: /(?:what'?s|what is)\s+(.+?)\s+trading\s+at/i,
-  ADD_HOLDING: /(?:i have|i own|add|buy|bought)\s+(\d+(?:\.\d+)?)\s+(.+?)(?:\s+(?:coins?|tokens?))?$/i,
+  // "what was ETH worth", "how much did BTC cost"; the date is taken off first
+  HISTORICAL_PRICE: /^(?:what|how\s+much)\s+(?:was|were|did)\s+(?:the\s+price\s+of\s+)?(.+?)(?:\s+(?:worth|trading\s+at|trade\s+at|cost|go\s+for|sell\s+for))?$/i,
+  ADD_HOLDING: /(?:add|buy|bought)\s+(\d[\d,]*(?:\.\d+)?)\s+(.+?)(?:\s+(?:coins?|tokens?))?$/i,
+  SET_HOLDING: /(?:i have|i own|i hold)\s+(\d[\d,]*(?:\.\d+)?)\s+(.+?)(?:\s+(?:coins?|tokens?))?$/i,
+  SET_HOLDING_TO: /\bset\s+(?:my\s+)?(.+?)\s+(?:holdings?\s+|balance\s+)?to\s+(\d[\d,]*(?:\.\d+)?)$/i,
+  SELL_HOLDING: /(?:sold|sell|remove|take out)\s+(\d[\d,]*(?:\.\d+)?)\s+(.+?)(?:\s+(?:coins?|tokens?))?$/i,
+  REMOVE_HOLDING: /^(?:remove|delete|drop|sell all(?:\s+of)?)\s+(?:all\s+(?:of\s+)?)?(?:my\s+)?(.+?)$/i,
+  CLEAR_PORTFOLIO: /^(?:clear|reset|empty|wipe|delete|remove)\s+(?:out\s+)?(?:everything(?:\s+from\s+my\s+portfolio)?|(?:my\s+|the\s+)?(?:whole\s+|entire\s+)?(?:portfolio|holdings))$/i,
   PORTFOLIO_VALUE: /(?:portfolio|my holdings|total value|how much|what'?s my portfolio worth)/i,
+  PORTFOLIO_MENTION: /\b(?:portfolio|my holdings|(?:my|the|our)\s+[\w' -]+?\s+(?:wallet|account))\b/i,
+  PORTFOLIO_CHART: /(?:(?:portfolio|holdings)(?:'s)?\s+(?:value\s+)?(?:chart|graph|history|performance)|(?:chart|graph|history|performance)\s+(?:of|for)\s+my\s+(?:portfolio|holdings)|how\s+(?:has|did|is)\s+my\s+(?:portfolio|holdings)\s+(?:done|performed|do|doing|perform))/i,
   TRENDING: /(?:trending|hot|popular|top)\s*(?:coins?|crypto|cryptocurrencies?)?/i,
   CHART_REQUEST: /(?:chart|graph|price chart|show chart)\s+(?:for\s+)?(.+?)(?:\s+(?:7\s*days?|week|weekly))?$/i,
+  CHART_SUFFIX: /^(?:show\s+(?:me\s+)?)?(?:the\s+)?(.+?)(?:'s)?\s+(?:price\s+)?(?:chart|graph)$/i,
   INFO_REQUEST: /(?:tell me about|info about|information about|what is)\s+(.+)/i,
   HELP: /^(?:help|what can you do|commands)$/i,
+  EXPORT: /^(export|download|back\s*up|save)\s*(?:(?:a\s+)?(?:copy|backup)\s+of\s+)?(?:my\s+|the\s+)?(portfolio|holdings|transactions|trades|ledger|history|data|everything)?(?:\s*(?:as|to|in(?:to)?)?\s*(?:an?\s+)?(csv|json)(?:\s+file)?)?$/i,
+  IMPORT: /^(?:import|upload|load)\b/i,
+  SWITCH_PORTFOLIO: /^(?:(?:switch|change|go|move|jump)\s+(?:back\s+|over\s+)?to|use|open)\s+(?:my\s+|the\s+|our\s+)?(.+?)(?:\s+portfolio)?$/i,
+  CREATE_PORTFOLIO: /^(?:create|make|start|add|open|set\s+up)\s+(?:a\s+)?(?:new\s+)?portfolio\s+(?:called\s+|named\s+|for\s+)?(.+)$/i,
+  CREATE_NAMED_PORTFOLIO: /^(?:create|make|start|set\s+up)\s+(?:a\s+|an\s+|my\s+|our\s+)?(?:new\s+)?(.+?)\s+portfolio$/i,
+  ALL_PORTFOLIOS: /\b(?:(?:all|each|every)\s+(?:of\s+)?(?:my\s+|our\s+)?portfolios?|portfolios|combined|across\s+(?:all\s+)?(?:my\s+)?(?:portfolios|wallets|accounts))\b/i,
+  // "add 3 ETH to ledger wallet", "I have 2 BTC on coinbase", "sold 1 ETH from treasury"
+  HOLDING_TARGET: /\s+(?:to|into|in|on|from|out\s+of)\s+(?:my\s+|the\s+|our\s+)?([\w' -]+?)$/i,
+  // "my ledger wallet", "the treasury portfolio"
+  NAMED_TARGET: /([\w'-]+(?:\s+[\w'-]+)?)\s+(portfolio|wallet|account)\b/i,
+  // "set targets to 60% BTC, 30% ETH, 10% SOL", "my allocation should be ..."
+  ALLOCATION_PREFIX: /^(?:(?:please\s+)?(?:set|make|change|update)\s+(?:my\s+|the\s+)?(?:target\s+)?(?:allocations?|targets?|weights?)(?:\s+(?:to|as|at))?|(?:my\s+|the\s+)?(?:target\s+)?(?:allocations?|targets?|weights?)(?:\s+(?:is|are|should\s+be))?|i\s+want|aim\s+for)\s*:?\s*/i,
+  ALLOCATION_SPLIT: /\s*(?:,|;|\/|\+|\band\b)\s*/i,
+  WEIGHT_FIRST: /^(\d+(?:\.\d+)?)\s*%\s*(?:of\s+|in\s+)?(.+)$/i,
+  WEIGHT_LAST: /^(.+?)\s*(?:at|=|:)?\s*(\d+(?:\.\d+)?)\s*%$/i,
+  CLEAR_TARGETS: /^(?:clear|remove|delete|reset|drop)\s+(?:all\s+)?(?:my\s+|the\s+)?(?:target\s+)?(?:allocations?|targets?|weights?)$/i,
+  DRIFT_THRESHOLD: /\bdrift(?:s|ing)?\b.*?(\d+(?:\.\d+)?)\s*(?:%|percent|(?:percentage\s+)?(?:points?|pts?))/i,
+  TAX_REPORT: /\b(?:tax(?:es)?\s+(?:report|summary|statement|forms?|documents?)|capital\s+gains?|realized\s+gains?|gains?\s+(?:and|&)\s+loss(?:es)?(?:\s+report)?|form\s+8949|(?:do|file)\s+my\s+(?:crypto\s+)?taxes)\b/i,
+  TAX_YEAR: /\b((?:19|20)\d{2})\b/,
+  THIS_TAX_YEAR: /\b(?:this|current)\s+(?:tax\s+)?year\b|\byear\s+to\s+date\b|\bytd\b/i,
+  LAST_TAX_YEAR: /\b(?:last|previous|prior)\s+(?:tax\s+)?year\b/i,
+  LOT_METHOD: /\b(fifo|lifo|average(?:\s+cost)?)\b/i,
+  RISK_ANALYSIS: /\b(?:how\s+(?:risky|volatile|diversified|correlated)\s+(?:is|are)\s+(?:my|the|our)\s+(?:[\w'-]+\s+){0,2}?(?:portfolio|holdings|coins|investments?|wallet|account)|(?:portfolio|holdings)(?:'s)?\s+(?:risk|volatility|drawdown|sharpe(?:\s+ratio)?|beta|correlations?)|(?:risk|volatility|drawdown|sharpe(?:\s+ratio)?|beta|correlations?)\s+(?:of|for|in|across|between)\s+(?:my|the|our)\s+(?:[\w'-]+\s+){0,2}?(?:portfolio|holdings|coins|wallet|account)|risk\s+(?:analysis|report|metrics|breakdown|profile))\b/i,
+  REBALANCE: /\brebalanc(?:e|ing)\b/i,
+  ALLOCATION_STATUS: /^(?:(?:show|check|view|what(?:'?s|\s+is|\s+are)|how(?:'?s|\s+is))\s+)?(?:me\s+)?(?:my\s+|the\s+)?(?:portfolio\s+|current\s+)?(?:allocation|drift|targets?|target\s+weights?)(?:\s+(?:vs|versus|against|compared\s+to)\s+(?:my\s+)?targets?)?$|\b(?:on|off)\s+target\b|\bhow\s+far\s+(?:off|from)\b.*\btargets?\b|\bdrift(?:ed|ing)\b/i,
+  // "watch SOL, ETH and DOGE", "add SOL to my watchlist", "keep an eye on PEPE"
+  WATCH: /^(?:(?:please\s+)?(?:watch|keep\s+(?:an\s+)?eye\s+on)\s+(.+?)|(?:add|put)\s+(.+?)\s+(?:to|on)\s+(?:my\s+|the\s+)?watch\s*list)$/i,
+  UNWATCH: /^(?:(?:unwatch|stop\s+watching)\s+(.+?)|(?:remove|delete|drop|take)\s+(.+?)\s+(?:from|off)\s+(?:my\s+|the\s+)?watch\s*list)$/i,
+  CLEAR_WATCHLIST: /^(?:clear|reset|empty|wipe|delete)\s+(?:out\s+)?(?:my\s+|the\s+)?(?:whole\s+|entire\s+)?watch\s*list$/i,
+  WATCHLIST: /\bwatch\s*list\b/i,
+  // "alert me when BTC crosses 70k", "tell me out loud if ETH drops 5% today"
+  ALERT: /^(?:please\s+)?(?:(?:alert|notify|tell|ping|warn|remind)\s+me|let\s+me\s+know|(?:set|create|add|make)\s+(?:up\s+)?(?:me\s+)?(?:an?\s+)?(?:price\s+)?alert(?:\s+(?:for|on))?)\b\s*(.*)$/i,
+  ALERT_SPOKEN: /\s*\b(?:out\s+loud|aloud|(?:and\s+)?(?:say|read)\s+it(?:\s+out(?:\s+loud)?)?)\b\s*/i,
+  ALERT_CONDITION: /^(?:(?:if|when|whenever|once|as\s+soon\s+as|the\s+moment)(?:\s+|$))?(.*)$/i,
+  // The first word of the condition; what comes before it is the coin or portfolio
+  ALERT_VERB: /\b(?:above|over|below|under|beneath|past|cross(?:es)?|hits?|reach(?:es)?|touch(?:es)?|breaks?|tops?|exceeds?|drops?|falls?|dips?|sinks?|tanks?|crash(?:es)?|dumps?|rises?|climbs?|jumps?|gains?|pumps?|surges?|soars?|moves?|swings?|up|down|worth|(?:gets|goes)\s+to)\b/i,
+  ALERT_SUBJECT_TAIL: /(?:'s|\s+(?:is|goes|gets|trades|trading|price|value|total))+$/i,
+  ALERT_AMOUNT: /(?:^|\s)([$€£₹])?\s?(\d[\d,]*(?:\.\d+)?)\s*(k|m|thousand|million)?\b(?!\s*(?:%|percent))/i,
+  ALERT_PERCENT: /(\d+(?:\.\d+)?)\s*(?:%|percent)/i,
+  ALERT_WINDOW: /\b(?:in|within|over)\s+(?:the\s+)?(?:(?:next|last|past)\s+)?(an?|one|\d+)\s*(hours?|hrs?|h|days?|d|weeks?|wks?|w)\b/i,
+  ALERT_ABOVE: /\b(?:above|over|past|exceeds?|tops?)\b/i,
+  ALERT_BELOW: /\b(?:below|under|beneath)\b/i,
+  ALERT_UP: /\b(?:rises?|climbs?|jumps?|gains?|pumps?|surges?|soars?|breaks?|up)\b/i,
+  ALERT_DOWN: /\b(?:drops?|falls?|dips?|sinks?|tanks?|crash(?:es)?|dumps?|loses?|down)\b/i,
+  ALERTS_LIST: /^(?:(?:show|list|view|see|check|what(?:'?s|\s+are))\s+)?(?:me\s+)?(?:all\s+)?(?:of\s+)?(?:my\s+|the\s+)?(?:active\s+|price\s+|current\s+)?alerts$|^(?:what|which)\s+alerts\b|^do\s+i\s+have\s+(?:any\s+)?alerts\b/i,
+  // "cancel alert 2", "delete my BTC alerts", "clear all alerts"
+  CANCEL_ALERTS: /^(?:cancel|delete|remove|clear|drop|stop|turn\s+off|disable)\s+(?:all\s+)?(?:of\s+)?(?:my\s+|the\s+)?(.*?)\s*\balerts?(?:\s+(?:#\s*|number\s+|no\s*)?(\d+))?$/i,
+  // "what if I had put $1000 into SOL a year ago", "DCA $100 into BTC weekly since January"
+  BACKTEST: /\b(?:what\s+if|if\s+i(?:'d|\s+had|\s+would\s+have)|had\s+i|dca|dollar[-\s]cost\s+averag(?:e|ed|ing))\b/i,
+  // "how much would I have if ..." / "..., what would it be worth now?"
+  BACKTEST_LEAD: /^(?:what|how\s+much)\s+(?:would|will|could)\s+.*?\bif\s+/i,
+  BACKTEST_QUESTION: /\s*,?\s*(?:so\s+)?(?:what|how\s+much)\s+(?:would|will|could|is)\s+(?:it|that|this|they|i|my)\b.*$/i,
+  BACKTEST_CADENCE: /\s*\b(?:every\s+(?:(\d+|other)\s+)?(day|week|fortnight|month)s?|(daily|weekly|bi-?weekly|fortnightly|monthly))\b/i,
+  BACKTEST_STAKE: new RegExp(`(?:^|\\s)([$€£₹])?\\s?(\\d[\\d,]*(?:\\.\\d+)?)\\s*(k|thousand)?(?:\\s+(${CURRENCY_PATTERN}))?\\s+(?:worth\\s+)?(?:of|into|in|on)\\s+(.+)$`, 'i'),
+  // "convert 0.5 BTC to ETH", "what's 1000 sats in USD", "how many DOGE is $200"
+  CONVERT: /^(?:(?:please\s+)?(?:convert|change|exchange|swap)|what'?s|what\s+is|how\s+much\s+is)\s+(.+?)\s+(?:to|into|in)\s+(.+)$/i,
+  CONVERT_BARE: /^(.+?)\s+(?:to|into|in)\s+(.+)$/i,
+  CONVERT_HOW_MANY: /^how\s+many\s+(.+?)\s+(?:is|are|in|for|(?:can|could|would|do)\s+i\s+(?:get|buy)\s+(?:for|with))\s+(.+)$/i,
+  CONVERT_AMOUNT: /^([$€£₹])?\s?(\d[\d,]*(?:\.\d+)?|an?|one)\s*(k|m|thousand|million|billion|bn)?\b\s*(.*)$/i,
+  CONFIRM: /^(?:yes|yeah|yep|yup|sure|correct|right|ok(?:ay)?|y)(?:\s+please)?[.!]?$/i,
+  DECLINE: /^(?:no|nope|nah|n|cancel)(?:\s+thanks)?[.!]?$/i,
+  CURRENCY_SUFFIX: new RegExp(`(?:^|\\s+)in\\s+(${CURRENCY_PATTERN})\\s*\\??$`, 'i'),
+  FOLLOW_UP: /^(?:and|what about|how about|same for|and for|now)\b\s*(?:for\s+)?(.*)$/i,
+  COIN_REFERENCE: /^(?:it|its|that|this|them|more|that one|this one|that coin|this coin|same|the same)$/i,
+  // Commas inside numbers ("1,000 DOGE") and before a year do not separate clauses
+  CLAUSE_SEPARATOR: /\s*(?:;|,(?!\d|\s*(?:19|20)\d{2}\b)|\s&\s|\b(?:and then|then|also|plus|and)\b)\s*/i,
+  HOLDING_AMOUNT: /^(\d[\d,]*(?:\.\d+)?)\s+(.+)$/i,
+  COIN_LIKE: /^[\w.-]+(?:\s+[\w.-]+){0,2}$/,
+  TRADE_PRICE: /(?:\s+at|\s*@)\s*[$€£₹]?(\d[\d,]*(?:\.\d+)?)(?:\s+(?:each|apiece|per\s+(?:coin|token|unit)))?/i,
+  TRADE_TOTAL: /\s+for\s+(?:a\s+total\s+of\s+)?[$€£₹]?(\d[\d,]*(?:\.\d+)?)(?:\s+(?:total|in\s+total))?/i,
+  TRADE_FEE: /\s+(?:with\s+)?(?:an?\s+)?(?:fees?\s+(?:of\s+)?[$€£₹]?(\d[\d,]*(?:\.\d+)?)|[$€£₹]?(\d[\d,]*(?:\.\d+)?)\s+fees?)/i,
 };
 
+// Holding changes that carry an amount, so a bare "10 ETH" can continue them
+const AMOUNT_INTENTS = ['ADD_HOLDING', 'SET_HOLDING', 'SELL_HOLDING'];
+
+// Charts, which take a trailing "for 30 days"
+const RANGED_INTENTS = ['CHART_REQUEST', 'PORTFOLIO_CHART', 'RISK_ANALYSIS'];
+
+// Trades that happened at a point in time: "bought 1 ETH on March 3"
+const DATED_INTENTS = ['ADD_HOLDING', 'SELL_HOLDING'];
+
+// Holding changes that can name an account: "add 1 BTC to ledger wallet"
+const TARGETED_INTENTS = [...AMOUNT_INTENTS, 'REMOVE_HOLDING'];
+
+// Price questions that a past date turns into a historical lookup
+const HISTORICAL_INTENTS = ['PRICE_QUERY', 'HISTORICAL_PRICE'];
+
+// Intents a bare clause can borrow: "price of BTC, ETH" / "I have 2 BTC and 10 ETH"
+const LIST_INTENTS = ['PRICE_QUERY', 'CHART_REQUEST', 'INFO_REQUEST', 'REMOVE_HOLDING', ...AMOUNT_INTENTS];
+
 
 const extractCoinName = (text) => {
   const cleaned = text
     .toLowerCase()
+    .replace(/\b(?:to|from|in|out of)\s+(?:my\s+|the\s+)?(?:portfolio|holdings)\b/g, '')
     .replace(/\b(?:price|current|trading|at|now|today|currently)\b/g, '')
     .replace(/\b(?:crypto|cryptocurrency)\b/g, '')
     .replace(/\b(?:token)\b(?!\w)/g, '') // Only remove "token" if it's a standalone word
@@ -29,20 +146,721 @@ const extractCoinName = (text) => {
   return cleaned;
 };
 
-const extractHoldingInfo = (text) => {
-  const match = text.match(/(\d+(?:\.\d+)?)\s+(.+)/i);
+// "price of ETH in EUR" -> { text: 'price of ETH', currency: 'eur' }
+const extractCurrency = (text) => {
+  const match = text.match(PATTERNS.CURRENCY_SUFFIX);
+  if (!match) {
+    return { text, currency: null };
+  }
+  return { text: text.slice(0, match.index).trim(), currency: parseCurrency(match[1]) };
+};
+
+const parseNumber = (text) => parseFloat(text.replace(/,/g, ''));
+
+// "ETH at 3200 with a 5 fee" -> { text: 'ETH', price: 3200, fee: 5 }
+const extractTradeTerms = (text) => {
+  let rest = text;
+  const take = (pattern) => {
+    const match = rest.match(pattern);
+    if (!match) return null;
+    rest = rest.replace(pattern, ' ');
+    return parseNumber(match[1] || match[2]);
+  };
+
+  const fee = take(PATTERNS.TRADE_FEE);
+  const price = take(PATTERNS.TRADE_PRICE);
+  const total = take(PATTERNS.TRADE_TOTAL);
+  return { text: rest.trim(), price, total, fee };
+};
+
+// "ETH to ledger wallet" -> { text: 'ETH', target: 'ledger wallet' }. Plain
+// "to my portfolio" is no target at all.
+const extractHoldingTarget = (text) => {
+  const match = text.match(PATTERNS.HOLDING_TARGET);
+  if (!match) {
+    return { text, target: null };
+  }
+  const target = match[1].trim();
+  return {
+    text: text.slice(0, match.index).trim(),
+    target: /^(?:portfolio|holdings)$/i.test(target) ? null : target,
+  };
+};
+
+// Words that can sit before "portfolio" without naming one
+const TARGET_STOP_WORDS = /^(?:my|the|our|a|your|of|in|is|whats|what's|what|how|much|show|me|chart|value|total|whole|entire|current|crypto|overall|for|from|to)$/i;
+
+// "how much is in my ledger wallet" -> 'ledger wallet'; "my portfolio" -> null
+const extractNamedTarget = (text) => {
+  const match = text.match(PATTERNS.NAMED_TARGET);
+  if (!match) {
+    return null;
+  }
+  // Only the words right before the noun name it: "how has my portfolio" names nothing
+  const words = match[1].split(/\s+/);
+  const nameStart = words.findLastIndex(word => TARGET_STOP_WORDS.test(word)) + 1;
+  const name = words.slice(nameStart).join(' ');
+  return name ? `${name} ${match[2]}`.toLowerCase() : null;
+};
+
+const holdingIntent = (type, amount, coinText) => {
+  const { text: withoutTerms, price, total, fee } = extractTradeTerms(coinText);
+  const { text, target } = extractHoldingTarget(withoutTerms);
+  const coinName = extractCoinName(text);
+  const unitPrice = price ?? (total !== null && amount > 0 ? total / amount : null);
+  return {
+    type,
+    amount,
+    coinName: normalizeCoinName(coinName),
+    originalCoinName: coinName,
+    ...(unitPrice !== null && { price: unitPrice }),
+    ...(fee !== null && { fee }),
+    ...(target && { target }),
+  };
+};
+
+/**
+ * Reads target weights: "60% BTC, 30% ETH and 10% SOL" or "BTC 60% ETH 40%".
+ * Without a lead-in like "set targets to", one weight alone is more likely
+ * something else ("BTC is up 5%"), so a bare list needs at least two.
+ */
+const parseAllocation = (text) => {
+  if (!text.includes('%')) {
+    return null;
+  }
+
+  const prefix = text.match(PATTERNS.ALLOCATION_PREFIX);
+  const list = prefix ? text.slice(prefix[0].length) : text;
+  const weightFirst = /^\d/.test(list);
+  const parts = list
+    .split(PATTERNS.ALLOCATION_SPLIT)
+    .flatMap(part => part.split(weightFirst ? /\s+(?=\d+(?:\.\d+)?\s*%)/ : /(?<=%)\s+/))
+    .filter(Boolean);
+
+  const targets = [];
+  for (const part of parts) {
+    const match = part.match(weightFirst ? PATTERNS.WEIGHT_FIRST : PATTERNS.WEIGHT_LAST);
+    if (!match) return null;
+    const [weight, coinText] = weightFirst ? [match[1], match[2]] : [match[2], match[1]];
+    const coinName = extractCoinName(coinText);
+    if (!PATTERNS.COIN_LIKE.test(coinName)) return null;
+    targets.push({ weight: parseFloat(weight), coinName: normalizeCoinName(coinName), originalCoinName: coinName });
+  }
+
+  if (targets.length === 0 || (!prefix && targets.length < 2)) {
+    return null;
+  }
+  return { type: 'SET_TARGETS', targets };
+};
+
+// "watch SOL, ETH and DOGE" is one intent over a list of coins, not a
+// clause per coin. Any other mention of the watchlist asks to see it.
+const parseWatchlist = (text) => {
+  if (PATTERNS.CLEAR_WATCHLIST.test(text)) {
+    return { type: 'CLEAR_WATCHLIST' };
+  }
+
+  const watch = text.match(PATTERNS.WATCH);
+  const unwatch = !watch && text.match(PATTERNS.UNWATCH);
+  const match = watch || unwatch;
+  if (match) {
+    const coins = (match[1] || match[2])
+      .split(PATTERNS.ALLOCATION_SPLIT)
+      .map(part => extractCoinName(part))
+      .filter(Boolean);
+    if (coins.length > 0 && coins.every(coinName => PATTERNS.COIN_LIKE.test(coinName))) {
+      return {
+        type: watch ? 'WATCH' : 'UNWATCH',
+        coins: coins.map(coinName => ({ coinName: normalizeCoinName(coinName), originalCoinName: coinName })),
+      };
+    }
+  }
+
+  return PATTERNS.WATCHLIST.test(text) ? { type: 'WATCHLIST' } : null;
+};
+
+const AMOUNT_MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6 };
+
+const WINDOW_UNIT_HOURS = { h: 1, d: 24, w: 168 };
+
+// "in 3 days" -> 72, "this week" -> 168; a day unless the message says
+const extractWindowHours = (text) => {
+  const match = text.match(PATTERNS.ALERT_WINDOW);
   if (match) {
-    const amount = parseFloat(match[1]);
-    const coinName = extractCoinName(match[2]);
-    return { amount, coinName };
+    const count = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : 1;
+    return count * WINDOW_UNIT_HOURS[match[2][0].toLowerCase()];
+  }
+  return /\bthis\s+week\b/i.test(text) ? 168 : DEFAULT_WINDOW_HOURS;
+};
+
+/**
+ * "alert me when BTC crosses 70k", "tell me if ETH drops 5% today",
+ * "notify me out loud when my portfolio is worth over $50,000". A
+ * threshold with no direction ("crosses", "hits") is settled against the
+ * current price when the alert is set.
+ */
+const parseAlert = (text) => {
+  if (PATTERNS.ALERTS_LIST.test(text)) {
+    return { type: 'LIST_ALERTS' };
+  }
+
+  const cancel = text.match(PATTERNS.CANCEL_ALERTS);
+  if (cancel) {
+    const subject = cancel[1].replace(/\b(?:price|move|active)\b/gi, '').trim();
+    const coinName = extractCoinName(subject);
+    return {
+      type: 'CANCEL_ALERTS',
+      ...(cancel[2] && { index: parseInt(cancel[2], 10) }),
+      ...(/\bportfolio\b/i.test(subject)
+        ? { portfolio: true }
+        : coinName && PATTERNS.COIN_LIKE.test(coinName) && { coinName: normalizeCoinName(coinName), originalCoinName: coinName }),
+    };
+  }
+
+  const lead = text.match(PATTERNS.ALERT);
+  // "warn me when drift passes 3%" sets the drift threshold instead
+  if (!lead || /\bdrift/i.test(text)) {
+    return null;
+  }
+
+  const speak = PATTERNS.ALERT_SPOKEN.test(lead[1]);
+  const { text: rest, currency: ownCurrency } = extractCurrency(lead[1].replace(PATTERNS.ALERT_SPOKEN, ' ').trim());
+  const condition = rest.match(PATTERNS.ALERT_CONDITION)[1];
+  // "tell me about solana" isn't an alert; without the word "alert" or a
+  // "when"/"if", only a price or move clause makes it one
+  const meantAsAlert = /\balert\b/i.test(text.slice(0, text.length - lead[1].length)) || condition !== rest;
+  const unclear = meantAsAlert ? { type: 'ALERT_HELP' } : null;
+  const verb = condition.match(PATTERNS.ALERT_VERB);
+  if (!verb) {
+    return unclear;
+  }
+
+  const subject = condition.slice(0, verb.index).trim()
+    .replace(/^(?:the\s+)?price\s+of\s+/i, '')
+    .replace(PATTERNS.ALERT_SUBJECT_TAIL, '');
+  const terms = condition.slice(verb.index);
+  const percent = terms.match(PATTERNS.ALERT_PERCENT);
+  const amount = !percent && terms.match(PATTERNS.ALERT_AMOUNT);
+  if (!percent && !amount) {
+    return unclear;
+  }
+
+  const alert = {
+    type: 'CREATE_ALERT',
+    speak,
+    ...((ownCurrency || amount?.[1]) && { currency: ownCurrency || parseCurrency(amount[1]) }),
+  };
+  if (percent) {
+    const up = PATTERNS.ALERT_UP.test(terms);
+    const down = PATTERNS.ALERT_DOWN.test(terms);
+    alert.kind = ALERT_TYPES.MOVE;
+    alert.percent = parseFloat(percent[1]);
+    alert.windowHours = extractWindowHours(terms);
+    alert.direction = up === down ? 'either' : up ? 'up' : 'down';
+  } else {
+    alert.kind = ALERT_TYPES.PRICE;
+    alert.threshold = parseNumber(amount[2]) * (AMOUNT_MULTIPLIERS[amount[3]?.toLowerCase()] || 1);
+    alert.direction = PATTERNS.ALERT_ABOVE.test(terms) ? 'above'
+      : PATTERNS.ALERT_BELOW.test(terms) ? 'below'
+        : PATTERNS.ALERT_UP.test(terms) ? 'above'
+          : PATTERNS.ALERT_DOWN.test(terms) ? 'below'
+            : null;
+  }
+
+  if (/\bportfolios?\b/i.test(subject)) {
+    const target = extractNamedTarget(subject);
+    return {
+      ...alert,
+      kind: alert.kind === ALERT_TYPES.MOVE ? ALERT_TYPES.MOVE : ALERT_TYPES.PORTFOLIO,
+      subject: 'portfolio',
+      ...(PATTERNS.ALL_PORTFOLIOS.test(subject) ? { scope: 'all' } : target && { target }),
+    };
+  }
+
+  const coinName = extractCoinName(subject);
+  if (!coinName || !PATTERNS.COIN_LIKE.test(coinName)) {
+    return unclear;
+  }
+  return { ...alert, subject: 'coin', coinName: normalizeCoinName(coinName), originalCoinName: coinName };
+};
+
+const CADENCES = {
+  day: { unit: 'day', count: 1 },
+  daily: { unit: 'day', count: 1 },
+  week: { unit: 'week', count: 1 },
+  weekly: { unit: 'week', count: 1 },
+  fortnight: { unit: 'week', count: 2 },
+  fortnightly: { unit: 'week', count: 2 },
+  biweekly: { unit: 'week', count: 2 },
+  month: { unit: 'month', count: 1 },
+  monthly: { unit: 'month', count: 1 },
+};
+
+// "every 2 weeks" -> { unit: 'week', count: 2 }, "monthly" -> { unit: 'month', count: 1 }
+const readCadence = ([, countText, unitText, adverb]) => {
+  const cadence = CADENCES[(unitText || adverb).toLowerCase().replace('-', '')];
+  const count = countText === 'other' ? 2 : countText ? parseInt(countText, 10) : 1;
+  return { ...cadence, count: cadence.count * count };
+};
+
+/**
+ * "if I had put $1000 into SOL a year ago, what would it be worth?" and
+ * "$100 of BTC every week since January". Read whole, so the question on
+ * the end isn't a clause of its own. Without a start date it goes back a
+ * year; a what-if that names no stake gets examples instead, rather than
+ * falling through to "bought 2 BTC" and recording a trade.
+ */
+const parseBacktest = (text) => {
+  const lead = PATTERNS.BACKTEST.test(text);
+  const cadenceMatch = text.match(PATTERNS.BACKTEST_CADENCE);
+  if (!lead && !cadenceMatch) {
+    return null;
+  }
+
+  const question = text.replace(PATTERNS.BACKTEST_LEAD, '').replace(PATTERNS.BACKTEST_QUESTION, '');
+  const { text: withoutCurrency, currency: ownCurrency } = extractCurrency(question.replace(PATTERNS.BACKTEST_CADENCE, ''));
+  const dated = extractDate(withoutCurrency);
+  const ranged = !dated.date && extractTimeRange(withoutCurrency);
+  const stake = (dated.date ? dated.text : ranged.text).match(PATTERNS.BACKTEST_STAKE);
+  const coinName = stake && extractCoinName(stake[5]);
+  // A plain "buy $100 of BTC every week" needs the money to be spelled out
+  if (!stake || !coinName || !PATTERNS.COIN_LIKE.test(coinName) || (!lead && !stake[1] && !stake[4])) {
+    return lead ? { type: 'BACKTEST_HELP' } : null;
+  }
+
+  let start = dated.date;
+  if (!start) {
+    start = new Date();
+    start.setHours(0, 0, 0, 0);
+    if (ranged.days) {
+      start.setDate(start.getDate() - ranged.days);
+    } else {
+      start.setFullYear(start.getFullYear() - 1);
+    }
+  }
+  const currency = ownCurrency || parseCurrency(stake[1] || stake[4]);
+  return {
+    type: 'BACKTEST',
+    amount: parseNumber(stake[2]) * (stake[3] ? 1000 : 1),
+    coinName: normalizeCoinName(coinName),
+    originalCoinName: coinName,
+    date: start.toISOString(),
+    ...(cadenceMatch && { cadence: readCadence(cadenceMatch) }),
+    ...(currency && { currency }),
+  };
+};
+
+const CONVERT_MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, billion: 1e9, bn: 1e9 };
+
+// One side of a conversion: { kind: 'fiat', currency } or { kind: 'coin',
+// coinName, originalCoinName, subUnit? }, where sats and the like carry
+// their coin and the sub-unit's key
+const readConversionUnit = (text, sign) => {
+  const name = text.replace(/^(?:worth\s+)?of\s+/i, '').replace(/\s+(?:coins?|tokens?)$/i, '').trim();
+  const currency = parseCurrency(name || sign);
+  if (currency && !CURRENCIES[currency].crypto) {
+    return { kind: 'fiat', currency };
+  }
+  const subUnit = parseSubUnit(name);
+  if (subUnit) {
+    const { coinId, symbol } = SUB_UNITS[subUnit];
+    return { kind: 'coin', coinName: coinId, originalCoinName: symbol.toLowerCase(), subUnit };
+  }
+  const coinName = extractCoinName(name);
+  return coinName && PATTERNS.COIN_LIKE.test(coinName)
+    ? { kind: 'coin', coinName: normalizeCoinName(coinName), originalCoinName: coinName }
+    : null;
+};
+
+// "0.5 btc", "$200", "1k sats", "a dollar"
+const readConversionAmount = (text) => {
+  const match = text.match(PATTERNS.CONVERT_AMOUNT);
+  if (!match) {
+    return null;
+  }
+  const [, sign, amountText, multiplier, unitText] = match;
+  const unit = readConversionUnit(unitText, sign);
+  const amount = /^\d/.test(amountText) ? parseNumber(amountText) : 1;
+  return unit && { amount: amount * (CONVERT_MULTIPLIERS[multiplier?.toLowerCase()] || 1), unit };
+};
+
+/**
+ * "convert 0.5 BTC to ETH", "1000 sats in USD", "how many DOGE is $200?".
+ * Without a lead-in like "convert", one side has to be cash or a sub-unit,
+ * so "2 BTC to my ledger wallet" stays a holding.
+ */
+const parseConversion = (text) => {
+  const howMany = text.match(PATTERNS.CONVERT_HOW_MANY);
+  const lead = !howMany && text.match(PATTERNS.CONVERT);
+  const bare = !howMany && !lead && text.match(PATTERNS.CONVERT_BARE);
+  const match = howMany || lead || bare;
+  if (!match) {
+    return null;
+  }
+
+  const from = readConversionAmount(howMany ? match[2] : match[1]);
+  const to = readConversionUnit(howMany ? match[1] : match[2]);
+  if (!from || !to) {
+    return null;
+  }
+  const spelledOut = (unit) => unit.kind === 'fiat' || Boolean(unit.subUnit);
+  if (bare && !spelledOut(from.unit) && !spelledOut(to)) {
+    return null;
+  }
+  return { type: 'CONVERT', amount: from.amount, from: from.unit, to };
+};
+
+// "capital gains for 2025 using LIFO as CSV". Read whole, as "short and
+// long term" or "for last year" would otherwise be split off as clauses.
+const parseTaxReport = (text) => {
+  if (!PATTERNS.TAX_REPORT.test(text)) {
+    return null;
+  }
+
+  const { text: rest, currency } = extractCurrency(text);
+  const thisYear = new Date().getFullYear();
+  const stated = rest.match(PATTERNS.TAX_YEAR);
+  const year = stated ? parseInt(stated[1], 10)
+    : PATTERNS.THIS_TAX_YEAR.test(rest) ? thisYear
+      : PATTERNS.LAST_TAX_YEAR.test(rest) ? thisYear - 1
+        : null;
+  const method = rest.match(PATTERNS.LOT_METHOD)?.[1].toLowerCase();
+  const target = extractNamedTarget(rest);
+  return {
+    type: 'TAX_REPORT',
+    ...(year && { year }),
+    ...(method && { method: method.startsWith('average') ? 'average' : method }),
+    ...(/\bcsv\b/i.test(rest) && { format: 'csv' }),
+    ...(PATTERNS.ALL_PORTFOLIOS.test(rest) ? { scope: 'all' } : target && { target }),
+    ...(currency && { currency }),
+  };
+};
+
+/**
+ * Parses one message into an intent. The conversation context (see
+ * conversationContext.js) lets follow-ups lean on earlier turns:
+ * "what about ETH?", "show its chart", "and in euros?", "add 2 more".
+ *
+ * Compound messages ("price of BTC, ETH and SOL", "I have 2 BTC and
+ * 10 ETH") come back as { type: 'COMPOUND', intents: [...] }.
+ */
+export const parseMessage = (message, context = {}) => {
+  const withoutPunctuation = message.trim().replace(/[?!.]+$/, '');
+  // Weight lists, watch lists, alerts, tax reports, what-ifs and conversions are one intent, not a clause apiece
+  return parseAllocation(withoutPunctuation)
+    || parseWatchlist(withoutPunctuation)
+    || parseAlert(withoutPunctuation)
+    || parseTaxReport(withoutPunctuation)
+    || parseBacktest(withoutPunctuation)
+    || parseConversion(withoutPunctuation)
+    || parseCompound(withoutPunctuation, context)
+    || parseClause(withoutPunctuation, context);
+};
+
+const parseClause = (clause, context, defaults = {}) => {
+  const { text: withoutCurrency, currency: ownCurrency } = extractCurrency(clause);
+  const currency = ownCurrency || defaults.currency;
+  const ranged = extractTimeRange(withoutCurrency);
+  const dated = extractDate(withoutCurrency);
+
+  // "bought 1 ETH last month" is a date, "chart for ETH last month" a range,
+  // and "ETH price last month" a price from back then
+  let intent = dated.date && matchIntent(dated.text);
+  if (intent && HISTORICAL_INTENTS.includes(intent.type) && daysBetween(dated.date) > 0) {
+    intent = { ...intent, type: 'HISTORICAL_PRICE' };
+  }
+  const takesDate = (type) => DATED_INTENTS.includes(type) || type === 'HISTORICAL_PRICE' || type === 'GENERAL';
+  const isDated = intent && takesDate(intent.type);
+  const text = isDated ? dated.text : ranged.text;
+  if (!isDated) {
+    intent = matchIntent(ranged.text);
+  }
+  const { days } = ranged;
+
+  intent = resolveFollowUp(intent, { text, currency, days, date: isDated && dated.date }, context);
+  const keepsDate = isDated && takesDate(intent.type);
+  return {
+    ...intent,
+    ...(currency && { currency }),
+    ...(days && [...RANGED_INTENTS, 'GENERAL'].includes(intent.type) && { days }),
+    ...(keepsDate && { date: dated.date.toISOString() }),
+  };
+};
+
+// A bare "ETH" or "10 ETH at 3000" after a list intent repeats that intent
+const continueList = (previous, intent) => {
+  if (intent.type !== 'GENERAL' || !LIST_INTENTS.includes(previous?.type)) {
+    return null;
+  }
+
+  let next = {
+    ...previous,
+    coinName: normalizeCoinName(extractCoinName(intent.message)),
+    originalCoinName: extractCoinName(intent.message),
+  };
+  if (AMOUNT_INTENTS.includes(previous.type)) {
+    const match = intent.message.match(PATTERNS.HOLDING_AMOUNT);
+    if (!match) return null;
+    next = holdingIntent(previous.type, parseNumber(match[1]), match[2]);
+  }
+
+  const coinName = next.originalCoinName;
+  if (!PATTERNS.COIN_LIKE.test(coinName) || coinRegistry.lookup(coinName).status === 'not_found') {
+    return null;
+  }
+
+  return {
+    ...next,
+    ...(intent.currency && { currency: intent.currency }),
+    ...(intent.days && previous.type === 'CHART_REQUEST' && { days: intent.days }),
+    ...(intent.date && DATED_INTENTS.includes(previous.type) && { date: intent.date }),
+    coinResolved: false,
+  };
+};
+
+const parseCompound = (message, context) => {
+  const { text, currency } = extractCurrency(message);
+  const clauses = text.split(PATTERNS.CLAUSE_SEPARATOR).filter(Boolean);
+  if (clauses.length < 2) {
+    return null;
+  }
+
+  // Each clause sees the ones before it, so "price of BTC and show its chart" works
+  let clauseContext = context;
+  const intents = [];
+  for (const clause of clauses) {
+    let intent = parseClause(clause, clauseContext, { currency });
+    if (intent.type === 'GENERAL') {
+      intent = continueList(intents[intents.length - 1], intent);
+      if (!intent) return null;
+    }
+    intents.push(intent);
+    clauseContext = updateContext(clauseContext, { intent, pendingIntent: clauseContext.pendingIntent });
+  }
+
+  // A trailing range, date or account covers the whole list: "chart for BTC
+  // and ETH for 30 days", "bought 1 BTC and 2 ETH on March 3", "add 1 BTC
+  // and 2 ETH to ledger wallet"
+  const { days } = [...intents].reverse().find(intent => intent.days) || {};
+  const { date } = [...intents].reverse().find(intent => intent.date) || {};
+  const { target } = [...intents].reverse().find(intent => intent.target && TARGETED_INTENTS.includes(intent.type)) || {};
+  return {
+    type: 'COMPOUND',
+    intents: intents.map(intent => ({
+      ...intent,
+      ...(days && intent.type === 'CHART_REQUEST' && !intent.days && { days }),
+      ...(date && DATED_INTENTS.includes(intent.type) && !intent.date && { date }),
+      ...(target && TARGETED_INTENTS.includes(intent.type) && !intent.target && { target }),
+    })),
+  };
+};
+
+const resolveFollowUp = (intent, { text, currency, days, date }, context) => {
+  const { lastCoin, lastIntent } = context;
+
+  if (intent.originalCoinName && PATTERNS.COIN_REFERENCE.test(intent.originalCoinName)) {
+    return lastCoin
+      ? { ...intent, ...lastCoin }
+      : { type: 'MISSING_COIN' };
+  }
+
+  if (intent.type !== 'GENERAL' || !lastIntent) {
+    return intent;
+  }
+
+  const followUp = text.match(PATTERNS.FOLLOW_UP);
+  const remainder = followUp ? extractCoinName(followUp[1]) : text;
+
+  // "and in euros?" / "what about 30 days?" repeat the last question, as
+  // a chart when a range is given
+  if (!remainder && (currency || days)) {
+    const chartType = isCoinQuery(lastIntent) ? 'CHART_REQUEST' : 'PORTFOLIO_CHART';
+    return {
+      ...lastIntent,
+      ...(days && { type: chartType, days }),
+    };
   }
-  return null;
+
+  // "and a year ago?" asks the last coin's price back then
+  if (!remainder && date && isCoinQuery(lastIntent) && lastIntent.coinName) {
+    return {
+      type: 'HISTORICAL_PRICE',
+      coinName: lastIntent.coinName,
+      originalCoinName: lastIntent.originalCoinName,
+    };
+  }
+
+  // "what about ETH?" asks the last question about another coin
+  if (followUp && remainder && isCoinQuery(lastIntent)) {
+    return {
+      ...lastIntent,
+      coinName: normalizeCoinName(remainder),
+      originalCoinName: remainder,
+      coinResolved: false,
+    };
+  }
+
+  return intent;
 };
 
-export const parseMessage = (message) => {
-  const trimmed = message.trim();
+const matchIntent = (trimmed) => {
+  if (PATTERNS.CONFIRM.test(trimmed)) {
+    return {
+      type: 'CONFIRM',
+    };
+  }
+
+  if (PATTERNS.DECLINE.test(trimmed)) {
+    return {
+      type: 'DECLINE',
+    };
+  }
+
+  if (PATTERNS.CLEAR_PORTFOLIO.test(trimmed)) {
+    return {
+      type: 'CLEAR_PORTFOLIO',
+    };
+  }
+
+  if (PATTERNS.CLEAR_TARGETS.test(trimmed)) {
+    return {
+      type: 'CLEAR_TARGETS',
+    };
+  }
+
+  let match = trimmed.match(PATTERNS.DRIFT_THRESHOLD);
+  if (match) {
+    return {
+      type: 'SET_DRIFT_THRESHOLD',
+      threshold: parseFloat(match[1]),
+    };
+  }
+
+  if (PATTERNS.RISK_ANALYSIS.test(trimmed)) {
+    const target = extractNamedTarget(trimmed);
+    return {
+      type: 'RISK_ANALYSIS',
+      ...(target && { target }),
+    };
+  }
+
+  if (PATTERNS.REBALANCE.test(trimmed)) {
+    const target = extractNamedTarget(trimmed);
+    return {
+      type: 'REBALANCE',
+      ...(target && { target }),
+    };
+  }
+
+  if (PATTERNS.ALLOCATION_STATUS.test(trimmed)) {
+    const target = extractNamedTarget(trimmed);
+    return {
+      type: 'ALLOCATION_STATUS',
+      ...(target && { target }),
+    };
+  }
+
+  // A JSON export or a backup is the whole ledger; a CSV of the portfolio is
+  // the current holdings, and of the transactions, the ledger
+  match = trimmed.match(PATTERNS.EXPORT);
+  if (match) {
+    const [, verb, subject = '', format] = match;
+    const backup = /^back/i.test(verb) || /data|everything/i.test(subject) || format?.toLowerCase() === 'json';
+    const ledger = /transactions|trades|ledger|history/i.test(subject);
+    return {
+      type: 'EXPORT_PORTFOLIO',
+      contents: backup ? 'backup' : ledger ? 'transactions' : 'holdings',
+    };
+  }
+
+  if (PATTERNS.IMPORT.test(trimmed)) {
+    return {
+      type: 'IMPORT_REQUEST',
+    };
+  }
+
+  match = trimmed.match(PATTERNS.CREATE_PORTFOLIO) || trimmed.match(PATTERNS.CREATE_NAMED_PORTFOLIO);
+  if (match) {
+    return {
+      type: 'CREATE_PORTFOLIO',
+      name: match[1].trim(),
+    };
+  }
+
+  match = trimmed.match(PATTERNS.SWITCH_PORTFOLIO);
+  if (match) {
+    return PATTERNS.ALL_PORTFOLIOS.test(match[1]) || /^(?:all|everything)$/i.test(match[1])
+      ? { type: 'PORTFOLIO_VALUE', scope: 'all' }
+      : { type: 'SWITCH_PORTFOLIO', name: match[1].trim() };
+  }
+
+  match = trimmed.match(PATTERNS.SET_HOLDING);
+  if (match) {
+    return holdingIntent('SET_HOLDING', parseNumber(match[1]), match[2]);
+  }
+
+  match = trimmed.match(PATTERNS.SET_HOLDING_TO);
+  if (match) {
+    return holdingIntent('SET_HOLDING', parseNumber(match[2]), match[1]);
+  }
+
+  match = trimmed.match(PATTERNS.SELL_HOLDING);
+  if (match) {
+    return holdingIntent('SELL_HOLDING', parseNumber(match[1]), match[2]);
+  }
+
+  match = trimmed.match(PATTERNS.REMOVE_HOLDING);
+  if (match) {
+    const { text, target } = extractHoldingTarget(match[1]);
+    const coinName = extractCoinName(text);
+    return {
+      type: 'REMOVE_HOLDING',
+      coinName: normalizeCoinName(coinName),
+      originalCoinName: coinName,
+      ...(target && { target }),
+    };
+  }
+
+  match = trimmed.match(PATTERNS.ADD_HOLDING);
+  if (match) {
+    return holdingIntent('ADD_HOLDING', parseNumber(match[1]), match[2]);
+  }
+
+  if (PATTERNS.PORTFOLIO_CHART.test(trimmed)) {
+    const target = extractNamedTarget(trimmed);
+    return {
+      type: 'PORTFOLIO_CHART',
+      ...(target && { target }),
+    };
+  }
+
+  if (PATTERNS.ALL_PORTFOLIOS.test(trimmed)) {
+    return {
+      type: 'PORTFOLIO_VALUE',
+      scope: 'all',
+    };
+  }
+
+  // "What's my portfolio worth?" would otherwise read as a price query
+  if (PATTERNS.PORTFOLIO_MENTION.test(trimmed)) {
+    const target = extractNamedTarget(trimmed);
+    return {
+      type: 'PORTFOLIO_VALUE',
+      ...(target && { target }),
+    };
+  }
+
+  match = trimmed.match(PATTERNS.HISTORICAL_PRICE);
+  if (match) {
+    const coinName = extractCoinName(match[1]);
+    return {
+      type: 'HISTORICAL_PRICE',
+      coinName: normalizeCoinName(coinName),
+      originalCoinName: coinName,
+    };
+  }
 
-  let match = trimmed.match(PATTERNS.PRICE_TRADING);
+  match = trimmed.match(PATTERNS.PRICE_TRADING);
   if (match) {
     const coinName = extractCoinName(match[1]);
     return {
@@ -72,19 +890,6 @@ export const parseMessage = (message) => {
     };
   }
   
-  match = trimmed.match(PATTERNS.ADD_HOLDING);
-  if (match) {
-    const holdingInfo = extractHoldingInfo(trimmed);
-    if (holdingInfo) {
-      return {
-        type: 'ADD_HOLDING',
-        amount: holdingInfo.amount,
-        coinName: normalizeCoinName(holdingInfo.coinName),
-        originalCoinName: holdingInfo.coinName,
-      };
-    }
-  }
-  
   if (PATTERNS.PORTFOLIO_VALUE.test(trimmed)) {
     return {
       type: 'PORTFOLIO_VALUE',
@@ -97,7 +902,7 @@ export const parseMessage = (message) => {
     };
   }
   
-  match = trimmed.match(PATTERNS.CHART_REQUEST);
+  match = trimmed.match(PATTERNS.CHART_REQUEST) || trimmed.match(PATTERNS.CHART_SUFFIX);
   if (match) {
     const coinName = extractCoinName(match[1]);
     return {
@@ -129,111 +934,1719 @@ export const parseMessage = (message) => {
   };
 };
 
-export const generateResponse = async (intent, cryptoAPI, portfolioHook) => {
-  try {
-    switch (intent.type) {
-      case 'PRICE_QUERY':
-        const priceData = await cryptoAPI.getCurrentPrice(intent.coinName);
-        const changeText = priceData.change24h > 0 ? 'up' : 'down';
-        const changeColor = priceData.change24h > 0 ? 'positive' : 'negative';
-        
-        return {
-          text: `${intent.originalCoinName.toUpperCase()} is currently trading at $${priceData.price.toLocaleString()} (${changeText} ${Math.abs(priceData.change24h).toFixed(2)}% in 24h)`,
-          data: { priceData, changeColor },
-        };
-      
-      case 'ADD_HOLDING':
-        const coinDetails = await cryptoAPI.getCoinDetails(intent.coinName);
-        portfolioHook.addHolding(
-          intent.coinName,
-          coinDetails.name,
-          coinDetails.symbol,
-          intent.amount
-        );
-        
+const describeCandidates = (candidates) => {
+  const names = candidates.map(coin => `${coin.name} (${coin.symbol.toUpperCase()})`);
+  return names.length > 1
+    ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`
+    : names[0];
+};
+
+// Pins the intent to a registry id, or explains why it cannot. Likely typos
+// are corrected silently; less certain ones are offered for confirmation.
+const resolveIntentCoin = async (intent) => {
+  if (!intent.originalCoinName || intent.coinResolved) {
+    return { intent };
+  }
+
+  const resolution = await coinRegistry.resolve(intent.originalCoinName);
+  if (resolution.status === 'resolved') {
+    const { coin, corrected } = resolution;
+    return {
+      intent: {
+        ...intent,
+        coinName: coin.id,
+        originalCoinName: corrected ? coin.name : intent.originalCoinName,
+      },
+    };
+  }
+  if (resolution.status === 'suggested') {
+    const { coin } = resolution;
+    return {
+      response: {
+        text: `I couldn't find "${intent.originalCoinName}". Did you mean ${coin.name}?`,
+        pendingIntent: {
+          ...intent,
+          coinName: coin.id,
+          originalCoinName: coin.name,
+          coinResolved: true,
+        },
+      },
+    };
+  }
+  if (resolution.status === 'ambiguous') {
+    return {
+      response: {
+        text: `"${intent.originalCoinName.toUpperCase()}" could be several coins. Did you mean ${describeCandidates(resolution.candidates)}?`,
+        data: { candidates: resolution.candidates },
+      },
+    };
+  }
+  return { intent };
+};
+
+// The registry already knows names and symbols, which leaves a price
+// lookup that batches with any others in flight
+const getHoldingDetails = async (coinId, cryptoAPI, currency) => {
+  const coin = coinRegistry.getCoin(coinId);
+  if (!coin) {
+    return cryptoAPI.getCoinDetails(coinId, { currency });
+  }
+  const priceData = await cryptoAPI.getCurrentPrice(coinId, { currency });
+  return {
+    name: coin.name,
+    symbol: coin.symbol.toUpperCase(),
+    currentPrice: priceData.price,
+    currency,
+  };
+};
+
+/**
+ * Works out when a chat trade happened and at what price: as stated, else
+ * the market price on its date, else the price right now.
+ */
+const resolveTrade = async (intent, cryptoAPI, currency, currentPrice) => {
+  const daysAgo = intent.date ? daysBetween(intent.date) : 0;
+  if (daysAgo < 0) {
+    return { error: "I can't record a trade dated in the future. Check the date and try again." };
+  }
+
+  const trade = {
+    fee: intent.fee || 0,
+    currency,
+    timestamp: daysAgo > 0 ? intent.date : new Date().toISOString(),
+    price: intent.price ?? currentPrice,
+    source: intent.price !== undefined ? 'stated' : 'market',
+    dated: daysAgo > 0,
+  };
+
+  if (intent.price === undefined && daysAgo > 0) {
+    try {
+      const history = await cryptoAPI.getHistoricalData(intent.coinName, daysAgo + 1, { currency });
+      const target = new Date(intent.date).getTime();
+      const closest = history.reduce((best, point) =>
+        Math.abs(new Date(point.timestamp) - target) < Math.abs(new Date(best.timestamp) - target) ? point : best
+      );
+      return { ...trade, price: closest.price, source: 'historical' };
+    } catch (error) {
+      console.warn('Falling back to the current price for a dated trade:', error.message);
+    }
+  }
+
+  return trade;
+};
+
+const describeTradeTerms = (trade, currency) => {
+  const parts = [`at ${formatCurrency(trade.price, currency)}`];
+  if (trade.source === 'historical') {
+    parts[0] += ' (the market price that day)';
+  }
+  if (trade.dated) {
+    parts.push(`on ${formatDate(trade.timestamp)}`);
+  }
+  if (trade.fee) {
+    parts.push(`with a ${formatCurrency(trade.fee, currency)} fee`);
+  }
+  return parts.join(' ');
+};
+
+const describePnL = (label, value, currency) =>
+  value === null || value === undefined ? '' : ` ${label}: ${formatSignedCurrency(value, currency)}.`;
+
+const joinNames = (names) => names.length > 1
+  ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+  : names[0];
+
+/**
+ * Runs every clause of a compound message at once, so their price lookups
+ * share one batched request, then merges the replies: a price table when
+ * all clauses ask for prices, one confirmation when all change holdings,
+ * and the individual answers in order otherwise.
+ */
+const respondToCompound = async (intent, cryptoAPI, portfolioHook, options) => {
+  const replies = await Promise.all(
+    intent.intents.map(part => generateResponse(part, cryptoAPI, portfolioHook, options))
+  );
+  const answered = replies.filter(reply => reply.intent && !reply.error);
+  const unanswered = replies.filter(reply => !answered.includes(reply));
+  const pending = replies.filter(reply => reply.pendingIntent).map(reply => reply.pendingIntent);
+
+  const result = {
+    intent: { type: 'COMPOUND', intents: answered.map(reply => reply.intent) },
+    // One "yes" confirms every question asked in the reply
+    pendingIntent: pending.length > 1 ? { type: 'COMPOUND', intents: pending } : pending[0],
+  };
+  const notes = unanswered.map(reply => reply.text);
+
+  if (answered.length > 1 && answered.every(reply => reply.intent.type === 'PRICE_QUERY')) {
+    const priceTable = answered.map(({ intent: part, data }) => ({
+      coinId: part.coinName,
+      coinName: part.originalCoinName.toUpperCase(),
+      ...data.priceData,
+    }));
+    // New listings can come back without a 24h change
+    const lines = priceTable.map(row =>
+      `• ${row.coinName}: ${formatCurrency(row.price, row.currency)}${typeof row.change24h === 'number' ? ` (${formatChange(row.change24h)} in 24h)` : ''}`
+    );
+    return {
+      ...result,
+      text: ['Here are the current prices:', ...lines, ...notes].join('\n'),
+      data: { priceTable },
+    };
+  }
+
+  if (answered.length > 1 && answered.every(reply => reply.data?.holdingChange)) {
+    const changes = answered.map(reply => reply.data.holdingChange);
+    const currency = changes[0].currency;
+    const summary = changes.every(change => change.action === 'added')
+      ? `Added ${joinNames(changes.map(change => `${change.amount} ${change.symbol}`))} to your portfolio! Combined value: ${formatCurrency(changes.reduce((sum, change) => sum + change.amount * change.price, 0), currency)}`
+      : ['Updated your portfolio:', ...answered.map(reply => `• ${reply.text}`)].join('\n');
+    return {
+      ...result,
+      text: [summary, ...notes].join('\n\n'),
+      data: { holdingsChanged: changes, currency },
+    };
+  }
+
+  return {
+    ...result,
+    text: replies.map(reply => reply.text).join('\n\n'),
+    data: { parts: replies.map(({ data, showChart }) => ({ data, showChart })) },
+  };
+};
+
+const countOf = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+const TRANSACTION_LABELS = {
+  [TRANSACTION_TYPES.BUY]: ['buy', 'buys'],
+  [TRANSACTION_TYPES.SELL]: ['sell', 'sells'],
+  [TRANSACTION_TYPES.TRANSFER_IN]: ['transfer in', 'transfers in'],
+  [TRANSACTION_TYPES.TRANSFER_OUT]: ['transfer out', 'transfers out'],
+};
+
+/**
+ * Where a holding change lands. Returns { scope, place }, scope being the
+ * { portfolioId, account } passed on to the portfolio hook and place how
+ * replies name it, or { error } for a portfolio that doesn't exist.
+ */
+const resolveHoldingScope = (intent, portfolioHook) => {
+  const named = (portfolioHook.portfolios?.length || 0) > 1;
+  const activeName = portfolioHook.activePortfolio?.name;
+  if (!intent.target || !portfolioHook.resolveTarget) {
+    return { scope: {}, place: named ? `your ${activeName} portfolio` : 'your portfolio' };
+  }
+
+  const resolved = portfolioHook.resolveTarget(intent.target);
+  if (resolved.error) {
+    return { error: resolved.error };
+  }
+  const { portfolioId, portfolioName, account } = resolved;
+  const otherPortfolio = portfolioId !== portfolioHook.activePortfolioId;
+  const accountPlace = /\b(?:wallet|account)$/i.test(account || '') ? `your ${account}` : account;
+  return {
+    scope: { portfolioId, ...(account && { account }) },
+    place: account
+      ? `${accountPlace}${otherPortfolio ? ` in ${portfolioName}` : ''}`
+      : `your ${portfolioName} portfolio`,
+  };
+};
+
+// The holding a change applies to, narrowed to a portfolio or account
+const findScopedHolding = (portfolioHook, coinId, scope) => {
+  const holding = portfolioHook.getHolding(coinId);
+  if (!scope.portfolioId) {
+    return holding;
+  }
+  const amount = portfolioHook.getBalance(coinId, scope);
+  const position = holding || portfolioHook.getPositions(scope.portfolioId).find(entry => entry.coinId === coinId);
+  if (!amount || !position) {
+    return null;
+  }
+  return {
+    ...position,
+    amount,
+    currentValue: position.currentPrice ? amount * position.currentPrice : undefined,
+  };
+};
+
+/**
+ * Pins a list of { coinName, originalCoinName } to registry coins at once.
+ * Names that can't be pinned down come back in `problems`, described for
+ * the reply, with null in their place in `coins`.
+ */
+const resolveCoinList = async (items) => {
+  const resolutions = await Promise.all(items.map(item => coinRegistry.resolve(item.originalCoinName)));
+  const problems = [];
+  const coins = items.map((item, index) => {
+    const { status, coin, candidates } = resolutions[index];
+    const name = `"${item.originalCoinName}"`;
+    if (status === 'resolved') {
+      return { coinId: coin.id, coinName: coin.name, symbol: coin.symbol.toUpperCase() };
+    }
+    // Without the registry the name is taken as given
+    if (status === 'unknown') {
+      return { coinId: item.coinName, coinName: item.originalCoinName, symbol: item.originalCoinName.toUpperCase() };
+    }
+    problems.push(
+      status === 'suggested' ? `${name} (did you mean ${coin.name}?)`
+        : status === 'ambiguous' ? `${name} (${describeCandidates(candidates)}?)`
+          : name
+    );
+    return null;
+  });
+  return { coins, problems };
+};
+
+const describeCoinProblems = (problems) =>
+  `I couldn't tell which coin you mean by ${joinNames(problems)}. Try the full name or ticker symbol.`;
+
+const ALERT_EXAMPLES = '"alert me when BTC crosses 70k", "tell me if ETH drops 5% today" or "alert me when my portfolio is worth over 50k"';
+
+const NOTIFICATION_NOTES = {
+  granted: "You'll get a browser notification too, as long as Crypto Chat is open in a tab.",
+  denied: 'Notifications are blocked for this site, so the alert will only show up here in the chat.',
+  unsupported: "This browser can't show notifications, so the alert will show up here in the chat.",
+  default: 'Allow notifications to get a popup as well as a message here.',
+};
+
+// The portfolio a value alert watches: { portfolioId, place } or { error }
+const resolveAlertPortfolio = (intent, portfolioHook) => {
+  if (intent.scope === 'all') {
+    return { portfolioId: ALL_PORTFOLIOS, place: 'all your portfolios' };
+  }
+  let portfolioId = portfolioHook.activePortfolioId;
+  if (intent.target && portfolioHook.resolveTarget) {
+    const resolved = portfolioHook.resolveTarget(intent.target);
+    if (resolved.error) {
+      return { error: resolved.error };
+    }
+    if (resolved.account) {
+      return { error: `Alerts watch a whole portfolio, not a wallet or account. Try your ${resolved.portfolioName} portfolio instead.` };
+    }
+    portfolioId = resolved.portfolioId;
+  }
+  const portfolio = portfolioHook.portfolios?.find(entry => entry.id === portfolioId);
+  return {
+    portfolioId,
+    place: portfolioHook.portfolios?.length > 1 ? `your ${portfolio.name} portfolio` : 'your portfolio',
+  };
+};
+
+/**
+ * The portfolio an allocation question is about, the active one unless the
+ * message names another. Returns { targets, threshold, holdings, place } or
+ * { error }; targets belong to whole portfolios, not wallets or accounts.
+ */
+const resolveAllocationScope = (intent, portfolioHook) => {
+  let portfolioId = portfolioHook.activePortfolioId;
+  if (intent.target && portfolioHook.resolveTarget) {
+    const resolved = portfolioHook.resolveTarget(intent.target);
+    if (resolved.error) {
+      return { error: resolved.error };
+    }
+    if (resolved.account) {
+      return { error: `Targets are set for a whole portfolio, not a wallet or account. Ask about your ${resolved.portfolioName} portfolio instead.` };
+    }
+    portfolioId = resolved.portfolioId;
+  }
+
+  const portfolio = portfolioHook.portfolios?.find(entry => entry.id === portfolioId) || {};
+  return {
+    targets: portfolio.targets || portfolioHook.targets || [],
+    threshold: portfolio.driftThreshold ?? portfolioHook.driftThreshold ?? DEFAULT_DRIFT_THRESHOLD,
+    holdings: portfolioId === portfolioHook.activePortfolioId
+      ? portfolioHook.holdings
+      : portfolioHook.getPortfolioSummary(portfolioId).holdings,
+    place: portfolioHook.portfolios?.length > 1 ? `your ${portfolio.name} portfolio` : 'your portfolio',
+  };
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const describeTargets = (targets) => joinNames(targets.map(target => `${target.weight}% ${target.symbol}`));
+
+const describeAllocation = (rows, threshold) => {
+  const drifted = findDrifted(rows, threshold);
+  return drifted.length > 0
+    ? ['Off target:', ...drifted.map(row => `• ${describeDrift(row)}`), 'Ask "how do I rebalance?" for the trades that fix it.'].join('\n')
+    : `Every coin is within ${threshold} points of its target.`;
+};
+
+const formatPercent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+
+const formatChange = (change) => `${change > 0 ? '+' : ''}${change.toFixed(2)}%`;
+
+const formatRatio = (value) => (value === null ? 'n/a' : value.toFixed(2));
+
+// Sets the portfolio's volatility against holding BTC alone
+const compareToBenchmark = (risk) => {
+  const onlyBitcoin = risk.coins.length === 1 && risk.coins[0].coinId === BENCHMARK_COIN_ID;
+  if (!risk.benchmark || onlyBitcoin || !(risk.benchmark.volatility > 0)) {
+    return '';
+  }
+  const ratio = risk.portfolio.volatility / risk.benchmark.volatility;
+  const comparison = ratio > 1.2 ? 'more volatile than' : ratio < 0.8 ? 'less volatile than' : 'about as volatile as';
+  return ` That's ${comparison} holding BTC alone (${formatPercent(risk.benchmark.volatility)}).`;
+};
+
+const mostCorrelatedPair = ({ symbols, matrix }) => {
+  let best = null;
+  matrix.forEach((row, i) => row.forEach((value, j) => {
+    if (j > i && value !== null && (!best || value > best.value)) {
+      best = { value, pair: `${symbols[i]} and ${symbols[j]}` };
+    }
+  }));
+  return best;
+};
+
+const CONVERT_EXAMPLES = [
+  'convert 0.5 BTC to ETH',
+  'how many DOGE is $200',
+];
+
+const BACKTEST_EXAMPLES = [
+  'what if I had put $1000 into SOL a year ago',
+  '$100 of BTC every week since January',
+];
+
+const NO_TARGETS_HINT = 'Try "set targets to 60% BTC, 30% ETH, 10% SOL".';
+
+const describeValue = (value, currency) =>
+  value ? ` (worth ${formatCurrency(value, currency)})` : '';
+
+const respondToIntent = async (intent, cryptoAPI, portfolioHook, options) => {
+  const currency = intent.currency || options.currency || DEFAULT_CURRENCY;
+
+  switch (intent.type) {
+    case 'COMPOUND':
+      return respondToCompound(intent, cryptoAPI, portfolioHook, options);
+
+    case 'PRICE_QUERY': {
+      const priceData = await cryptoAPI.getCurrentPrice(intent.coinName, { currency });
+      const changeText = priceData.change24h > 0 ? 'up' : 'down';
+      const changeColor = priceData.change24h > 0 ? 'positive' : 'negative';
+      
+      return {
+        text: `${intent.originalCoinName.toUpperCase()} is currently trading at ${formatCurrency(priceData.price, currency)} (${changeText} ${Math.abs(priceData.change24h).toFixed(2)}% in 24h)`,
+        data: { priceData, changeColor },
+      };
+    }
+    
+    case 'HISTORICAL_PRICE': {
+      const symbol = intent.originalCoinName.toUpperCase();
+      if (!intent.date) {
         return {
-          text: `Added ${intent.amount} ${coinDetails.symbol} to your portfolio! Current value: $${(intent.amount * coinDetails.currentPrice).toLocaleString()}`,
-          data: { coinDetails, amount: intent.amount },
+          text: `Which date do you mean? Try "what was ${symbol} worth on 2021-11-10" or "${symbol} price 3 months ago".`,
         };
-      
-      case 'PORTFOLIO_VALUE':
-        const summary = portfolioHook.getPortfolioSummary();
-        if (summary.totalCoins === 0) {
+      }
+      const date = new Date(intent.date);
+      if (daysBetween(date) <= 0) {
+        return respondToIntent({ ...intent, type: 'PRICE_QUERY' }, cryptoAPI, portfolioHook, options);
+      }
+
+      let past;
+      try {
+        past = await cryptoAPI.getPriceOnDate(intent.coinName, date, { currency });
+      } catch (error) {
+        if (error.code !== 'NOT_FOUND') {
+          throw error;
+        }
+        return {
+          text: `I don't have a price for ${symbol} on ${formatDate(date)}. It may not have been trading yet, or try the full name.`,
+        };
+      }
+      const now = await cryptoAPI.getCurrentPrice(intent.coinName, { currency });
+      const change = past.price > 0 ? (now.price / past.price - 1) * 100 : null;
+
+      const marketCapText = past.marketCap ? `, with a market cap of ${formatCurrency(past.marketCap, currency, { compact: true })}` : '';
+      const changeText = change === null ? '' : ` It's ${change >= 0 ? 'up' : 'down'} ${Math.abs(change).toFixed(2)}% since then, at ${formatCurrency(now.price, currency)} now.`;
+      return {
+        text: `On ${formatDate(date)}, ${symbol} was worth ${formatCurrency(past.price, currency)}${marketCapText}.${changeText}`,
+        data: {
+          historicalPrice: {
+            symbol,
+            date: intent.date,
+            price: past.price,
+            marketCap: past.marketCap,
+            currentPrice: now.price,
+            change,
+            currency,
+          },
+        },
+      };
+    }
+
+    case 'BACKTEST': {
+      const symbol = intent.originalCoinName.toUpperCase();
+      const start = new Date(intent.date);
+      const days = daysBetween(start);
+      if (days < 1) {
+        return { text: `Pick a start in the past, like "${BACKTEST_EXAMPLES[0]}".` };
+      }
+
+      const history = await cryptoAPI.getHistoricalData(intent.coinName, days + 1, { currency });
+      const result = backtest(history, { amount: intent.amount, start, cadence: intent.cadence });
+      if (!result) {
+        return { text: `I don't have ${symbol} prices from ${formatDate(start)} on.` };
+      }
+
+      const stake = formatCurrency(intent.amount, currency);
+      const firstBuy = result.points.find(point => point.invested > 0).timestamp;
+      // Coins younger than the start date are bought from their first price
+      const since = daysBetween(start, firstBuy) > 1
+        ? `${formatDate(firstBuy)} (${symbol}'s first price after ${formatDate(start)})`
+        : formatDate(start);
+      const outcome = `${formatSignedCurrency(result.profit, currency)} (${formatChange(result.returnPercent)})`;
+      const entry = ({ timestamp, price, returnPercent }) =>
+        `${formatDate(timestamp)} at ${formatCurrency(price, currency)} (${formatChange(returnPercent)} since)`;
+      const text = intent.cadence
+        ? `Buying ${stake} of ${symbol} ${describeCadence(intent.cadence)} since ${since} comes to ${countOf(result.buys, 'buy')} and ${formatCurrency(result.invested, currency)} invested, worth ${formatCurrency(result.value, currency)} today: ${outcome}, at an average price of ${formatCurrency(result.averagePrice, currency)}. Your best buy was on ${entry(result.best)} and your worst on ${entry(result.worst)}.`
+        : `${stake} in ${symbol} on ${since} would be worth ${formatCurrency(result.value, currency)} today: ${outcome}. The best day to have bought was ${entry(result.best)}, the worst ${entry(result.worst)}.`;
+
+      const { best, worst, points, ...summary } = result;
+      return {
+        text,
+        data: {
+          chartData: points.map(point => ({ timestamp: point.timestamp, price: point.value })),
+          overlay: { label: 'Invested', values: points.map(point => point.invested) },
+          coinName: `${symbol} ${intent.cadence ? 'DCA' : 'investment'}`,
+          metric: 'Value',
+          currency,
+          days,
+          backtest: { ...summary, symbol, best, worst, currency },
+        },
+      };
+    }
+
+    case 'BACKTEST_HELP':
+      return {
+        text: `I can replay an investment against past prices. Say how much and in which coin, like ${BACKTEST_EXAMPLES.map(example => `"${example}"`).join(' or ')}.`,
+      };
+
+    case 'CONVERT': {
+      const sides = [intent.from, intent.to];
+      const coinSides = sides.filter(side => side.kind === 'coin');
+      if (coinSides.length === 0) {
+        return { text: `I can only convert to or from a coin, like "${CONVERT_EXAMPLES[0]}".` };
+      }
+      const { coins, problems } = await resolveCoinList(coinSides);
+      if (problems.length > 0) {
+        return { text: describeCoinProblems(problems) };
+      }
+
+      // Every coin is priced in the one batch, in the cash side's currency
+      // if there is one, and cross rates come from there
+      const quoteCurrency = sides.find(side => side.kind === 'fiat')?.currency || currency;
+      const prices = await cryptoAPI.getMultiplePrices([...new Set(coins.map(coin => coin.coinId))], { currency: quoteCurrency });
+      const unpriced = coins.filter(coin => !prices[coin.coinId]);
+      if (unpriced.length > 0) {
+        return { text: `I couldn't get a price for ${joinNames(unpriced.map(coin => coin.symbol))} right now. Please try again in a moment.` };
+      }
+
+      // Each side as the price of one whole coin and how much of the
+      // named unit makes one (a sat is a hundred-millionth of a BTC)
+      const [from, to] = sides.map((side) => {
+        if (side.kind === 'fiat') {
+          return { price: 1, perCoin: 1, currency: side.currency };
+        }
+        const coin = coins[coinSides.indexOf(side)];
+        const subUnit = SUB_UNITS[side.subUnit];
+        return {
+          coinId: coin.coinId,
+          symbol: coin.symbol,
+          label: subUnit ? subUnit.label : coin.symbol,
+          price: prices[coin.coinId].price,
+          perCoin: subUnit ? subUnit.perCoin : 1,
+        };
+      });
+      const result = intent.amount * (from.price / from.perCoin) / (to.price / to.perCoin);
+      const describeSide = (value, side) =>
+        (side.currency ? formatCurrency(value, side.currency) : `${formatUnits(value)} ${side.label}`);
+
+      // Quoted as one whole coin in the other side's terms; sats to BTC has no rate
+      const [base, counter] = from.coinId ? [from, to] : [to, from];
+      const rate = base.coinId === counter.coinId
+        ? null
+        : `1 ${base.symbol} = ${describeSide(base.price / counter.price, { ...counter, label: counter.symbol })}`;
+      const restatesRate = base === from && from.perCoin === 1 && intent.amount === 1;
+      const asOf = quotedAt(coins.map(coin => prices[coin.coinId]));
+
+      return {
+        text: `${describeSide(intent.amount, from)} is ${describeSide(result, to)}${rate && !restatesRate ? `, at ${rate}` : ''}.`,
+        data: {
+          conversion: {
+            from: describeSide(intent.amount, from),
+            to: describeSide(result, to),
+            rate,
+            quotedAt: asOf.toISOString(),
+          },
+        },
+      };
+    }
+
+    case 'ADD_HOLDING': {
+      const { scope, place, error } = resolveHoldingScope(intent, portfolioHook);
+      if (error) {
+        return { text: error };
+      }
+      const coinDetails = await getHoldingDetails(intent.coinName, cryptoAPI, currency);
+      const trade = await resolveTrade(intent, cryptoAPI, currency, coinDetails.currentPrice);
+      if (trade.error) {
+        return { text: trade.error };
+      }
+
+      const balance = roundAmount((findScopedHolding(portfolioHook, intent.coinName, scope)?.amount || 0) + intent.amount);
+      portfolioHook.addHolding(
+        intent.coinName,
+        coinDetails.name,
+        coinDetails.symbol,
+        intent.amount,
+        { price: trade.price, fee: trade.fee, currency, timestamp: trade.timestamp, ...scope }
+      );
+
+      const currentValue = formatCurrency(intent.amount * coinDetails.currentPrice, currency);
+      return {
+        text: trade.source === 'market' && !trade.fee
+          ? `Added ${intent.amount} ${coinDetails.symbol} to ${place}! Current value: ${currentValue}`
+          : `Recorded a buy of ${intent.amount} ${coinDetails.symbol} ${describeTradeTerms(trade, currency)} in ${place}. Current value: ${currentValue}`,
+        data: {
+          coinDetails,
+          amount: intent.amount,
+          holdingChange: {
+            action: 'added',
+            coinId: intent.coinName,
+            symbol: coinDetails.symbol,
+            amount: intent.amount,
+            balance,
+            price: coinDetails.currentPrice,
+            currency,
+          },
+        },
+      };
+    }
+
+    case 'SET_HOLDING': {
+      if (intent.amount === 0) {
+        return respondToIntent({ ...intent, type: 'REMOVE_HOLDING' }, cryptoAPI, portfolioHook, options);
+      }
+
+      const { scope, place, error } = resolveHoldingScope(intent, portfolioHook);
+      if (error) {
+        return { text: error };
+      }
+      const coinDetails = await getHoldingDetails(intent.coinName, cryptoAPI, currency);
+      const existing = findScopedHolding(portfolioHook, intent.coinName, scope);
+      // No trade took place, so any change is costed at today's price
+      portfolioHook.setHolding(intent.coinName, coinDetails.name, coinDetails.symbol, intent.amount, {
+        price: coinDetails.currentPrice,
+        currency,
+        ...scope,
+      });
+
+      const value = intent.amount * coinDetails.currentPrice;
+      return {
+        text: existing
+          ? `Updated your ${coinDetails.symbol}${scope.portfolioId ? ` in ${place}` : ''} from ${existing.amount} to ${intent.amount}. Current value: ${formatCurrency(value, currency)}`
+          : `Added ${intent.amount} ${coinDetails.symbol} to ${place}! Current value: ${formatCurrency(value, currency)}`,
+        data: {
+          holdingChange: {
+            action: existing ? 'set' : 'added',
+            coinId: intent.coinName,
+            symbol: coinDetails.symbol,
+            amount: intent.amount,
+            balance: intent.amount,
+            price: coinDetails.currentPrice,
+            currency,
+          },
+        },
+      };
+    }
+
+    case 'SELL_HOLDING': {
+      const { scope, place, error } = resolveHoldingScope(intent, portfolioHook);
+      if (error) {
+        return { text: error };
+      }
+      const holding = findScopedHolding(portfolioHook, intent.coinName, scope);
+      if (!holding || !(Math.min(intent.amount, holding.amount) > 0)) {
+        return {
+          text: holding && holding.amount > 0
+            ? `0 ${holding.coinSymbol} is nothing to sell. How much ${holding.coinSymbol} do you want to sell?`
+            : `You don't have any ${intent.originalCoinName.toUpperCase()} in ${place} to sell.`,
+        };
+      }
+
+      // Selling the whole position removes it, so ask first
+      const sellsAll = intent.amount >= holding.amount;
+      if (sellsAll && !intent.confirmed) {
+        return {
+          text: `That's all of your ${holding.amount} ${holding.coinSymbol}${describeValue(holding.currentValue, portfolioHook.currency)}. Sell it all and remove ${holding.coinSymbol} from ${place}?`,
+          pendingIntent: { ...intent, coinResolved: true, confirmed: true },
+        };
+      }
+
+      const amount = Math.min(intent.amount, holding.amount);
+      const coinDetails = await getHoldingDetails(intent.coinName, cryptoAPI, currency);
+      const trade = await resolveTrade(intent, cryptoAPI, currency, coinDetails.currentPrice);
+      if (trade.error) {
+        return { text: trade.error };
+      }
+
+      const tradeDetails = { price: trade.price, fee: trade.fee, currency, timestamp: trade.timestamp, ...scope };
+      const realizedPnL = previewRealizedPnL(
+        (scope.portfolioId ? portfolioHook.getTransactions(scope.portfolioId) : portfolioHook.transactions) || [],
+        createTransaction({ ...tradeDetails, type: TRANSACTION_TYPES.SELL, coinId: intent.coinName, amount }),
+        { method: portfolioHook.costBasisMethod }
+      );
+      const balance = roundAmount(holding.amount - amount);
+      portfolioHook.sellHolding(intent.coinName, amount, tradeDetails);
+
+      const proceeds = formatCurrency(amount * trade.price - trade.fee, currency);
+      // Only known when the sale is in the currency the coin's cost was recorded in
+      const realizedText = describePnL('Realized P&L', realizedPnL, currency);
+      return {
+        text: sellsAll
+          ? `Sold all ${amount} ${holding.coinSymbol} ${describeTradeTerms(trade, currency)} for ${proceeds} and removed it from ${place}.${realizedText}`
+          : `Sold ${amount} ${holding.coinSymbol} ${describeTradeTerms(trade, currency)} for ${proceeds}. You now have ${balance} ${holding.coinSymbol}${scope.portfolioId ? ` in ${place}` : ''}.${realizedText}`,
+        data: {
+          holdingChange: {
+            action: 'sold',
+            coinId: intent.coinName,
+            symbol: holding.coinSymbol,
+            amount,
+            balance,
+            price: coinDetails.currentPrice,
+            realizedPnL,
+            currency,
+          },
+        },
+      };
+    }
+
+    case 'REMOVE_HOLDING': {
+      const { scope, place, error } = resolveHoldingScope(intent, portfolioHook);
+      if (error) {
+        return { text: error };
+      }
+      const holding = findScopedHolding(portfolioHook, intent.coinName, scope);
+      if (!holding) {
+        return {
+          text: `You don't have any ${intent.originalCoinName.toUpperCase()} in ${place}.`,
+        };
+      }
+
+      if (!intent.confirmed) {
+        return {
+          text: `Remove all ${holding.amount} ${holding.coinSymbol}${describeValue(holding.currentValue, portfolioHook.currency)} from ${place}?`,
+          pendingIntent: { ...intent, coinResolved: true, confirmed: true },
+        };
+      }
+
+      portfolioHook.removeHolding(holding.coinId, scope);
+      return {
+        text: `Removed ${holding.amount} ${holding.coinSymbol} from ${place}.`,
+        data: {
+          holdingChange: {
+            action: 'removed',
+            coinId: intent.coinName,
+            symbol: holding.coinSymbol,
+            amount: holding.amount,
+            balance: 0,
+            price: holding.currentPrice || 0,
+            currency,
+          },
+        },
+      };
+    }
+
+    case 'CLEAR_PORTFOLIO': {
+      const { place } = resolveHoldingScope({}, portfolioHook);
+      const summary = portfolioHook.getPortfolioSummary();
+      if (summary.totalCoins === 0) {
+        return {
+          text: 'Your portfolio is already empty.',
+        };
+      }
+
+      if (!intent.confirmed) {
+        return {
+          text: `This will remove all ${summary.totalCoins} holdings${describeValue(summary.totalValue, summary.currency)} from ${place}. Are you sure?`,
+          pendingIntent: { ...intent, confirmed: true },
+        };
+      }
+
+      portfolioHook.clearPortfolio();
+      return {
+        text: `${place.charAt(0).toUpperCase()}${place.slice(1)} has been cleared.`,
+      };
+    }
+    
+    case 'SWITCH_PORTFOLIO': {
+      const portfolio = portfolioHook.findPortfolio(intent.name);
+      if (!portfolio) {
+        return {
+          text: `You don't have a portfolio called "${intent.name}". Create it?`,
+          pendingIntent: { type: 'CREATE_PORTFOLIO', name: intent.name, confirmed: true },
+        };
+      }
+      if (portfolio.id === portfolioHook.activePortfolioId) {
+        return {
+          text: `You're already in your ${portfolio.name} portfolio.`,
+        };
+      }
+
+      portfolioHook.switchPortfolio(portfolio.id);
+      const summary = portfolioHook.getPortfolioSummary(portfolio.id);
+      return {
+        text: summary.totalCoins > 0
+          ? `Switched to your ${portfolio.name} portfolio, worth ${formatCurrency(summary.totalValue, summary.currency)} across ${countOf(summary.totalCoins, 'coin')}. New holdings will go here.`
+          : `Switched to your ${portfolio.name} portfolio. It's empty so far; new holdings will go here.`,
+      };
+    }
+
+    case 'CREATE_PORTFOLIO': {
+      const existing = portfolioHook.findPortfolio(intent.name);
+      if (existing) {
+        return {
+          text: `You already have a portfolio called ${existing.name}. Say "switch to ${existing.name}" to use it.`,
+        };
+      }
+
+      const portfolio = portfolioHook.createPortfolio(intent.name);
+      portfolioHook.switchPortfolio(portfolio.id);
+      return {
+        text: `Created your ${portfolio.name} portfolio and switched to it. Add holdings with something like "I have 2 ETH", or "add 1 BTC to ledger wallet" to keep a wallet's coins apart.`,
+      };
+    }
+
+    case 'EXPORT_PORTFOLIO': {
+      const transactions = portfolioHook.transactions || [];
+      if (transactions.length === 0) {
+        return {
+          text: "There's nothing to export yet. Try adding some holdings by saying something like 'I have 2 ETH'",
+        };
+      }
+
+      const date = new Date().toISOString().slice(0, 10);
+      const exports = {
+        backup: () => ({
+          fileName: `crypto-chat-backup-${date}.json`,
+          content: exportLedgerJSON(transactions),
+          mimeType: 'application/json',
+          description: `all ${countOf(transactions.length, 'transaction')}`,
+        }),
+        transactions: () => ({
+          fileName: `crypto-chat-transactions-${date}.csv`,
+          content: exportLedgerCSV(transactions),
+          mimeType: 'text/csv',
+          description: countOf(transactions.length, 'transaction'),
+        }),
+        holdings: () => ({
+          fileName: `crypto-chat-portfolio-${date}.csv`,
+          content: exportHoldingsCSV(portfolioHook.holdings, portfolioHook.currency),
+          mimeType: 'text/csv',
+          description: countOf(portfolioHook.holdings.length, 'holding'),
+        }),
+      };
+      const { description, ...download } = exports[intent.contents]();
+
+      return {
+        text: `Exported ${description} to ${download.fileName}.`,
+        data: { download },
+      };
+    }
+
+    case 'IMPORT_REQUEST':
+      return {
+        text: 'Use the import button at the top to pick a file. I can read Crypto Chat backups and exports, and Coinbase or Binance trade history CSVs.',
+      };
+
+    case 'IMPORT_PREVIEW': {
+      const parsed = parseLedgerFile(intent.content, intent.fileName);
+      if (parsed.error) {
+        return {
+          text: parsed.error,
+        };
+      }
+
+      try {
+        await coinRegistry.load({ priority: PRIORITY.USER });
+      } catch (error) {
+        console.warn('Coin registry unavailable:', error.message);
+      }
+      const { transactions, unmapped } = resolveImportRows(parsed.rows, symbol => coinRegistry.lookup(symbol));
+      const problems = [...parsed.skipped, ...unmapped].sort((a, b) => a.line - b.line);
+
+      const existing = new Set((portfolioHook.transactions || []).map(transaction => transaction.id));
+      const fresh = transactions.filter(transaction => !existing.has(transaction.id));
+      const duplicates = transactions.length - fresh.length;
+
+      const counts = Object.entries(fresh.reduce((totals, transaction) => ({
+        ...totals,
+        [transaction.type]: (totals[transaction.type] || 0) + 1,
+      }), {})).map(([type, count]) => `${count} ${TRANSACTION_LABELS[type][count === 1 ? 0 : 1]}`);
+      const symbols = [...new Set(fresh.map(transaction => transaction.coinSymbol))];
+      const coinsText = symbols.length > 5 ? `${symbols.length} coins` : joinNames(symbols);
+
+      const problemText = problems.length > 0
+        ? ` ${countOf(problems.length, 'row')} couldn't be mapped.`
+        : '';
+      const duplicateText = duplicates > 0
+        ? ` ${duplicates} ${duplicates === 1 ? 'is' : 'are'} already in your portfolio.`
+        : '';
+      const preview = {
+        fileName: intent.fileName,
+        format: IMPORT_FORMATS[parsed.format],
+        transactions: fresh,
+        problems,
+        duplicates,
+      };
+
+      if (fresh.length === 0) {
+        return {
+          text: `I didn't find any new transactions in ${intent.fileName}.${problemText}${duplicateText}`,
+          data: { importPreview: preview },
+        };
+      }
+
+      return {
+        text: `Found ${countOf(fresh.length, 'new transaction')} in ${intent.fileName} (${IMPORT_FORMATS[parsed.format]}): ${joinNames(counts)} of ${coinsText}.${problemText}${duplicateText} Import them?`,
+        data: { importPreview: preview },
+        pendingIntent: { type: 'IMPORT_TRANSACTIONS', transactions: fresh, fileName: intent.fileName, confirmed: true },
+      };
+    }
+
+    case 'IMPORT_TRANSACTIONS': {
+      portfolioHook.importTransactions(intent.transactions);
+      return {
+        text: `Imported ${countOf(intent.transactions.length, 'transaction')} from ${intent.fileName}.`,
+      };
+    }
+
+    case 'SET_TARGETS': {
+      if (!targetsAddUp(intent.targets)) {
+        const total = intent.targets.reduce((sum, target) => sum + target.weight, 0);
+        return {
+          text: `Those weights add up to ${roundAmount(total)}%. Target weights need to add up to 100%.`,
+        };
+      }
+
+      const { coins, problems } = await resolveCoinList(intent.targets);
+      if (problems.length > 0) {
+        return {
+          text: describeCoinProblems(problems),
+        };
+      }
+      const targets = coins.map(({ coinId, symbol }, index) => ({ coinId, symbol, weight: intent.targets[index].weight }));
+      const repeated = targets.find((target, index) => targets.findIndex(other => other.coinId === target.coinId) !== index);
+      if (repeated) {
+        return {
+          text: `${repeated.symbol} is listed more than once. Give each coin a single weight.`,
+        };
+      }
+
+      portfolioHook.setTargets(targets);
+      const { holdings, threshold, place } = resolveAllocationScope({}, portfolioHook);
+      const text = `Set the targets for ${place} to ${describeTargets(targets)}.`;
+      if (holdings.length === 0) {
+        return { text };
+      }
+      const rows = compareToTargets(holdings, targets);
+      return {
+        text: `${text}\n\n${describeAllocation(rows, threshold)}`,
+        data: { allocation: { rows, threshold } },
+      };
+    }
+
+    case 'CLEAR_TARGETS': {
+      const { targets, place } = resolveAllocationScope({}, portfolioHook);
+      if (targets.length === 0) {
+        return {
+          text: `There are no targets set for ${place}.`,
+        };
+      }
+      portfolioHook.clearTargets();
+      return {
+        text: `Cleared the targets for ${place}. I won't warn you about drift until you set new ones.`,
+      };
+    }
+
+    case 'SET_DRIFT_THRESHOLD': {
+      if (!(intent.threshold > 0 && intent.threshold < 100)) {
+        return {
+          text: 'The drift threshold needs to be between 0 and 100 percentage points.',
+        };
+      }
+      portfolioHook.setDriftThreshold(intent.threshold);
+      const { targets } = resolveAllocationScope({}, portfolioHook);
+      return {
+        text: `I'll warn you when a coin drifts more than ${intent.threshold} points from its target.${targets.length === 0 ? ` You haven't set any targets yet. ${NO_TARGETS_HINT}` : ''}`,
+      };
+    }
+
+    case 'ALLOCATION_STATUS': {
+      const { targets, threshold, holdings, place, error } = resolveAllocationScope(intent, portfolioHook);
+      if (error) {
+        return { text: error };
+      }
+      if (targets.length === 0) {
+        return {
+          text: `You haven't set target weights for ${place} yet. ${NO_TARGETS_HINT}`,
+        };
+      }
+      if (holdings.length === 0) {
+        return {
+          text: `Your targets are ${describeTargets(targets)}, but ${place} is empty.`,
+        };
+      }
+      if (holdings.every(holding => holding.currentValue === undefined)) {
+        return {
+          text: "I don't have prices for your holdings yet, so I can't work out the drift. Try again in a moment.",
+        };
+      }
+
+      const rows = compareToTargets(holdings, targets);
+      return {
+        text: `Targets for ${place}: ${describeTargets(targets)}.\n\n${describeAllocation(rows, threshold)}`,
+        data: { allocation: { rows, threshold } },
+      };
+    }
+
+    case 'RISK_ANALYSIS': {
+      const days = intent.days || DEFAULT_RISK_DAYS;
+      let { holdings } = portfolioHook;
+      let { place } = resolveHoldingScope({}, portfolioHook);
+      if (intent.target && portfolioHook.resolveTarget) {
+        const resolved = portfolioHook.resolveTarget(intent.target);
+        if (resolved.error) {
+          return { text: resolved.error };
+        }
+        const summary = portfolioHook.getPortfolioSummary(resolved.portfolioId);
+        holdings = summary.holdings;
+        place = `your ${resolved.portfolioName} portfolio`;
+        if (resolved.account) {
+          const account = summary.accounts.find(entry => entry.name === resolved.account);
+          if (!account) {
+            return { text: `There's nothing recorded in ${resolved.account} yet.` };
+          }
+          holdings = account.holdings;
+          place = /\b(?:wallet|account)$/i.test(account.name) ? `your ${account.name}` : account.name;
+        }
+      }
+      if (holdings.length === 0) {
+        return {
+          text: `${capitalize(place)} is empty, so there's no risk to measure yet. Try adding some holdings by saying something like 'I have 2 ETH'`,
+        };
+      }
+
+      // Price history is cached, so asking again or for another portfolio is cheap
+      const coinIds = [...new Set([...holdings.map(holding => holding.coinId), BENCHMARK_COIN_ID])];
+      const histories = await Promise.all(coinIds.map(coinId =>
+        cryptoAPI.getHistoricalData(coinId, days, { currency })
+          .catch(error => {
+            console.warn(`No history for ${coinId}:`, error.message);
+            return [];
+          })
+      ));
+      const risk = analyzeRisk({
+        holdings,
+        histories: Object.fromEntries(coinIds.map((coinId, index) => [coinId, histories[index]])),
+      });
+      if (risk.error) {
+        return {
+          text: risk.error === 'too_short'
+            ? 'Measuring risk needs more than a week of daily prices. Try "how risky is my portfolio over 90 days".'
+            : "I couldn't get price history for your holdings, so I can't measure their risk right now.",
+        };
+      }
+
+      const { portfolio } = risk;
+      const drawdownText = portfolio.drawdown < 0
+        ? `${formatPercent(portfolio.drawdown)} (${formatDate(portfolio.peakAt)} to ${formatDate(portfolio.troughAt)})`
+        : 'none';
+      const notes = [];
+      if (risk.coins.length > 1) {
+        const mostVolatile = risk.coins.reduce((a, b) => (b.volatility > a.volatility ? b : a));
+        notes.push(`Most volatile holding: ${mostVolatile.symbol} (${formatPercent(mostVolatile.volatility)}).`);
+        const correlated = mostCorrelatedPair(risk.correlations);
+        if (correlated) {
+          notes.push(`Most closely correlated: ${correlated.pair} (${formatRatio(correlated.value)}).`);
+        }
+      }
+      if (risk.missing.length > 0) {
+        notes.push(`There's no price history for ${joinNames(risk.missing)}, so ${risk.missing.length === 1 ? "it's" : "they're"} left out.`);
+      }
+
+      return {
+        text: [
+          `Over the last ${describeRange(days)}, ${place} had an annualized volatility of ${formatPercent(portfolio.volatility)}.${compareToBenchmark(risk)}`,
+          `Max drawdown: ${drawdownText}. Sharpe-style ratio: ${formatRatio(portfolio.sharpe)}. Beta vs BTC: ${formatRatio(portfolio.beta)}.`,
+          ...notes,
+        ].join('\n'),
+        data: { risk: { ...risk, days } },
+      };
+    }
+
+    case 'TAX_REPORT': {
+      const year = intent.year || new Date().getFullYear() - 1;
+      const method = intent.method || portfolioHook.costBasisMethod || DEFAULT_COST_BASIS_METHOD;
+      if (!COST_BASIS_METHODS[method]) {
+        return {
+          text: `I can match sales to purchases by ${joinNames(Object.values(COST_BASIS_METHODS))}, but not ${method.toUpperCase()}.`,
+        };
+      }
+      // Gains are reported in fiat, so a crypto quote currency falls back to the default
+      const reportCurrency = CURRENCIES[currency]?.crypto ? DEFAULT_CURRENCY : currency;
+
+      let transactions = portfolioHook.transactions || [];
+      let { place } = resolveHoldingScope({}, portfolioHook);
+      if (intent.scope === 'all' && portfolioHook.allTransactions) {
+        transactions = portfolioHook.allTransactions;
+        place = 'all your portfolios';
+      } else if (intent.target && portfolioHook.resolveTarget) {
+        const resolved = portfolioHook.resolveTarget(intent.target);
+        if (resolved.error) {
+          return { text: resolved.error };
+        }
+        if (resolved.account) {
           return {
-            text: "Your portfolio is empty. Try adding some holdings by saying something like 'I have 2 ETH'",
+            text: `Tax reports cover a whole portfolio, since sales draw on coins bought in any of its wallets. Ask for your ${resolved.portfolioName} portfolio's report instead.`,
           };
         }
-        
-        const changeText2 = summary.change24h > 0 ? 'up' : 'down';
+        transactions = portfolioHook.getTransactions(resolved.portfolioId);
+        place = `your ${resolved.portfolioName} portfolio`;
+      }
+
+      const sold = transactions.some(transaction =>
+        transaction.type === TRANSACTION_TYPES.SELL && new Date(transaction.timestamp).getFullYear() === year
+      );
+      if (!sold) {
         return {
-          text: `Your portfolio is worth $${summary.totalValue.toLocaleString()} across ${summary.totalCoins} different cryptocurrencies (${changeText2} ${Math.abs(summary.change24h).toFixed(2)}% today)`,
-          data: { summary },
+          text: `There are no sales in ${place} in ${year}, so there are no capital gains to report.${intent.year ? '' : ` Say "tax report for ${year + 1}" for this year so far.`}`,
         };
-      
-      case 'TRENDING':
-        const trending = await cryptoAPI.getTrendingCoins();
-        const trendingList = trending.slice(0, 5).map((coin, index) => 
-          `${index + 1}. ${coin.name} (${coin.symbol})`
-        ).join('\n');
-        
+      }
+
+      // One history request per coin, reaching back to its earliest unpriced event
+      const needed = findValuationsNeeded(transactions, { year, currency: reportCurrency });
+      const histories = Object.fromEntries(await Promise.all(
+        Object.entries(needed).map(([coinId, earliest]) =>
+          cryptoAPI.getHistoricalData(coinId, Math.max(1, daysBetween(earliest)) + 1, { currency: reportCurrency })
+            .catch(error => {
+              console.warn(`No history for ${coinId}:`, error.message);
+              return [];
+            })
+            .then(history => [coinId, history])
+        )
+      ));
+      const report = buildTaxReport(transactions, { year, currency: reportCurrency, method, histories });
+
+      const sales = new Set([...report.disposals, ...report.unvalued].map(entry => entry.transactionId)).size;
+      const describeTotals = (label, totals) =>
+        `• ${label}: ${formatSignedCurrency(totals.gain, reportCurrency)} on ${formatCurrency(totals.proceeds, reportCurrency)} of proceeds`;
+      const notes = [
+        report.estimated > 0 && `${countOf(report.estimated, 'line')} had no recorded price, so I used the market price on the day.`,
+        report.unvalued.length > 0 && `${countOf(report.unvalued.length, 'sale')} couldn't be valued and ${report.unvalued.length === 1 ? 'is' : 'are'} left out: ${joinNames(report.unvalued.map(sale => `${sale.amount} ${sale.symbol} on ${formatDate(sale.disposedAt)}`))}.`,
+        report.transfersOut > 0 && `${countOf(report.transfersOut, 'transfer')} out counted as ${report.transfersOut === 1 ? 'a move' : 'moves'} between your own wallets, not sales.`,
+        reportCurrency !== currency && `Figures are in ${currencyLabel(reportCurrency)}, as gains are reported in fiat.`,
+      ].filter(Boolean);
+
+      const files = {
+        csv: { fileName: `capital-gains-${year}.csv`, content: exportTaxReportCSV(report), mimeType: 'text/csv' },
+        html: { fileName: `capital-gains-${year}.html`, content: renderTaxReportHTML(report), mimeType: 'text/html' },
+      };
+      return {
+        text: [
+          `Capital gains for ${place} in ${year} (${COST_BASIS_METHODS[method]}, ${countOf(sales, 'sale')}):`,
+          describeTotals('Short-term', report.shortTerm),
+          describeTotals('Long-term', report.longTerm),
+          describeTotals('Net', report.total),
+          ...notes,
+          intent.format === 'csv' ? `Saved to ${files.csv.fileName}.` : 'Download the CSV or print the summary below.',
+        ].join('\n'),
+        data: {
+          taxReport: { ...report, files },
+          ...(intent.format === 'csv' && { download: files.csv }),
+        },
+      };
+    }
+
+    case 'REBALANCE': {
+      const { targets, threshold, holdings, place, error } = resolveAllocationScope(intent, portfolioHook);
+      if (error) {
+        return { text: error };
+      }
+      if (targets.length === 0) {
+        return {
+          text: `You haven't set target weights for ${place}, so there's nothing to rebalance toward. ${NO_TARGETS_HINT}`,
+        };
+      }
+      if (holdings.length === 0) {
+        return {
+          text: `There's nothing in ${place} to rebalance yet.`,
+        };
+      }
+
+      // Fresh prices for every coin involved, targeted coins not yet held included
+      const coinIds = [...new Set([...targets.map(target => target.coinId), ...holdings.map(holding => holding.coinId)])];
+      const prices = await cryptoAPI.getMultiplePrices(coinIds, { currency });
+      const valued = valueHoldings(holdings, prices);
+      const { trades, unpriced, totalValue } = planRebalance(valued, targets, prices);
+      if (unpriced.length > 0) {
         return {
-          text: `Here are today's top trending cryptocurrencies:\n\n${trendingList}`,
-          data: { trending },
+          text: `I couldn't get a current price for ${joinNames(unpriced)}, so I can't work out the trades.`,
         };
+      }
+
+      const rows = compareToTargets(valued, targets);
+      if (trades.length === 0) {
+        return {
+          text: `${capitalize(place)} already matches its targets at current prices. There's nothing to trade.`,
+          data: { allocation: { rows, threshold } },
+        };
+      }
+
+      const lines = trades.map(trade =>
+        `• ${capitalize(trade.action)} ${trade.amount} ${trade.symbol} (${formatCurrency(trade.value, currency)} at ${formatCurrency(trade.price, currency)})`
+      );
+      return {
+        text: [
+          `To bring ${place} back to ${describeTargets(targets)} at current prices:`,
+          ...lines,
+          `The sells pay for the buys, so the total stays at ${formatCurrency(totalValue, currency)}. Fees aren't included.`,
+        ].join('\n'),
+        data: {
+          allocation: { rows, threshold },
+          rebalance: { trades, currency },
+        },
+      };
+    }
+
+    case 'PORTFOLIO_VALUE': {
+      let summary;
+      let label = 'Your portfolio';
+      const combined = intent.scope === 'all' && portfolioHook.portfolios?.length > 1;
+      if (combined) {
+        summary = portfolioHook.getPortfolioSummary(ALL_PORTFOLIOS);
+        label = `Your ${summary.portfolios.length} portfolios together`;
+      } else if (intent.target && portfolioHook.resolveTarget) {
+        const resolved = portfolioHook.resolveTarget(intent.target);
+        if (resolved.error) {
+          return { text: resolved.error };
+        }
+        summary = portfolioHook.getPortfolioSummary(resolved.portfolioId);
+        label = `Your ${resolved.portfolioName} portfolio`;
+        if (resolved.account) {
+          const account = summary.accounts.find(entry => entry.name === resolved.account);
+          if (!account) {
+            return { text: `There's nothing recorded in ${resolved.account} yet.` };
+          }
+          summary = summarizePortfolio(account.holdings, summary.currency);
+          label = /\b(?:wallet|account)$/i.test(account.name) ? `Your ${account.name}` : account.name;
+        }
+      } else {
+        summary = portfolioHook.getPortfolioSummary();
+        if (portfolioHook.portfolios?.length > 1) {
+          label = `Your ${summary.portfolioName} portfolio`;
+        }
+      }
+
+      if (summary.totalCoins === 0) {
+        return {
+          text: `${combined ? 'All your portfolios are' : `${label} is`} empty. Try adding some holdings by saying something like 'I have 2 ETH'`,
+        };
+      }
+
+      // Cost basis stays in the currency it was recorded in, so P&L only
+      // shows when the portfolio is valued in that currency
+      if (summary.currency !== currency) {
+        const coinIds = summary.holdings.map(holding => holding.coinId);
+        const prices = await cryptoAPI.getMultiplePrices(coinIds, { currency });
+        summary = summarizePortfolio(valueHoldings(summary.holdings, prices), currency, { costCurrencies: summary.costCurrencies });
+      }
       
-      case 'CHART_REQUEST':
-        try {
-          const coinDetails = await cryptoAPI.getCoinDetails(intent.coinName);
-          const chartData = await cryptoAPI.getHistoricalData(intent.coinName, 7);
+      const changeText = summary.change24h > 0 ? 'up' : 'down';
+      const unrealizedText = describePnL('Unrealized P&L', summary.unrealizedPnL, currency);
+      const realizedText = summary.realizedPnL ? describePnL('Realized P&L', summary.realizedPnL, currency) : '';
+      const otherCostCurrencies = (summary.costCurrencies || []).filter(costCurrency => costCurrency !== currency);
+      const costCurrencyText = otherCostCurrencies.length > 0
+        ? ` Cost basis is recorded in ${joinNames(otherCostCurrencies.map(currencyLabel))}, so P&L shows when you ask in ${otherCostCurrencies.length === 1 ? 'that currency' : 'one of those'}${otherCostCurrencies.length === 1 ? ` ("my portfolio in ${currencyLabel(otherCostCurrencies[0])}")` : ''}.`
+        : '';
+      return {
+        text: `${label} ${combined ? 'are' : 'is'} worth ${formatCurrency(summary.totalValue, currency)} across ${summary.totalCoins} different cryptocurrencies (${changeText} ${Math.abs(summary.change24h).toFixed(2)}% today).${unrealizedText}${realizedText}${costCurrencyText}`,
+        data: { summary },
+      };
+    }
+    
+    case 'PORTFOLIO_CHART': {
+      const days = intent.days || 30;
+      let portfolioId = portfolioHook.activePortfolioId;
+      let portfolioName = portfolioHook.portfolios?.length > 1 ? portfolioHook.activePortfolio.name : null;
+      if (intent.target && portfolioHook.resolveTarget) {
+        const resolved = portfolioHook.resolveTarget(intent.target);
+        if (resolved.error) {
+          return { text: resolved.error };
+        }
+        ({ portfolioId, portfolioName } = resolved);
+      }
+      const positions = portfolioHook.getPositions?.(portfolioId) || portfolioHook.positions || portfolioHook.holdings;
+      if (positions.length === 0) {
+        return {
+          text: "Your portfolio is empty, so there's nothing to chart yet. Try adding some holdings by saying something like 'I have 2 ETH'",
+        };
+      }
+
+      // Coins sold since still shaped the value earlier in the range
+      const histories = await Promise.all(positions.map(position =>
+        cryptoAPI.getHistoricalData(position.coinId, days, { currency })
+          .catch(error => {
+            console.warn(`No history for ${position.coinId}:`, error.message);
+            return [];
+          })
+      ));
+      const { points, coinIds } = buildValueHistory({
+        transactions: portfolioHook.getTransactions?.(portfolioId) || portfolioHook.transactions || [],
+        priceHistories: Object.fromEntries(positions.map((position, index) => [position.coinId, histories[index]])),
+        snapshots: portfolioHook.snapshots,
+        currency,
+        portfolioId,
+        days,
+      });
+
+      const symbols = Object.fromEntries(positions.map(position => [position.coinId, position.coinSymbol]));
+      const chartData = points.map(point => ({ timestamp: point.timestamp, price: point.totalValue }));
+      const series = coinIds.map(coinId => ({
+        label: symbols[coinId] || coinId.toUpperCase(),
+        values: points.map(point => point.values[coinId] || 0),
+      }));
+
+      const first = chartData.find(point => point.price > 0);
+      const last = chartData[chartData.length - 1];
+      const changeText = first && last && first !== last
+        ? ` That's ${last.price >= first.price ? 'up' : 'down'} ${Math.abs(((last.price - first.price) / first.price) * 100).toFixed(2)}% (${formatSignedCurrency(last.price - first.price, currency)}) over the last ${describeRange(days)}.`
+        : '';
+
+      return {
+        text: `Here's your ${portfolioName ? `${portfolioName} ` : ''}portfolio's ${formatRange(days)} value chart. It's worth ${formatCurrency(last?.price || 0, currency)} now.${changeText}`,
+        data: { chartData, series, coinName: portfolioName || 'Portfolio', metric: 'Value', currency, days },
+        showChart: true,
+      };
+    }
+
+    case 'WATCH': {
+      const { coins, problems } = await resolveCoinList(intent.coins);
+      if (problems.length > 0) {
+        return {
+          text: describeCoinProblems(problems),
+        };
+      }
+      const { added, already } = options.watchlist.watch(
+        coins.map(({ coinId, coinName, symbol }) => ({ coinId, coinName, coinSymbol: symbol }))
+      );
+      const parts = [];
+      if (added.length > 0) {
+        parts.push(`Now watching ${joinNames(added.map(entry => entry.coinSymbol))}.`);
+      }
+      if (already.length > 0) {
+        parts.push(`${joinNames(already.map(entry => entry.coinSymbol))} ${already.length === 1 ? 'was' : 'were'} already on your watchlist.`);
+      }
+      if (added.length > 0) {
+        parts.push('Ask "how\'s my watchlist?" to see how they\'re doing.');
+      }
+      return {
+        text: parts.join(' '),
+      };
+    }
+
+    case 'UNWATCH': {
+      const watched = options.watchlist.coins;
+      const missing = [];
+      const ids = [];
+      for (const item of intent.coins) {
+        const typed = item.originalCoinName.toLowerCase();
+        const entry = watched.find(coin =>
+          coin.coinSymbol.toLowerCase() === typed || coin.coinName?.toLowerCase() === typed || coin.coinId === item.coinName
+        );
+        if (entry) {
+          ids.push(entry.coinId);
+          continue;
+        }
+        const { status, coin } = await coinRegistry.resolve(item.originalCoinName);
+        if (status === 'resolved' && watched.some(other => other.coinId === coin.id)) {
+          ids.push(coin.id);
+        } else {
+          missing.push(item.originalCoinName.toUpperCase());
+        }
+      }
+
+      const removed = options.watchlist.unwatch(ids);
+      const parts = [];
+      if (removed.length > 0) {
+        parts.push(`Stopped watching ${joinNames(removed.map(entry => entry.coinSymbol))}.`);
+      }
+      if (missing.length > 0) {
+        parts.push(`${joinNames(missing)} ${missing.length === 1 ? "isn't" : "aren't"} on your watchlist.`);
+      }
+      return {
+        text: parts.join(' '),
+      };
+    }
+
+    case 'CLEAR_WATCHLIST': {
+      if (options.watchlist.coins.length === 0) {
+        return {
+          text: 'Your watchlist is already empty.',
+        };
+      }
+      const count = options.watchlist.coins.length;
+      options.watchlist.clearWatchlist();
+      return {
+        text: `Cleared your watchlist of ${countOf(count, 'coin')}.`,
+      };
+    }
+
+    case 'WATCHLIST': {
+      const watched = options.watchlist.coins;
+      if (watched.length === 0) {
+        return {
+          text: 'Your watchlist is empty. Say "watch SOL" or "watch BTC, ETH and DOGE" to add coins.',
+        };
+      }
+
+      // Watched coins are priced with the portfolio, so the quotes are
+      // usually at hand. Only coins added since the last refresh are fetched.
+      const quotes = {};
+      watched.forEach(({ coinId }) => {
+        const quote = portfolioHook.getQuote(coinId);
+        if (quote) {
+          quotes[coinId] = quote;
+        }
+      });
+      const unpriced = watched.map(entry => entry.coinId).filter(coinId => !quotes[coinId]);
+      if (unpriced.length > 0) {
+        Object.assign(quotes, await cryptoAPI.getMultiplePrices(unpriced, { currency, priority: PRIORITY.USER }));
+      }
+
+      const histories = await Promise.all(watched.map(({ coinId }) =>
+        cryptoAPI.getHistoricalData(coinId, 7, { currency }).catch(error => {
+          console.error(`Error fetching the week for ${coinId}:`, error);
+          return [];
+        })
+      ));
+
+      const rows = watched.map((entry, index) => {
+        const sparkline = toSparkline(histories[index]);
+        return {
+          coinId: entry.coinId,
+          symbol: entry.coinSymbol,
+          name: entry.coinName,
+          price: quotes[entry.coinId]?.price,
+          change24h: quotes[entry.coinId]?.change24h,
+          sparkline,
+          change7d: sparklineChange(sparkline),
+        };
+      });
+      const lines = rows.map(row => {
+        if (row.price === undefined) {
+          return `• ${row.symbol}: no price right now`;
+        }
+        const changes = [
+          typeof row.change24h === 'number' ? `${formatChange(row.change24h)} in 24h` : null,
+          row.change7d !== null ? `${formatChange(row.change7d)} over 7 days` : null,
+        ].filter(Boolean);
+        return `• ${row.symbol}: ${formatCurrency(row.price, currency)}${changes.length > 0 ? ` (${changes.join(', ')})` : ''}`;
+      });
+      return {
+        text: [`Here's your watchlist of ${countOf(rows.length, 'coin')}:`, ...lines].join('\n'),
+        data: { watchlist: { currency, rows } },
+      };
+    }
+
+    case 'CREATE_ALERT': {
+      if (intent.subject === 'portfolio' && intent.kind === ALERT_TYPES.MOVE) {
+        return {
+          text: 'I can alert you when a portfolio is worth more or less than an amount, like "alert me when my portfolio is worth over 50k", but not on percentage moves.',
+        };
+      }
+      if (intent.kind === ALERT_TYPES.MOVE && !(intent.percent > 0 && intent.windowHours <= MAX_WINDOW_HOURS)) {
+        return {
+          text: `I can watch for moves of more than 0% within up to ${MAX_WINDOW_HOURS / 24} days.`,
+        };
+      }
+
+      let fields;
+      let now;
+      if (intent.subject === 'portfolio') {
+        const portfolioCurrency = portfolioHook.currency || currency;
+        if (intent.currency && intent.currency !== portfolioCurrency) {
           return {
-            text: `Here's the 7-day price chart for ${coinDetails.name}:`,
-            data: { chartData, coinName: coinDetails.name },
-            showChart: true,
+            text: `Portfolio alerts use the currency your portfolio is shown in, ${currencyLabel(portfolioCurrency)}. Give the amount in ${currencyLabel(portfolioCurrency)}, or switch currencies first.`,
           };
-        } catch (error) {
-          try {
-            const searchResults = await cryptoAPI.searchCoins(intent.originalCoinName);
-            if (searchResults.length > 0) {
-              const firstResult = searchResults[0];
-              const chartData = await cryptoAPI.getHistoricalData(firstResult.id, 7);
-              return {
-                text: `Here's the 7-day price chart for ${firstResult.name}:`,
-                data: { chartData, coinName: firstResult.name },
-                showChart: true,
-              };
-            }
-          } catch (searchError) {
-            console.error('Chart search fallback failed:', searchError);
-          }
-          throw new Error(`Could not find chart data for "${intent.originalCoinName}". Try using the full name or symbol.`);
         }
-      
-      case 'INFO_REQUEST':
-        const info = await cryptoAPI.getCoinDetails(intent.coinName);
+        const { portfolioId, place, error } = resolveAlertPortfolio(intent, portfolioHook);
+        if (error) {
+          return { text: error };
+        }
+        const summary = portfolioHook.getPortfolioSummary(portfolioId);
+        if (summary.holdings.length === 0) {
+          return {
+            text: `${capitalize(place)} ${portfolioId === ALL_PORTFOLIOS ? 'are' : 'is'} empty, so there's no value to watch yet.`,
+          };
+        }
+        const priced = summary.holdings.every(holding => holding.currentValue !== undefined);
+        fields = { type: ALERT_TYPES.PORTFOLIO, portfolioId, place, threshold: intent.threshold, currency: portfolioCurrency };
+        now = priced ? { value: summary.totalValue } : {};
+      } else {
+        const { coins, problems } = await resolveCoinList([intent]);
+        if (problems.length > 0) {
+          return {
+            text: describeCoinProblems(problems),
+          };
+        }
+        const [{ coinId, symbol }] = coins;
+        const prices = await cryptoAPI.getMultiplePrices([coinId], { currency, priority: PRIORITY.USER });
+        const quote = prices[coinId];
+        fields = intent.kind === ALERT_TYPES.MOVE
+          ? { type: ALERT_TYPES.MOVE, coinId, coinSymbol: symbol, percent: intent.percent, windowHours: intent.windowHours, currency }
+          : { type: ALERT_TYPES.PRICE, coinId, coinSymbol: symbol, threshold: intent.threshold, currency };
+        now = quote ? { price: quote.price, ...(intent.windowHours === DEFAULT_WINDOW_HOURS && { change: quote.change24h }) } : {};
+      }
+
+      const current = fields.type === ALERT_TYPES.PORTFOLIO ? now.value : now.price;
+      // "crosses 70k" means whichever way gets there from here
+      const direction = intent.direction || (current !== undefined && (intent.threshold > current ? 'above' : 'below'));
+      if (!direction) {
+        return {
+          text: "I don't have a current price to tell which way that would cross. Say above or below, or try again in a moment.",
+        };
+      }
+      fields = { ...fields, direction, speak: intent.speak };
+
+      const nowText = fields.type === ALERT_TYPES.PORTFOLIO
+        ? `${capitalize(fields.place)} ${fields.portfolioId === ALL_PORTFOLIOS ? 'are' : 'is'} worth ${formatCurrency(now.value, fields.currency)}`
+        : fields.type === ALERT_TYPES.MOVE
+          ? `${fields.coinSymbol} is ${now.change >= 0 ? 'up' : 'down'} ${Math.abs(now.change ?? 0).toFixed(2)}% over the last 24 hours`
+          : `${fields.coinSymbol} is at ${formatCurrency(now.price, currency)}`;
+      if (evaluateAlert(fields, now)) {
+        return {
+          text: `${nowText} already, so there's nothing to wait for. Set a different level and I'll watch for it.`,
+        };
+      }
+
+      const { alert, notifications } = await options.alerts.addAlert(fields);
+      const hasNow = fields.type === ALERT_TYPES.MOVE ? typeof now.change === 'number' : current !== undefined;
+      return {
+        text: [
+          `Okay, I'll let you know when ${describeAlert(alert)}.`,
+          hasNow ? `${nowText}${fields.type === ALERT_TYPES.MOVE ? '' : ' now'}.` : null,
+          NOTIFICATION_NOTES[notifications] || NOTIFICATION_NOTES.default,
+        ].filter(Boolean).join(' '),
+      };
+    }
+
+    case 'LIST_ALERTS': {
+      const { alerts } = options.alerts;
+      if (alerts.length === 0) {
+        return {
+          text: `You don't have any alerts set. Try ${ALERT_EXAMPLES}.`,
+        };
+      }
+      return {
+        text: [
+          `You have ${countOf(alerts.length, 'alert')}. I'll let you know when:`,
+          ...alerts.map((alert, index) => `${index + 1}. ${describeAlert(alert)}`),
+          alerts.length > 1 ? 'Say "cancel alert 2" to remove one, or "cancel all alerts".' : 'Say "cancel my alerts" to remove it.',
+        ].join('\n'),
+      };
+    }
+
+    case 'CANCEL_ALERTS': {
+      const { alerts } = options.alerts;
+      if (alerts.length === 0) {
         return {
-          text: `${info.name} (${info.symbol}) is currently ranked #${info.rank} with a market cap of $${info.marketCap?.toLocaleString() || 'N/A'}. ${info.description}`,
-          data: { info },
+          text: "You don't have any alerts to cancel.",
         };
+      }
+
+      let matching = alerts;
+      let subject = null;
+      if (intent.index) {
+        if (intent.index > alerts.length) {
+          return {
+            text: `There's no alert ${intent.index}. You have ${countOf(alerts.length, 'alert')}; say "show my alerts" to see them.`,
+          };
+        }
+        matching = [alerts[intent.index - 1]];
+      } else if (intent.portfolio) {
+        matching = alerts.filter(alert => !isCoinAlert(alert));
+        subject = 'your portfolio';
+      } else if (intent.coinName) {
+        const typed = intent.originalCoinName.toLowerCase();
+        matching = alerts.filter(alert =>
+          isCoinAlert(alert) && (alert.coinSymbol.toLowerCase() === typed || alert.coinId === intent.coinName)
+        );
+        if (matching.length === 0) {
+          const { status, coin } = await coinRegistry.resolve(intent.originalCoinName);
+          matching = status === 'resolved' ? alerts.filter(alert => alert.coinId === coin.id) : [];
+        }
+        subject = intent.originalCoinName.toUpperCase();
+      }
+      if (matching.length === 0) {
+        return {
+          text: `You don't have any alerts on ${subject}.`,
+        };
+      }
+
+      const removed = options.alerts.removeAlerts(matching.map(alert => alert.id));
+      return {
+        text: removed.length === 1
+          ? `Cancelled the alert for when ${describeAlert(removed[0])}.`
+          : `Cancelled ${subject && removed.length < alerts.length ? `your ${countOf(removed.length, 'alert')} on ${subject}` : `all ${countOf(removed.length, 'alert')}`}.`,
+      };
+    }
+
+    case 'ALERT_HELP':
+      return {
+        text: `Tell me what to watch for, like ${ALERT_EXAMPLES}.`,
+      };
+
+    case 'TRENDING':
+      const trending = await cryptoAPI.getTrendingCoins();
+      const trendingList = trending.slice(0, 5).map((coin, index) => 
+        `${index + 1}. ${coin.name} (${coin.symbol})`
+      ).join('\n');
       
-      case 'HELP':
+      return {
+        text: `Here are today's top trending cryptocurrencies:\n\n${trendingList}`,
+        data: { trending },
+      };
+    
+    case 'CHART_REQUEST': {
+      const days = intent.days || 7;
+      try {
+        const coinDetails = await cryptoAPI.getCoinDetails(intent.coinName);
+        const chartData = await cryptoAPI.getHistoricalData(intent.coinName, days, { currency });
         return {
-          text: `I can help you with cryptocurrency information! Try asking me:
-          
+          text: `Here's the ${formatRange(days)} price chart for ${coinDetails.name}:`,
+          data: { chartData, coinName: coinDetails.name, currency, days },
+          showChart: true,
+        };
+      } catch (error) {
+        try {
+          const searchResults = await cryptoAPI.searchCoins(intent.originalCoinName);
+          if (searchResults.length > 0) {
+            const firstResult = searchResults[0];
+            const chartData = await cryptoAPI.getHistoricalData(firstResult.id, days, { currency });
+            return {
+              text: `Here's the ${formatRange(days)} price chart for ${firstResult.name}:`,
+              data: { chartData, coinName: firstResult.name, currency, days },
+              showChart: true,
+            };
+          }
+        } catch (searchError) {
+          console.error('Chart search fallback failed:', searchError);
+        }
+        throw new Error(`Could not find chart data for "${intent.originalCoinName}". Try using the full name or symbol.`);
+      }
+    }
+    
+    case 'INFO_REQUEST': {
+      const info = await cryptoAPI.getCoinDetails(intent.coinName, { currency });
+      return {
+        text: `${info.name} (${info.symbol}) is currently ranked #${info.rank} with a market cap of ${formatCurrency(info.marketCap, currency)}. ${info.description}`,
+        data: { info },
+      };
+    }
+    
+    case 'CONFIRM': {
+      const pendingIntent = options.context?.pendingIntent;
+      if (pendingIntent) {
+        return generateResponse(pendingIntent, cryptoAPI, portfolioHook, {
+          ...options,
+          context: { ...options.context, pendingIntent: null },
+        });
+      }
+      return {
+        text: "There's nothing waiting for confirmation. What would you like to know?",
+      };
+    }
+
+    case 'DECLINE': {
+      const pendingIntent = options.context?.pendingIntent;
+      if (pendingIntent?.confirmed) {
+        return {
+          text: 'Okay, I left your portfolio as it is.',
+        };
+      }
+      return {
+        text: pendingIntent
+          ? 'No problem. Try the full coin name or its ticker symbol.'
+          : "Okay! Ask me about prices, your portfolio or trending coins whenever you're ready.",
+      };
+    }
+
+    case 'MISSING_COIN':
+      return {
+        text: "Which cryptocurrency do you mean? Try naming it, like 'Bitcoin' or 'ETH'.",
+      };
+
+    case 'HELP':
+      return {
+        text: `I can help you with cryptocurrency information! Try asking me:
+        
 • "What's Bitcoin trading at?" - Get current prices
-• "I have 2 ETH" - Add to your portfolio  
+• "Price of ETH in EUR" - Quote in another currency
+• "Price of BTC, ETH and SOL" - Compare several coins at once
+• "What was ETH worth on 2021-11-10?" or "BTC price last Christmas" - Prices from the past
+• "What if I had put $1000 into SOL a year ago?" - Replay an investment
+• "$100 of BTC every week since January" - Test dollar-cost averaging
+• "Convert 0.5 BTC to ETH" or "How many DOGE is $200?" - Convert between coins and cash
+• "What's 1,000 sats in USD?" - Sats, gwei and lamports work too
+• "I have 2 ETH" - Record what you hold  
+• "I have 2 BTC and 10 ETH" - Set several holdings at once
+• "Add 1 ETH" or "Sold 0.5 BTC" - Record a buy or a sale
+• "Bought 1 ETH at 3200 on March 3" - Record the price and date for profit/loss
+• "Set my SOL to 40" or "Remove ETH from my portfolio" - Fix a holding
+• "Clear my portfolio" - Start over
+• "Create portfolio Treasury" or "Switch to treasury" - Keep separate portfolios
+• "Add 3 ETH to ledger wallet" - Track wallets and accounts within a portfolio
+• "Show all portfolios" - See every portfolio combined
+• "Set targets to 60% BTC, 30% ETH, 10% SOL" - Set target weights
+• "Tax report for 2025" or "Capital gains for last year as CSV" - Short and long-term gains to file
+• "How risky is my portfolio?" - Volatility, drawdown, beta and correlations
+• "How far off target am I?" or "How do I rebalance?" - Check drift and get the trades
+• "Warn me when drift passes 3%" - Change when drift warnings appear
+• "Watch SOL and DOGE" or "Unwatch DOGE" - Follow coins you don't hold
+• "How's my watchlist?" - Prices, 24h change and a 7-day sparkline
+• "Alert me when BTC crosses 70k" or "Tell me if ETH drops 5% today" - Price alerts
+• "Alert me out loud when my portfolio is worth over 50k" - Spoken and portfolio alerts
+• "Show my alerts" or "Cancel alert 2" - Manage your alerts
+• "Export my transactions as CSV" or "Back up my portfolio" - Download your data
+• The import button - Bring in a backup or Coinbase/Binance trade history
 • "What's my portfolio worth?" - Check portfolio value
+• "Portfolio chart for 90 days" - See how your portfolio has done
 • "Show me trending coins" - See what's hot
 • "Show chart for Bitcoin" - View price charts
 • "Tell me about Ethereum" - Get coin information
+• "What about SOL?" or "Show its chart for 30 days" - Follow up on the last answer
 
 Just speak naturally - I'll understand!`,
-        };
-      
-      default:
-        return {
-          text: "I'm not sure how to help with that. Try asking about cryptocurrency prices, your portfolio, or trending coins. Say 'help' to see what I can do!",
-        };
+      };
+    
+    default:
+      return {
+        text: "I'm not sure how to help with that. Try asking about cryptocurrency prices, your portfolio, or trending coins. Say 'help' to see what I can do!",
+      };
+  }
+};
+
+export const generateResponse = async (parsedIntent, cryptoAPI, portfolioHook, options = {}) => {
+  try {
+    const { intent, response } = await resolveIntentCoin(parsedIntent);
+    if (response) {
+      return response;
     }
+
+    const reply = await respondToIntent(intent, cryptoAPI, portfolioHook, options);
+    return { intent, ...reply };
   } catch (error) {
     console.error('Error generating response:', error);
     return {
@@ -0,0 +1,132 @@
+import { TRANSACTION_TYPES } from './ledger';
+import { DEFAULT_PORTFOLIO_ID } from './portfolios';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Refreshes closer together than this replace the last snapshot
+const MIN_SNAPSHOT_INTERVAL_MS = 15 * MINUTE_MS;
+
+// Past this age snapshots are thinned to one a day
+const DETAILED_HISTORY_MS = 7 * DAY_MS;
+
+const MAX_SNAPSHOTS = 2000;
+
+const INCOMING = [TRANSACTION_TYPES.BUY, TRANSACTION_TYPES.TRANSFER_IN];
+
+export const createSnapshot = (
+  valuedHoldings,
+  currency,
+  portfolioId = DEFAULT_PORTFOLIO_ID,
+  timestamp = new Date().toISOString()
+) => ({
+  timestamp,
+  currency,
+  portfolioId,
+  totalValue: valuedHoldings.reduce((total, holding) => total + (holding.currentValue || 0), 0),
+  values: Object.fromEntries(
+    valuedHoldings
+      .filter(holding => holding.currentValue !== undefined)
+      .map(holding => [holding.coinId, holding.currentValue])
+  ),
+});
+
+const seriesKey = (snapshot) => `${snapshot.portfolioId || DEFAULT_PORTFOLIO_ID}:${snapshot.currency}`;
+
+/**
+ * Adds a snapshot, keeping the list small enough for localStorage: one
+ * every 15 minutes for the last week and one a day before that, for each
+ * portfolio and currency.
+ */
+export const appendSnapshot = (snapshots, snapshot) => {
+  const lastIndex = snapshots.findLastIndex(entry => seriesKey(entry) === seriesKey(snapshot));
+  const replacesLast = lastIndex !== -1
+    && new Date(snapshot.timestamp) - new Date(snapshots[lastIndex].timestamp) < MIN_SNAPSHOT_INTERVAL_MS;
+  const next = replacesLast
+    ? [...snapshots.slice(0, lastIndex), ...snapshots.slice(lastIndex + 1), snapshot]
+    : [...snapshots, snapshot];
+
+  const detailedSince = new Date(snapshot.timestamp).getTime() - DETAILED_HISTORY_MS;
+  const lastPerDay = new Map();
+  next.forEach((entry, index) => {
+    if (new Date(entry.timestamp).getTime() < detailedSince) {
+      lastPerDay.set(`${seriesKey(entry)}:${entry.timestamp.slice(0, 10)}`, index);
+    }
+  });
+  const kept = new Set(lastPerDay.values());
+
+  return next
+    .filter((entry, index) => new Date(entry.timestamp).getTime() >= detailedSince || kept.has(index))
+    .slice(-MAX_SNAPSHOTS);
+};
+
+const byTime = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+
+/**
+ * Rebuilds the portfolio's value over the last `days` from the ledger and
+ * each coin's price history, then lays recorded snapshots on top. The
+ * backfill covers the time before the app started recording; the snapshots
+ * are what the portfolio was actually valued at.
+ *
+ * Returns { points: [{ timestamp, totalValue, values: { coinId: value } }], coinIds }.
+ */
+export const buildValueHistory = ({
+  transactions,
+  priceHistories,
+  snapshots = [],
+  currency,
+  portfolioId = DEFAULT_PORTFOLIO_ID,
+  days,
+  now = new Date(),
+}) => {
+  const since = now.getTime() - days * DAY_MS;
+  const ledger = [...transactions].sort(byTime);
+
+  // The longest history sets the time grid; coins with less are treated as unpriced before it starts
+  const grid = Object.values(priceHistories)
+    .reduce((longest, history) => (history.length > longest.length ? history : longest), [])
+    .map(point => new Date(point.timestamp).getTime())
+    .filter(time => time >= since);
+
+  const balances = {};
+  const priceCursor = {};
+  let ledgerIndex = 0;
+
+  const backfilled = grid.map(time => {
+    while (ledgerIndex < ledger.length && new Date(ledger[ledgerIndex].timestamp).getTime() <= time) {
+      const transaction = ledger[ledgerIndex];
+      const sign = INCOMING.includes(transaction.type) ? 1 : -1;
+      balances[transaction.coinId] = Math.max(0, (balances[transaction.coinId] || 0) + sign * transaction.amount);
+      ledgerIndex += 1;
+    }
+
+    const values = {};
+    Object.entries(priceHistories).forEach(([coinId, history]) => {
+      let cursor = priceCursor[coinId] || 0;
+      while (cursor + 1 < history.length && new Date(history[cursor + 1].timestamp).getTime() <= time) {
+        cursor += 1;
+      }
+      priceCursor[coinId] = cursor;
+
+      const point = history[cursor];
+      if (balances[coinId] && point && new Date(point.timestamp).getTime() <= time) {
+        values[coinId] = balances[coinId] * point.price;
+      }
+    });
+
+    return {
+      timestamp: new Date(time).toISOString(),
+      totalValue: Object.values(values).reduce((total, value) => total + value, 0),
+      values,
+    };
+  });
+
+  const recorded = snapshots.filter(snapshot =>
+    seriesKey(snapshot) === `${portfolioId}:${currency}` && new Date(snapshot.timestamp).getTime() >= since
+  );
+
+  const points = [...backfilled, ...recorded].sort(byTime);
+  const coinIds = [...new Set(points.flatMap(point => Object.keys(point.values)))];
+
+  return { points, coinIds };
+};
@@ -0,0 +1,145 @@
+import { TRANSACTION_TYPES, createTransaction } from './ledger';
+import { DEFAULT_PORTFOLIO_ID, createDefaultPortfolio } from './portfolios';
+
+// Schemas for the collections usePortfolio keeps in storage. Bump a
+// version whenever the stored shape changes and add the migration that
+// takes the previous version's data to it.
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.length > 0;
+
+const requireArray = (data, what) => {
+  if (!Array.isArray(data)) {
+    throw new Error(`${what} is not a list`);
+  }
+  return data;
+};
+
+// Keeps the entries that pass, counting the rest
+const keepValid = (entries, isValid) => {
+  const kept = entries.filter(isValid);
+  return { kept, dropped: entries.length - kept.length };
+};
+
+const TYPES = Object.values(TRANSACTION_TYPES);
+
+const isValidTransaction = (transaction) =>
+  transaction !== null && typeof transaction === 'object'
+  && isNonEmptyString(transaction.id)
+  && TYPES.includes(transaction.type)
+  && isNonEmptyString(transaction.coinId)
+  && isFiniteNumber(transaction.amount) && transaction.amount > 0
+  && isTimestamp(transaction.timestamp)
+  && (transaction.price === null || transaction.price === undefined || (isFiniteNumber(transaction.price) && transaction.price >= 0));
+
+// Version 0 was bare balances, version 1 the ledger before named
+// portfolios, version 2 the ledger with portfolios and accounts
+export const LEDGER_SCHEMA = {
+  key: 'ledger',
+  version: 2,
+  legacy: [
+    { key: 'crypto-chat-ledger', version: 1 },
+    { key: 'crypto-chat-portfolio', version: 0 },
+  ],
+  migrations: {
+    // Balances become transfers in, whose cost is unknown
+    1: (holdings) => requireArray(holdings, 'holdings').map(holding => createTransaction({
+      type: TRANSACTION_TYPES.TRANSFER_IN,
+      coinId: holding.coinId,
+      coinName: holding.coinName,
+      coinSymbol: holding.coinSymbol,
+      amount: holding.amount,
+      timestamp: holding.addedAt,
+    })),
+    2: (transactions) => requireArray(transactions, 'ledger').map(transaction => ({
+      ...transaction,
+      portfolioId: transaction?.portfolioId || DEFAULT_PORTFOLIO_ID,
+      account: transaction?.account || null,
+    })),
+  },
+  validate: (data) => {
+    const { kept, dropped } = keepValid(requireArray(data, 'ledger'), isValidTransaction);
+    return {
+      data: kept.map(transaction => ({
+        ...transaction,
+        price: transaction.price ?? null,
+        fee: isFiniteNumber(transaction.fee) && transaction.fee >= 0 ? transaction.fee : 0,
+      })),
+      dropped,
+    };
+  },
+  empty: () => [],
+};
+
+const isValidSnapshot = (snapshot) =>
+  snapshot !== null && typeof snapshot === 'object'
+  && isTimestamp(snapshot.timestamp)
+  && isNonEmptyString(snapshot.currency)
+  && isFiniteNumber(snapshot.totalValue)
+  && snapshot.values !== null && typeof snapshot.values === 'object';
+
+export const HISTORY_SCHEMA = {
+  key: 'history',
+  version: 2,
+  legacy: [{ key: 'crypto-chat-portfolio-history', version: 1 }],
+  migrations: {
+    2: (snapshots) => requireArray(snapshots, 'history').map(snapshot => ({
+      ...snapshot,
+      portfolioId: snapshot?.portfolioId || DEFAULT_PORTFOLIO_ID,
+    })),
+  },
+  validate: (data) => {
+    const { kept, dropped } = keepValid(requireArray(data, 'history'), isValidSnapshot);
+    return { data: kept, dropped };
+  },
+  empty: () => [],
+};
+
+const isValidTarget = (target) =>
+  target !== null && typeof target === 'object'
+  && isNonEmptyString(target.coinId)
+  && isFiniteNumber(target.weight) && target.weight > 0;
+
+// Bad targets or thresholds are let go rather than the portfolio itself
+const cleanPortfolio = (portfolio) => {
+  const { targets, driftThreshold, ...rest } = portfolio;
+  return {
+    ...rest,
+    ...(Array.isArray(targets) && targets.every(isValidTarget) ? { targets } : {}),
+    ...(isFiniteNumber(driftThreshold) && driftThreshold > 0 ? { driftThreshold } : {}),
+  };
+};
+
+export const PORTFOLIOS_SCHEMA = {
+  key: 'portfolios',
+  version: 1,
+  legacy: [{ key: 'crypto-chat-portfolios', version: 1 }],
+  migrations: {},
+  validate: (data) => {
+    if (data === null || typeof data !== 'object') {
+      throw new Error('portfolios are not an object');
+    }
+    const { kept, dropped } = keepValid(
+      requireArray(data.portfolios, 'portfolios'),
+      portfolio => portfolio !== null && typeof portfolio === 'object'
+        && isNonEmptyString(portfolio.id) && isNonEmptyString(portfolio.name)
+    );
+    const portfolios = kept.map(cleanPortfolio);
+    const withDefault = portfolios.some(portfolio => portfolio.id === DEFAULT_PORTFOLIO_ID)
+      ? portfolios
+      : [createDefaultPortfolio(), ...portfolios];
+    return {
+      data: {
+        portfolios: withDefault,
+        activePortfolioId: withDefault.some(portfolio => portfolio.id === data.activePortfolioId)
+          ? data.activePortfolioId
+          : DEFAULT_PORTFOLIO_ID,
+      },
+      dropped,
+    };
+  },
+  empty: () => ({ portfolios: [createDefaultPortfolio()], activePortfolioId: DEFAULT_PORTFOLIO_ID }),
+};
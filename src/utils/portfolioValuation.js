@@ -0,0 +1,122 @@
+import { DEFAULT_CURRENCY } from './currency';
+
+// Merges a getMultiplePrices() result into holdings
+export const valueHoldings = (holdings, prices = {}, pricedAt) =>
+  holdings.map(holding => {
+    const priceData = prices[holding.coinId];
+    if (!priceData) {
+      return holding;
+    }
+
+    const currentValue = holding.amount * priceData.price;
+    // A basis in another currency can't be set against this price
+    const hasCostBasis = holding.costBasis !== null && holding.costBasis !== undefined
+      && (!holding.costCurrency || !priceData.currency || holding.costCurrency === priceData.currency);
+    return {
+      ...holding,
+      currentPrice: priceData.price,
+      currentValue,
+      change24h: priceData.change24h,
+      priceUpdatedAt: pricedAt,
+      unrealizedPnL: hasCostBasis ? currentValue - holding.costBasis : null,
+      unrealizedPnLPercent: hasCostBasis && holding.costBasis > 0 ? ((currentValue - holding.costBasis) / holding.costBasis) * 100 : null,
+    };
+  });
+
+// Sums a P&L field, or null when any holding's is unknown
+const sumKnown = (holdings, field) =>
+  holdings.reduce((sum, holding) => {
+    const value = holding[field];
+    return sum === null || value === null || value === undefined ? null : sum + value;
+  }, 0);
+
+// Trims float noise from balances, so 2 - 1.9 leaves 0.1 rather than 0.10000000000000009
+export const roundAmount = (amount) => parseFloat(amount.toPrecision(12));
+
+export const totalValue = (valuedHoldings) =>
+  valuedHoldings.reduce((total, holding) => total + (holding.currentValue || 0), 0);
+
+// Adds up one coin's holdings from several portfolios into a single holding
+export const combineHoldings = (holdingLists) => {
+  const combined = new Map();
+  holdingLists.flat().forEach(holding => {
+    const existing = combined.get(holding.coinId);
+    if (!existing) {
+      combined.set(holding.coinId, { ...holding, id: holding.coinId });
+      return;
+    }
+    // Bases recorded in different currencies don't add up
+    const add = (field) => (existing[field] === null || existing[field] === undefined
+      || holding[field] === null || holding[field] === undefined
+      || existing.costCurrency !== holding.costCurrency
+      ? null
+      : existing[field] + holding[field]);
+    combined.set(holding.coinId, {
+      ...existing,
+      amount: roundAmount(existing.amount + holding.amount),
+      currentValue: existing.currentValue === undefined ? undefined : (existing.currentValue || 0) + (holding.currentValue || 0),
+      costBasis: add('costBasis'),
+      unrealizedPnL: add('unrealizedPnL'),
+    });
+  });
+
+  return [...combined.values()].map(holding => ({
+    ...holding,
+    averageCost: holding.costBasis !== null && holding.amount > 0 ? holding.costBasis / holding.amount : null,
+    ...(holding.unrealizedPnL !== undefined && {
+      unrealizedPnLPercent: holding.unrealizedPnL !== null && holding.costBasis > 0
+        ? (holding.unrealizedPnL / holding.costBasis) * 100
+        : null,
+    }),
+  }));
+};
+
+// The currencies cost basis was recorded in, for positions or holdings
+export const costCurrenciesOf = (positions) =>
+  [...new Set(positions.map(position => position.costCurrency).filter(Boolean))];
+
+/**
+ * `realizedPnL` covers closed positions too, so the caller passes the
+ * ledger-wide figure rather than it being summed from open holdings, and
+ * likewise `costCurrencies`. Cost basis and P&L are only totalled when
+ * all of it was recorded in `currency`.
+ */
+export const summarizePortfolio = (valuedHoldings, currency = DEFAULT_CURRENCY, {
+  realizedPnL = null,
+  costCurrencies = costCurrenciesOf(valuedHoldings),
+} = {}) => {
+  const total = totalValue(valuedHoldings);
+
+  let totalChange24h = 0;
+  let validChanges = 0;
+
+  valuedHoldings.forEach(holding => {
+    if (holding.change24h !== undefined && holding.currentValue) {
+      const holdingChange = (holding.change24h / 100) * holding.currentValue;
+      totalChange24h += holdingChange;
+      validChanges++;
+    }
+  });
+
+  const avgChange24h = validChanges > 0 && total > 0 ? (totalChange24h / total) * 100 : 0;
+
+  const inCurrency = costCurrencies.every(costCurrency => costCurrency === currency);
+  const costBasis = inCurrency ? sumKnown(valuedHoldings, 'costBasis') : null;
+  const unrealizedPnL = inCurrency ? sumKnown(valuedHoldings, 'unrealizedPnL') : null;
+
+  return {
+    totalCoins: valuedHoldings.length,
+    totalValue: total,
+    change24h: avgChange24h,
+    costBasis,
+    unrealizedPnL,
+    unrealizedPnLPercent: unrealizedPnL !== null && costBasis > 0 ? (unrealizedPnL / costBasis) * 100 : null,
+    realizedPnL: inCurrency ? realizedPnL : null,
+    currency,
+    costCurrencies,
+    holdings: valuedHoldings.map(holding => ({
+      ...holding,
+      percentage: total > 0 ? ((holding.currentValue || 0) / total) * 100 : 0,
+    })),
+  };
+};
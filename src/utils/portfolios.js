@@ -0,0 +1,74 @@
+// Transactions from before named portfolios all belong to this one
+export const DEFAULT_PORTFOLIO_ID = 'main';
+
+// Summary scope covering every portfolio at once
+export const ALL_PORTFOLIOS = 'all';
+
+export const createDefaultPortfolio = () => ({
+  id: DEFAULT_PORTFOLIO_ID,
+  name: 'Main',
+  createdAt: new Date().toISOString(),
+});
+
+const slugify = (name) => name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const titleCase = (name) => name.trim().replace(/\b\w/g, letter => letter.toUpperCase());
+
+export const createPortfolio = (name, portfolios = []) => {
+  const base = slugify(name) || 'portfolio';
+  const taken = new Set(portfolios.map(portfolio => portfolio.id));
+  let id = base;
+  for (let suffix = 2; taken.has(id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  return { id, name: titleCase(name), createdAt: new Date().toISOString() };
+};
+
+export const portfolioIdOf = (transaction) => transaction.portfolioId || DEFAULT_PORTFOLIO_ID;
+
+export const transactionsIn = (transactions, portfolioId, account) =>
+  transactions.filter(transaction =>
+    portfolioIdOf(transaction) === portfolioId
+    && (account === undefined || (transaction.account || null) === account)
+  );
+
+export const accountsIn = (transactions) =>
+  [...new Set(transactions.map(transaction => transaction.account).filter(Boolean))];
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// "treasury", "Treasury portfolio" and "the treasury" all name one portfolio
+export const findPortfolio = (portfolios, name) => {
+  const wanted = name.replace(/^(?:my|the|our)\s+/i, '').replace(/\s+portfolio$/i, '');
+  return portfolios.find(portfolio => sameName(portfolio.name, wanted) || portfolio.id === slugify(wanted));
+};
+
+/**
+ * Works out where "to ledger wallet" or "in treasury" points: a portfolio
+ * when the text names one, otherwise an account in the active portfolio.
+ * Accounts are free-form and spring into being on first use; an unknown
+ * name that says "portfolio" is an error rather than a new account.
+ *
+ * Returns { portfolioId, portfolioName, account } or { error }.
+ */
+export const resolveTarget = (text, { portfolios, activePortfolioId, accounts }) => {
+  const active = portfolios.find(portfolio => portfolio.id === activePortfolioId);
+  if (!text) {
+    return { portfolioId: active.id, portfolioName: active.name, account: undefined };
+  }
+
+  const portfolio = findPortfolio(portfolios, text);
+  if (portfolio) {
+    return { portfolioId: portfolio.id, portfolioName: portfolio.name, account: undefined };
+  }
+
+  const name = text.replace(/^(?:my|the|our)\s+/i, '').trim();
+  if (/\bportfolio$/i.test(name)) {
+    return {
+      error: `You don't have a portfolio called "${name.replace(/\s+portfolio$/i, '')}". Say "create portfolio ${name.replace(/\s+portfolio$/i, '')}" to start one.`,
+    };
+  }
+
+  const account = accounts.find(existing => sameName(existing, name)) || name;
+  return { portfolioId: active.id, portfolioName: active.name, account };
+};
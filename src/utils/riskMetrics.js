@@ -0,0 +1,144 @@
+// Daily closes over this many days back the risk figures unless asked otherwise
+export const DEFAULT_RISK_DAYS = 90;
+
+// Crypto trades every day of the year
+const PERIODS_PER_YEAR = 365;
+
+// Below this many daily returns the figures mean little
+const MIN_RETURNS = 7;
+
+export const BENCHMARK_COIN_ID = 'bitcoin';
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const covariance = (a, b) => {
+  const meanA = mean(a);
+  const meanB = mean(b);
+  return a.reduce((sum, value, index) => sum + (value - meanA) * (b[index] - meanB), 0) / (a.length - 1);
+};
+
+const standardDeviation = (values) => Math.sqrt(covariance(values, values));
+
+const correlation = (a, b) => {
+  const spread = standardDeviation(a) * standardDeviation(b);
+  return spread > 0 ? covariance(a, b) / spread : null;
+};
+
+// The last price of each UTC day, so providers with different intervals line up
+const dailyCloses = (history) => {
+  const closes = new Map();
+  [...history]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .forEach(point => closes.set(new Date(point.timestamp).toISOString().slice(0, 10), point.price));
+  return closes;
+};
+
+const toReturns = (prices) => prices.slice(1).map((price, index) => price / prices[index] - 1);
+
+export const annualizedVolatility = (returns) => standardDeviation(returns) * Math.sqrt(PERIODS_PER_YEAR);
+
+// Annualized mean return over annualized volatility. No risk-free rate is
+// taken off, hence "Sharpe-style".
+export const sharpeRatio = (returns) => {
+  const volatility = annualizedVolatility(returns);
+  return volatility > 0 ? (mean(returns) * PERIODS_PER_YEAR) / volatility : null;
+};
+
+export const beta = (returns, benchmarkReturns) => {
+  const benchmarkVariance = covariance(benchmarkReturns, benchmarkReturns);
+  return benchmarkVariance > 0 ? covariance(returns, benchmarkReturns) / benchmarkVariance : null;
+};
+
+// The largest fall from a peak, as a negative fraction, and when it ran
+export const maxDrawdown = (values, dates = []) => {
+  let peakIndex = 0;
+  let worst = { drawdown: 0, peakAt: null, troughAt: null };
+  values.forEach((value, index) => {
+    if (value > values[peakIndex]) {
+      peakIndex = index;
+    }
+    const drawdown = values[peakIndex] > 0 ? value / values[peakIndex] - 1 : 0;
+    if (drawdown < worst.drawdown) {
+      worst = { drawdown, peakAt: dates[peakIndex] || null, troughAt: dates[index] || null };
+    }
+  });
+  return worst;
+};
+
+const describeSeries = (values, dates, benchmarkReturns) => {
+  const returns = toReturns(values);
+  return {
+    volatility: annualizedVolatility(returns),
+    sharpe: sharpeRatio(returns),
+    beta: benchmarkReturns ? beta(returns, benchmarkReturns) : null,
+    totalReturn: values[values.length - 1] / values[0] - 1,
+    ...maxDrawdown(values, dates),
+  };
+};
+
+/**
+ * Risk figures for a set of holdings from their daily price history:
+ * annualized volatility, max drawdown, a Sharpe-style ratio, beta against
+ * BTC and the correlation between each pair of coins.
+ *
+ * The portfolio is taken to have held today's amounts throughout, so the
+ * figures describe the current mix rather than past trading. Only days on
+ * which every coin (and BTC) has a price are used.
+ *
+ * `histories` maps coin ids to getHistoricalData() results, BTC's included
+ * for beta. Returns { error } when there is too little shared history.
+ */
+export const analyzeRisk = ({ holdings, histories, benchmarkId = BENCHMARK_COIN_ID }) => {
+  const priced = holdings.filter(holding => histories[holding.coinId]?.length > 0);
+  const missing = holdings.filter(holding => !priced.includes(holding)).map(holding => holding.coinSymbol);
+  const benchmarkHistory = histories[benchmarkId] || [];
+  if (priced.length === 0) {
+    return { error: 'no_history', missing };
+  }
+
+  const closes = Object.fromEntries(
+    [...priced.map(holding => holding.coinId), benchmarkId]
+      .filter(coinId => histories[coinId]?.length > 0)
+      .map(coinId => [coinId, dailyCloses(histories[coinId])])
+  );
+  const series = Object.values(closes);
+  const dates = [...series[0].keys()].filter(date => series.every(close => close.has(date))).sort();
+  if (dates.length <= MIN_RETURNS) {
+    return { error: 'too_short', missing };
+  }
+
+  // Midday UTC falls on the same date in every time zone
+  const timestamps = dates.map(date => `${date}T12:00:00.000Z`);
+  const pricesOf = (coinId) => dates.map(date => closes[coinId].get(date));
+  const benchmarkReturns = benchmarkHistory.length > 0 ? toReturns(pricesOf(benchmarkId)) : null;
+  const values = dates.map(date =>
+    priced.reduce((total, holding) => total + holding.amount * closes[holding.coinId].get(date), 0)
+  );
+  const total = values[values.length - 1];
+
+  const coins = priced.map(holding => {
+    const prices = pricesOf(holding.coinId);
+    return {
+      coinId: holding.coinId,
+      symbol: holding.coinSymbol,
+      weight: total > 0 ? (holding.amount * prices[prices.length - 1]) / total : 0,
+      ...describeSeries(prices, timestamps, benchmarkReturns),
+    };
+  }).sort((a, b) => b.weight - a.weight);
+
+  const returnsByCoin = coins.map(coin => toReturns(pricesOf(coin.coinId)));
+  const matrix = returnsByCoin.map((returns, row) =>
+    returnsByCoin.map((other, column) => (row === column ? 1 : correlation(returns, other)))
+  );
+
+  return {
+    from: timestamps[0],
+    to: timestamps[timestamps.length - 1],
+    observations: dates.length - 1,
+    portfolio: describeSeries(values, timestamps, benchmarkReturns),
+    benchmark: benchmarkReturns ? describeSeries(pricesOf(benchmarkId), timestamps) : null,
+    coins,
+    correlations: { coinIds: coins.map(coin => coin.coinId), symbols: coins.map(coin => coin.symbol), matrix },
+    missing,
+  };
+};
@@ -0,0 +1,321 @@
+import { toCSV } from './csv';
+import { currencyLabel, formatCurrency } from './currency';
+import { formatDate } from './dateParser';
+import { COST_BASIS_METHODS, DEFAULT_COST_BASIS_METHOD, TRANSACTION_TYPES } from './ledger';
+import { roundAmount } from './portfolioValuation';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A market price further than this from the event doesn't value it
+const MAX_PRICE_GAP_MS = 2 * DAY_MS;
+
+const INCOMING = [TRANSACTION_TYPES.BUY, TRANSACTION_TYPES.TRANSFER_IN];
+
+const byTime = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+
+const hasPrice = (transaction) => transaction.price !== null && transaction.price !== undefined;
+
+const yearOf = (timestamp) => new Date(timestamp).getFullYear();
+
+// Recorded in the report currency already, so no market price is needed
+const pricedIn = (transaction, currency) => hasPrice(transaction) && transaction.currency === currency;
+
+/**
+ * The events a report for `year` has to value from market prices: sales in
+ * the year and acquisitions up to its end that weren't recorded in the
+ * report currency. Returns { coinId: earliest timestamp }, enough to size
+ * one getHistoricalData() request per coin.
+ */
+export const findValuationsNeeded = (transactions, { year, currency }) => {
+  const needed = {};
+  transactions
+    .filter(transaction => !pricedIn(transaction, currency) && yearOf(transaction.timestamp) <= year)
+    .filter(transaction => INCOMING.includes(transaction.type)
+      || (transaction.type === TRANSACTION_TYPES.SELL && yearOf(transaction.timestamp) === year))
+    .forEach(transaction => {
+      const earliest = needed[transaction.coinId];
+      if (!earliest || new Date(transaction.timestamp) < new Date(earliest)) {
+        needed[transaction.coinId] = transaction.timestamp;
+      }
+    });
+  return needed;
+};
+
+const marketPriceOn = (history = [], timestamp) => {
+  const target = new Date(timestamp).getTime();
+  const closest = history.reduce(
+    (best, point) => (!best || Math.abs(new Date(point.timestamp) - target) < Math.abs(new Date(best.timestamp) - target) ? point : best),
+    null
+  );
+  return closest && Math.abs(new Date(closest.timestamp) - target) <= MAX_PRICE_GAP_MS ? closest.price : null;
+};
+
+/**
+ * A transaction's unit price and fee in the report currency. A price in
+ * another currency converts at that day's market rate; with no price at
+ * all the market price stands in and the value is marked as estimated.
+ * Returns null when there's nothing to value it with.
+ */
+const valueInCurrency = (transaction, currency, histories) => {
+  const fee = transaction.fee || 0;
+  if (pricedIn(transaction, currency)) {
+    return { price: transaction.price, fee, estimated: false };
+  }
+  const market = marketPriceOn(histories[transaction.coinId], transaction.timestamp);
+  if (market === null) {
+    return null;
+  }
+  if (hasPrice(transaction) && transaction.price > 0) {
+    return { price: market, fee: fee * (market / transaction.price), estimated: false };
+  }
+  return { price: market, fee: transaction.currency === currency ? fee : 0, estimated: true };
+};
+
+export const isLongTerm = (acquiredAt, disposedAt) => {
+  const anniversary = new Date(acquiredAt);
+  anniversary.setFullYear(anniversary.getFullYear() + 1);
+  return new Date(disposedAt) > anniversary;
+};
+
+// Takes `amount` out of the lots in the method's order. Average cost still
+// dates what it takes first in, first out.
+const takeLots = (lots, amount, method) => {
+  const ordered = method === 'lifo' ? [...lots].reverse() : [...lots];
+  let remaining = amount;
+  const slices = [];
+  const kept = [];
+
+  ordered.forEach(lot => {
+    if (remaining <= 0) {
+      kept.push(lot);
+      return;
+    }
+    const taken = Math.min(lot.amount, remaining);
+    remaining = roundAmount(remaining - taken);
+    slices.push({ ...lot, amount: taken });
+    if (lot.amount > taken) {
+      kept.push({ ...lot, amount: roundAmount(lot.amount - taken) });
+    }
+  });
+
+  return { lots: method === 'lifo' ? kept.reverse() : kept, slices };
+};
+
+const averageUnitCost = (lots) => {
+  const amount = lots.reduce((sum, lot) => sum + lot.amount, 0);
+  if (amount <= 0 || lots.some(lot => lot.unitCost === null)) {
+    return null;
+  }
+  return lots.reduce((sum, lot) => sum + lot.amount * lot.unitCost, 0) / amount;
+};
+
+const emptyTotals = () => ({ proceeds: 0, costBasis: 0, gain: 0, count: 0 });
+
+const addToTotals = (totals, disposal) => ({
+  proceeds: totals.proceeds + disposal.proceeds,
+  costBasis: totals.costBasis + disposal.costBasis,
+  gain: totals.gain + disposal.gain,
+  count: totals.count + 1,
+});
+
+/**
+ * Capital gains for one tax year. The whole ledger is replayed so that
+ * sales in the year are matched to acquisitions from any earlier year, by
+ * `method` (fifo, lifo or average). Each sale yields a line per lot it
+ * draws on, split into short and long term at one year held.
+ *
+ * Buys and transfers in become lots; a transfer in with no recorded price
+ * is costed at the market price the day it arrived and flagged as
+ * estimated. Transfers out remove lots without a taxable disposal.
+ *
+ * `histories` maps coin ids to getHistoricalData() results covering the
+ * events findValuationsNeeded() lists. Sales that still can't be valued
+ * are listed in `unvalued` and left out of the totals.
+ */
+export const buildTaxReport = (transactions, { year, currency, method = DEFAULT_COST_BASIS_METHOD, histories = {} }) => {
+  const lotsByCoin = new Map();
+  const disposals = [];
+  const unvalued = [];
+  let transfersOut = 0;
+
+  [...transactions]
+    .filter(transaction => yearOf(transaction.timestamp) <= year)
+    .sort(byTime)
+    .forEach(transaction => {
+      const lots = lotsByCoin.get(transaction.coinId) || [];
+      const inYear = yearOf(transaction.timestamp) === year;
+
+      if (INCOMING.includes(transaction.type)) {
+        const value = valueInCurrency(transaction, currency, histories);
+        const unitCost = value ? value.price + value.fee / transaction.amount : null;
+        const next = [...lots, {
+          amount: transaction.amount,
+          unitCost,
+          acquiredAt: transaction.timestamp,
+          estimated: Boolean(value?.estimated),
+        }];
+        const pooled = method === 'average' ? averageUnitCost(next) : null;
+        lotsByCoin.set(transaction.coinId, method === 'average' ? next.map(lot => ({ ...lot, unitCost: pooled })) : next);
+        return;
+      }
+
+      const held = roundAmount(lots.reduce((sum, lot) => sum + lot.amount, 0));
+      const amount = Math.min(transaction.amount, held);
+      const { lots: remaining, slices } = takeLots(lots, amount, method);
+      lotsByCoin.set(transaction.coinId, remaining);
+
+      if (transaction.type !== TRANSACTION_TYPES.SELL) {
+        if (inYear) transfersOut++;
+        return;
+      }
+      if (!inYear || amount <= 0) {
+        return;
+      }
+
+      const value = valueInCurrency(transaction, currency, histories);
+      const uncosted = slices.some(slice => slice.unitCost === null);
+      if (!value || uncosted) {
+        unvalued.push({
+          transactionId: transaction.id,
+          symbol: transaction.coinSymbol,
+          amount,
+          disposedAt: transaction.timestamp,
+          reason: value ? 'no cost basis for the coins sold' : 'no price for the sale',
+        });
+        return;
+      }
+
+      // Proceeds net of the fee, shared across the lots in proportion
+      const netProceeds = amount * value.price - value.fee;
+      slices.forEach(slice => {
+        const proceeds = netProceeds * (slice.amount / amount);
+        const costBasis = slice.amount * slice.unitCost;
+        disposals.push({
+          transactionId: transaction.id,
+          coinId: transaction.coinId,
+          symbol: transaction.coinSymbol,
+          amount: slice.amount,
+          acquiredAt: slice.acquiredAt,
+          disposedAt: transaction.timestamp,
+          proceeds,
+          costBasis,
+          gain: proceeds - costBasis,
+          term: isLongTerm(slice.acquiredAt, transaction.timestamp) ? 'long' : 'short',
+          estimated: slice.estimated || value.estimated,
+        });
+      });
+    });
+
+  const shortTerm = disposals.filter(disposal => disposal.term === 'short').reduce(addToTotals, emptyTotals());
+  const longTerm = disposals.filter(disposal => disposal.term === 'long').reduce(addToTotals, emptyTotals());
+  return {
+    year,
+    currency,
+    method,
+    disposals,
+    shortTerm,
+    longTerm,
+    total: disposals.reduce(addToTotals, emptyTotals()),
+    unvalued,
+    estimated: disposals.filter(disposal => disposal.estimated).length,
+    transfersOut,
+  };
+};
+
+const TERM_LABELS = { short: 'Short-term', long: 'Long-term' };
+
+const isoDate = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+const toFixedMoney = (value) => value.toFixed(2);
+
+// One row per lot sold, in the shape of a Form 8949 line
+export const exportTaxReportCSV = (report) => toCSV([
+  ['description', 'date_acquired', 'date_sold', 'proceeds', 'cost_basis', 'gain_or_loss', 'term', 'currency', 'notes'],
+  ...report.disposals.map(disposal => [
+    `${disposal.amount} ${disposal.symbol}`,
+    isoDate(disposal.acquiredAt),
+    isoDate(disposal.disposedAt),
+    toFixedMoney(disposal.proceeds),
+    toFixedMoney(disposal.costBasis),
+    toFixedMoney(disposal.gain),
+    disposal.term,
+    report.currency.toUpperCase(),
+    disposal.estimated ? 'Valued at market price' : '',
+  ]),
+  ...report.unvalued.map(sale => [
+    `${sale.amount} ${sale.symbol}`,
+    '',
+    isoDate(sale.disposedAt),
+    '',
+    '',
+    '',
+    '',
+    report.currency.toUpperCase(),
+    `Not included: ${sale.reason}`,
+  ]),
+]);
+
+const escapeHTML = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * A standalone HTML page summarising the report, laid out for printing
+ * (or saving as PDF from the print dialog).
+ */
+export const renderTaxReportHTML = (report, { title = 'Capital gains report' } = {}) => {
+  const money = (value) => escapeHTML(formatCurrency(value, report.currency, { maximumFractionDigits: 2 }));
+  const totalsRow = (label, totals) => `
+      <tr><th>${label}</th><td>${totals.count}</td><td>${money(totals.proceeds)}</td><td>${money(totals.costBasis)}</td><td>${money(totals.gain)}</td></tr>`;
+  const disposalRows = report.disposals.map(disposal => `
+      <tr>
+        <td>${escapeHTML(`${disposal.amount} ${disposal.symbol}`)}${disposal.estimated ? ' *' : ''}</td>
+        <td>${escapeHTML(formatDate(disposal.acquiredAt))}</td>
+        <td>${escapeHTML(formatDate(disposal.disposedAt))}</td>
+        <td>${money(disposal.proceeds)}</td>
+        <td>${money(disposal.costBasis)}</td>
+        <td>${money(disposal.gain)}</td>
+        <td>${TERM_LABELS[disposal.term]}</td>
+      </tr>`).join('');
+  const notes = [
+    report.estimated > 0 && '* Cost or proceeds valued at the market price on the day, as none was recorded.',
+    report.unvalued.length > 0 && `${report.unvalued.length} sale(s) could not be valued and are not included: ${report.unvalued.map(sale => `${sale.amount} ${sale.symbol} on ${formatDate(sale.disposedAt)} (${sale.reason})`).join('; ')}.`,
+    report.transfersOut > 0 && `${report.transfersOut} transfer(s) out were treated as moves between your own wallets, not disposals.`,
+  ].filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHTML(title)} ${report.year}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #1f2937; margin: 2rem; }
+    h1 { font-size: 1.4rem; margin-bottom: 0.25rem; }
+    p.meta { color: #6b7280; margin-top: 0; }
+    table { border-collapse: collapse; width: 100%; margin: 1rem 0; font-size: 0.85rem; }
+    th, td { border-bottom: 1px solid #e5e7eb; padding: 0.35rem 0.5rem; text-align: right; }
+    th:first-child, td:first-child { text-align: left; }
+    thead th { color: #6b7280; font-weight: 600; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHTML(title)} ${report.year}</h1>
+  <p class="meta">${escapeHTML(COST_BASIS_METHODS[report.method] || report.method)} &middot; ${escapeHTML(currencyLabel(report.currency))} &middot; generated ${escapeHTML(formatDate(new Date()))}</p>
+  <table>
+    <thead><tr><th></th><th>Lots</th><th>Proceeds</th><th>Cost basis</th><th>Gain / loss</th></tr></thead>
+    <tbody>${totalsRow('Short-term', report.shortTerm)}${totalsRow('Long-term', report.longTerm)}${totalsRow('Total', report.total)}
+    </tbody>
+  </table>
+  <table>
+    <thead><tr><th>Description</th><th>Acquired</th><th>Sold</th><th>Proceeds</th><th>Cost basis</th><th>Gain / loss</th><th>Term</th></tr></thead>
+    <tbody>${disposalRows}
+    </tbody>
+  </table>
+  ${notes.map(note => `<p>${escapeHTML(note)}</p>`).join('\n  ')}
+</body>
+</html>
+`;
+};
@@ -0,0 +1,46 @@
+const UNIT_DAYS = {
+  h: 1 / 24, hour: 1 / 24, hours: 1 / 24,
+  d: 1, day: 1, days: 1, daily: 1,
+  w: 7, week: 7, weeks: 7, weekly: 7,
+  m: 30, mo: 30, month: 30, months: 30, monthly: 30,
+  y: 365, year: 365, years: 365, yearly: 365,
+};
+
+const WORD_AMOUNTS = { a: 1, an: 1, one: 1, two: 2, three: 3, six: 6, twelve: 12 };
+
+// Trailing "for the last 30 days", "over a month", "1y", "week" and the like;
+// never "3 months ago", which is a date rather than a range
+const RANGE_SUFFIX = /(?:^|\s+)(?:(?:for|over|in)\s+)?(?:the\s+)?(?:(?:last|past|this)\s+)?(?:(\d+(?:\.\d+)?|an?|one|two|three|six|twelve)\s*)?(hours?|days?|daily|weeks?|weekly|months?|monthly|years?|yearly)\s*$/i;
+const COMPACT_RANGE_SUFFIX = /(?:^|\s+)(?:(?:for|over)\s+)?(\d+)(h|d|w|mo|m|y)\s*$/i;
+
+/**
+ * Pulls a trailing time range off a message.
+ * "chart for btc over the last 30 days" -> { text: 'chart for btc', days: 30 }
+ */
+export const extractTimeRange = (text) => {
+  const match = text.match(COMPACT_RANGE_SUFFIX) || text.match(RANGE_SUFFIX);
+  if (!match) {
+    return { text, days: null };
+  }
+
+  const [, amountText, unitText] = match;
+  const amount = amountText
+    ? WORD_AMOUNTS[amountText.toLowerCase()] ?? parseFloat(amountText)
+    : 1;
+  const days = Math.max(1, Math.round(amount * UNIT_DAYS[unitText.toLowerCase()]));
+
+  return { text: text.slice(0, match.index).trim(), days };
+};
+
+export const formatRange = (days) => {
+  if (days === 1) return '24-hour';
+  if (days % 365 === 0) return days === 365 ? '1-year' : `${days / 365}-year`;
+  return `${days}-day`;
+};
+
+export const describeRange = (days) => {
+  if (days === 1) return '24 hours';
+  if (days === 365) return 'year';
+  if (days % 365 === 0) return `${days / 365} years`;
+  return `${days} days`;
+};
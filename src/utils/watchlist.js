@@ -0,0 +1,42 @@
+// Coins kept in view without being held: [{ coinId, coinName, coinSymbol, addedAt }]
+
+const isValidEntry = (entry) =>
+  entry !== null && typeof entry === 'object'
+  && typeof entry.coinId === 'string' && entry.coinId.length > 0
+  && typeof entry.coinSymbol === 'string';
+
+export const WATCHLIST_SCHEMA = {
+  key: 'watchlist',
+  version: 1,
+  migrations: {},
+  validate: (data) => {
+    if (!Array.isArray(data)) {
+      throw new Error('watchlist is not a list');
+    }
+    const kept = data.filter(isValidEntry);
+    return { data: kept, dropped: data.length - kept.length };
+  },
+  empty: () => [],
+};
+
+export const createWatchEntry = ({ coinId, coinName, coinSymbol }) => ({
+  coinId,
+  coinName,
+  coinSymbol: coinSymbol.toUpperCase(),
+  addedAt: new Date().toISOString(),
+});
+
+// Enough points for the shape of a week without bloating the message
+const SPARKLINE_POINTS = 28;
+
+// Thins a getHistoricalData() series to evenly spaced prices, last one kept
+export const toSparkline = (history = []) => {
+  if (history.length <= SPARKLINE_POINTS) {
+    return history.map(point => point.price);
+  }
+  const step = (history.length - 1) / (SPARKLINE_POINTS - 1);
+  return Array.from({ length: SPARKLINE_POINTS }, (_, index) => history[Math.round(index * step)].price);
+};
+
+export const sparklineChange = (points) =>
+  points.length > 1 && points[0] > 0 ? (points[points.length - 1] / points[0] - 1) * 100 : null;